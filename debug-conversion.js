@@ -11,7 +11,7 @@ try {
   const converter = new SvgTo3DConverter();
   
   console.log('\n1. Starting conversion...');
-  const result = await converter.convertSvgTo3D(svgData, {
+  const { buffer: result, report } = await converter.convertSvgTo3D(svgData, {
     format: 'stl',
     depth: 2,
     size: 37,
@@ -25,6 +25,7 @@ try {
   console.log('Result type:', typeof result);
   console.log('Result length:', result.length);
   console.log('Result is Buffer:', Buffer.isBuffer(result));
+  console.log('Printability verdict:', report.verdict);
   
   if (result.length > 0) {
     console.log('First 100 characters:', result.toString('utf8').substring(0, 100));
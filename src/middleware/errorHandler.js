@@ -32,14 +32,42 @@ export const errorHandler = (err, req, res, next) => {
     statusCode = 400;
     message = 'Invalid File Type';
     details = err.message;
+  } else if (err.message.includes('Nothing to extract from SVG') || err.message.includes('Nothing to trace in image')) {
+    statusCode = 422;
+    message = 'No Printable Content';
+    details = err.message;
   } else if (err.message.includes('No valid shapes found')) {
     statusCode = 400;
     message = 'Invalid SVG Content';
     details = err.message;
-  } else if (err.message.includes('Failed to convert SVG to 3D')) {
+  } else if (err.message.includes('SVG too complex')) {
+    statusCode = 422;
+    message = 'SVG Too Complex';
+    details = err.message;
+  } else if (err.message.includes('Bevel too large')) {
+    statusCode = 422;
+    message = 'Invalid Bevel Settings';
+    details = err.message;
+  } else if (err.message.includes('Invalid cookie cutter')) {
+    statusCode = 422;
+    message = 'Invalid Cookie Cutter Settings';
+    details = err.message;
+  } else if (err.message.includes('Invalid heightmap')) {
+    statusCode = 422;
+    message = 'Invalid Heightmap Settings';
+    details = err.message;
+  } else if (err.message.includes('Failed to read image for heightmap') || err.message.includes('Failed to read image for tracing')) {
+    statusCode = 400;
+    message = 'Invalid Image Data';
+    details = err.message;
+  } else if (err.message.includes('Failed to convert SVG to 3D') || err.message.includes('Failed to convert image to heightmap')) {
     statusCode = 422;
     message = 'Conversion Failed';
     details = err.message;
+  } else if (err.message.includes('Failed to analyze SVG')) {
+    statusCode = 422;
+    message = 'Analysis Failed';
+    details = err.message;
   } else if (err.message.includes('Unsupported format')) {
     statusCode = 400;
     message = 'Unsupported Format';
@@ -54,6 +82,8 @@ export const errorHandler = (err, req, res, next) => {
   res.status(statusCode).json({
     error: message,
     message: details || err.message,
+    ...(err.reason && { reason: err.reason }),
+    ...(err.skippedElements && { skippedElements: err.skippedElements }),
     timestamp: new Date().toISOString(),
     path: req.originalUrl,
     method: req.method
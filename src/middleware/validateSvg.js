@@ -1,4 +1,5 @@
 import { SvgTo3DConverter } from '../services/SvgTo3DConverter.js';
+import { parseColor, parseColorList } from '../utils/colorUtils.js';
 
 const converter = new SvgTo3DConverter();
 
@@ -24,11 +25,7 @@ export const validateSvg = (req, res, next) => {
       if (mimeType === 'image/svg+xml') {
         svgData = req.file.buffer.toString('utf-8');
       }
-      // For other image formats, we'll convert them later
-      else if (mimeType.startsWith('image/')) {
-        // Image files will be converted to SVG, so we'll validate later
-        return next();
-      }
+      // Other image formats are traced or read as heightmaps later; only the parameters are checked here
     }
 
     // If we have SVG data, validate it
@@ -42,7 +39,7 @@ export const validateSvg = (req, res, next) => {
     }
 
     // Validate conversion parameters
-    const { depth, size, curveSegments } = req.body;
+    const { depth, strokeDepth, size, curveSegments } = req.body;
     
     if (depth !== undefined) {
       const depthNum = parseFloat(depth);
@@ -54,6 +51,16 @@ export const validateSvg = (req, res, next) => {
       }
     }
 
+    if (strokeDepth !== undefined) {
+      const strokeDepthNum = parseFloat(strokeDepth);
+      if (isNaN(strokeDepthNum) || strokeDepthNum < 0.1 || strokeDepthNum > 10) {
+        return res.status(400).json({
+          error: 'Invalid Stroke Depth Parameter',
+          message: 'Stroke depth must be a number between 0.1 and 10.'
+        });
+      }
+    }
+
     if (size !== undefined) {
       const sizeNum = parseFloat(size);
       if (isNaN(sizeNum) || sizeNum < 1 || sizeNum > 1000) {
@@ -74,6 +81,359 @@ export const validateSvg = (req, res, next) => {
       }
     }
 
+    const { tessellation, maxCurveVertices } = req.body;
+
+    if (tessellation !== undefined && !['fixed', 'adaptive'].includes(tessellation)) {
+      return res.status(400).json({
+        error: 'Invalid Tessellation Parameter',
+        message: "Tessellation must be either 'fixed' or 'adaptive'."
+      });
+    }
+
+    if (maxCurveVertices !== undefined) {
+      const verticesNum = parseInt(maxCurveVertices);
+      if (isNaN(verticesNum) || verticesNum < 1000 || verticesNum > 2000000) {
+        return res.status(400).json({
+          error: 'Invalid Max Curve Vertices Parameter',
+          message: 'Max curve vertices must be an integer between 1000 and 2000000.'
+        });
+      }
+    }
+
+    const { fillRule } = req.body;
+
+    if (fillRule !== undefined && !['auto', 'nonzero', 'evenodd'].includes(fillRule)) {
+      return res.status(400).json({
+        error: 'Invalid Fill Rule Parameter',
+        message: "Fill rule must be one of 'auto', 'nonzero' or 'evenodd'."
+      });
+    }
+
+    const { colorLayers, colorLayerOrder, layerStep, colorMatchTolerance } = req.body;
+
+    if (colorLayers !== undefined && !(typeof colorLayers === 'string' && colorLayers.trim() === '')) {
+      const layersError = validateColorLayers(colorLayers);
+      if (layersError) {
+        return res.status(400).json({
+          error: 'Invalid Color Layers Parameter',
+          message: layersError
+        });
+      }
+    }
+
+    if (colorLayerOrder !== undefined && !['none', 'lightTallest', 'darkTallest'].includes(colorLayerOrder)) {
+      return res.status(400).json({
+        error: 'Invalid Color Layer Order Parameter',
+        message: "Color layer order must be one of 'none', 'lightTallest' or 'darkTallest'."
+      });
+    }
+
+    if (layerStep !== undefined) {
+      const stepNum = parseFloat(layerStep);
+      if (isNaN(stepNum) || stepNum < 0 || stepNum > 10) {
+        return res.status(400).json({
+          error: 'Invalid Layer Step Parameter',
+          message: 'Layer step must be a number between 0 and 10.'
+        });
+      }
+    }
+
+    if (colorMatchTolerance !== undefined) {
+      const toleranceNum = parseFloat(colorMatchTolerance);
+      if (isNaN(toleranceNum) || toleranceNum < 0 || toleranceNum > 441) {
+        return res.status(400).json({
+          error: 'Invalid Color Match Tolerance Parameter',
+          message: 'Color match tolerance must be a number between 0 and 441.'
+        });
+      }
+    }
+
+    const { backing, backingColor, holeAnchor } = req.body;
+
+    if (backing !== undefined && !['none', ...converter.backingPlateGenerator.plateShapes].includes(backing)) {
+      return res.status(400).json({
+        error: 'Invalid Backing Parameter',
+        message: `Backing must be one of: none, ${converter.backingPlateGenerator.plateShapes.join(', ')}.`
+      });
+    }
+
+    if (holeAnchor !== undefined && !['none', ...converter.backingPlateGenerator.holeAnchors].includes(holeAnchor)) {
+      return res.status(400).json({
+        error: 'Invalid Hole Anchor Parameter',
+        message: `Hole anchor must be one of: none, ${converter.backingPlateGenerator.holeAnchors.join(', ')}.`
+      });
+    }
+
+    if (backingColor !== undefined && !parseColor(backingColor)) {
+      return res.status(400).json({
+        error: 'Invalid Backing Color Parameter',
+        message: `'${backingColor}' is not a valid color.`
+      });
+    }
+
+    const { defaultColor } = req.body;
+    if (defaultColor !== undefined && !parseColor(defaultColor)) {
+      return res.status(400).json({
+        error: 'Invalid Default Color Parameter',
+        message: `'${defaultColor}' is not a valid color.`
+      });
+    }
+
+    const numericRanges = [
+      ['backingThickness', 'Backing thickness', 0.2, 10],
+      ['backingMargin', 'Backing margin', 0, 50],
+      ['backingCornerRadius', 'Backing corner radius', 0, 100],
+      ['holeDiameter', 'Hole diameter', 0.5, 30],
+      ['holeMargin', 'Hole margin', 0.5, 20],
+      ['bevelThickness', 'Bevel thickness', 0.05, 5],
+      ['bevelSize', 'Bevel size', 0, 5],
+      ['bevelOffset', 'Bevel offset', -5, 5],
+      ['nozzleWidth', 'Nozzle width', 0.1, 2],
+      ['chordTolerance', 'Chord tolerance', 0.001, 5],
+      ['minThickness', 'Min thickness', 0.2, 10],
+      ['maxThickness', 'Max thickness', 0.3, 20],
+      ['resolution', 'Resolution', 0.5, 10],
+      ['frameWidth', 'Frame width', 0, 20],
+      ['curveAngle', 'Curve angle', 10, 330],
+      ['minFeatureArea', 'Min feature area', 0, 100],
+      ['traceAlphaMax', 'Trace alpha max', 0, 1.3334],
+      ['traceOptTolerance', 'Trace opt tolerance', 0, 5],
+      ['tracePadding', 'Trace padding', 0, 1000],
+      ['traceCornerRadius', 'Trace corner radius', 0, 1000],
+      ['cutterHeight', 'Cutter height', 3, 100],
+      ['cutterWallThickness', 'Cutter wall thickness', 0.4, 5],
+      ['flangeWidth', 'Flange width', 0, 20],
+      ['flangeThickness', 'Flange thickness', 0.4, 10],
+      ['imprintHeight', 'Imprint height', 1, 100],
+      ['imprintWallThickness', 'Imprint wall thickness', 0.4, 5],
+      ['stampBaseThickness', 'Stamp base thickness', 1, 50],
+      ['stampMargin', 'Stamp margin', 0, 50],
+      ['handleDiameter', 'Handle diameter', 5, 100],
+      ['handleHeight', 'Handle height', 5, 100],
+      ['lineSpacing', 'Line spacing', 0.5, 3],
+      ['scale', 'Scale', 0.001, 1000],
+      ['rotateZ', 'Rotate Z', -360, 360],
+      ['materialDensity', 'Material density', 0.5, 3],
+      ['filamentDiameter', 'Filament diameter', 1, 3],
+      ['maxTriangles', 'Max triangles', 100, 10000000],
+      ['maxError', 'Max error', 0, 5]
+    ];
+
+    for (const [name, label, min, max] of numericRanges) {
+      if (req.body[name] !== undefined) {
+        const value = parseFloat(req.body[name]);
+        if (isNaN(value) || value < min || value > max) {
+          return res.status(400).json({
+            error: `Invalid ${label.replace(/\b\w/g, letter => letter.toUpperCase())} Parameter`,
+            message: `${label} must be a number between ${min} and ${max}.`
+          });
+        }
+      }
+    }
+
+    const { bevelSegments } = req.body;
+
+    if (bevelSegments !== undefined) {
+      const bevelSegmentsNum = parseInt(bevelSegments);
+      if (isNaN(bevelSegmentsNum) || bevelSegmentsNum < 1 || bevelSegmentsNum > 10) {
+        return res.status(400).json({
+          error: 'Invalid Bevel Segments Parameter',
+          message: 'Bevel segments must be an integer between 1 and 10.'
+        });
+      }
+    }
+
+    const { mode, panelShape, minThickness, maxThickness } = req.body;
+
+    if (mode !== undefined && !['extrude', 'heightmap', 'cookieCutter', 'stamp'].includes(mode)) {
+      return res.status(400).json({
+        error: 'Invalid Mode Parameter',
+        message: "Mode must be one of: extrude, heightmap, cookieCutter, stamp."
+      });
+    }
+
+    // Heightmap panels are not simplified, so a triangle budget could never be met
+    if (mode === 'heightmap' && (req.body.maxTriangles !== undefined || req.body.maxError !== undefined)) {
+      return res.status(400).json({
+        error: 'Invalid Simplification Parameters',
+        message: 'maxTriangles and maxError are not supported with mode=heightmap; lower resolution to reduce the triangle count.'
+      });
+    }
+
+    if (panelShape !== undefined && !['flat', 'cylinder'].includes(panelShape)) {
+      return res.status(400).json({
+        error: 'Invalid Panel Shape Parameter',
+        message: "Panel shape must be either 'flat' or 'cylinder'."
+      });
+    }
+
+    if (parseFloat(maxThickness ?? 3) <= parseFloat(minThickness ?? 0.8)) {
+      return res.status(400).json({
+        error: 'Invalid Thickness Parameters',
+        message: 'Max thickness must be greater than min thickness.'
+      });
+    }
+
+    const { cutterHeight, flangeWidth, flangeThickness, cutterImprint, imprintHeight, stampBaseShape } = req.body;
+    const cutterHeightNum = parseFloat(cutterHeight ?? 15);
+
+    if (parseFloat(flangeWidth ?? 4) > 0 && cutterHeightNum <= parseFloat(flangeThickness ?? 2)) {
+      return res.status(400).json({
+        error: 'Invalid Cutter Height Parameter',
+        message: 'Cutter height must be greater than the flange thickness.'
+      });
+    }
+
+    if ((cutterImprint === 'true' || cutterImprint === true) && parseFloat(imprintHeight ?? 8) >= cutterHeightNum) {
+      return res.status(400).json({
+        error: 'Invalid Imprint Height Parameter',
+        message: 'Imprint height must be less than the cutter height.'
+      });
+    }
+
+    if (stampBaseShape !== undefined && !converter.stampGenerator.baseShapes.includes(stampBaseShape)) {
+      return res.status(400).json({
+        error: 'Invalid Stamp Base Shape Parameter',
+        message: `Stamp base shape must be one of: ${converter.stampGenerator.baseShapes.join(', ')}.`
+      });
+    }
+
+    const { traceColors, tracePalette } = req.body;
+
+    if (traceColors !== undefined) {
+      const colorsNum = parseInt(traceColors);
+      if (isNaN(colorsNum) || colorsNum < 1 || colorsNum > 16) {
+        return res.status(400).json({
+          error: 'Invalid Trace Colors Parameter',
+          message: 'Trace colors must be an integer between 1 and 16.'
+        });
+      }
+    }
+
+    if (tracePalette !== undefined && tracePalette !== '') {
+      let palette;
+      try {
+        palette = parseColorList(tracePalette);
+      } catch (error) {
+        palette = null;
+      }
+
+      const invalid = palette ? palette.find(color => !parseColor(color)) : null;
+      if (!palette || palette.length < 2 || palette.length > 16 || invalid) {
+        return res.status(400).json({
+          error: 'Invalid Trace Palette Parameter',
+          message: invalid
+            ? `Trace palette color '${invalid}' is not a valid CSS color.`
+            : 'Trace palette must list between 2 and 16 CSS colors.'
+        });
+      }
+    }
+
+    const { traceThreshold, traceTurdSize, traceTurnPolicy, traceBlackOnWhite } = req.body;
+
+    if (traceThreshold !== undefined && traceThreshold !== 'auto') {
+      const thresholdNum = Number(traceThreshold);
+      if (!Number.isInteger(thresholdNum) || thresholdNum < 0 || thresholdNum > 255) {
+        return res.status(400).json({
+          error: 'Invalid Trace Threshold Parameter',
+          message: "Trace threshold must be an integer between 0 and 255, or 'auto'."
+        });
+      }
+    }
+
+    if (traceTurdSize !== undefined) {
+      const turdSizeNum = Number(traceTurdSize);
+      if (!Number.isInteger(turdSizeNum) || turdSizeNum < 0 || turdSizeNum > 1000) {
+        return res.status(400).json({
+          error: 'Invalid Trace Turd Size Parameter',
+          message: 'Trace turd size must be an integer between 0 and 1000.'
+        });
+      }
+    }
+
+    if (traceTurnPolicy !== undefined && !converter.bitmapTracer.turnPolicies.includes(traceTurnPolicy)) {
+      return res.status(400).json({
+        error: 'Invalid Trace Turn Policy Parameter',
+        message: `Trace turn policy must be one of: ${converter.bitmapTracer.turnPolicies.join(', ')}.`
+      });
+    }
+
+    if (traceBlackOnWhite !== undefined && !['auto', 'true', 'false', true, false].includes(traceBlackOnWhite)) {
+      return res.status(400).json({
+        error: 'Invalid Trace Black On White Parameter',
+        message: "Trace black on white must be 'auto', true or false."
+      });
+    }
+
+    const { text, font, fontWeight, textAlign } = req.body;
+
+    if (text !== undefined && (typeof text !== 'string' || text.trim() === '' || text.length > 500)) {
+      return res.status(400).json({
+        error: 'Invalid Text Parameter',
+        message: 'Text must be a non-empty string of at most 500 characters.'
+      });
+    }
+
+    if (font !== undefined && !converter.textRenderer.fonts.includes(font)) {
+      return res.status(400).json({
+        error: 'Invalid Font Parameter',
+        message: `Font must be one of: ${converter.textRenderer.fonts.join(', ')}.`
+      });
+    }
+
+    if (fontWeight !== undefined && !['normal', 'bold'].includes(fontWeight)) {
+      return res.status(400).json({
+        error: 'Invalid Font Weight Parameter',
+        message: "Font weight must be either 'normal' or 'bold'."
+      });
+    }
+
+    if (textAlign !== undefined && !['left', 'center', 'right'].includes(textAlign)) {
+      return res.status(400).json({
+        error: 'Invalid Text Align Parameter',
+        message: "Text align must be one of: left, center, right."
+      });
+    }
+
+    const { scaleMode, units } = req.body;
+
+    if (scaleMode !== undefined && !['fit', 'fitWidth', 'fitHeight', 'exact', 'scale'].includes(scaleMode)) {
+      return res.status(400).json({
+        error: 'Invalid Scale Mode Parameter',
+        message: 'Scale mode must be one of: fit, fitWidth, fitHeight, exact, scale.'
+      });
+    }
+
+    if (units !== undefined && !['mm', 'in'].includes(units)) {
+      return res.status(400).json({
+        error: 'Invalid Units Parameter',
+        message: "Units must be either 'mm' or 'in'."
+      });
+    }
+
+    const { upAxis, origin, mirror } = req.body;
+
+    if (upAxis !== undefined && !['auto', 'z', 'y'].includes(upAxis)) {
+      return res.status(400).json({
+        error: 'Invalid Up Axis Parameter',
+        message: 'Up axis must be one of: auto, z, y.'
+      });
+    }
+
+    if (origin !== undefined && !['auto', 'center', 'bottomLeft', 'buildPlate'].includes(origin)) {
+      return res.status(400).json({
+        error: 'Invalid Origin Parameter',
+        message: 'Origin must be one of: auto, center, bottomLeft, buildPlate.'
+      });
+    }
+
+    if (mirror !== undefined && (typeof mirror !== 'string' || !/^(none|(?!.*(.).*\2)[xyz]{1,3})$/.test(mirror))) {
+      return res.status(400).json({
+        error: 'Invalid Mirror Parameter',
+        message: "Mirror must be 'none' or a combination of the axes x, y and z, e.g. 'x' or 'xz'."
+      });
+    }
+
     // Validate format
     const { format } = req.body;
     if (format && !converter.getFormatConfig(format)) {
@@ -89,3 +449,50 @@ export const validateSvg = (req, res, next) => {
     next(error);
   }
 };
+
+/**
+ * Validate a colorLayers parameter (object or JSON string)
+ * @param {Object|string} colorLayers - Map of color to { depth, startZ }
+ * @returns {string|null} - Error message, or null when valid
+ */
+function validateColorLayers(colorLayers) {
+  let layers = colorLayers;
+
+  if (typeof layers === 'string') {
+    try {
+      layers = JSON.parse(layers);
+    } catch (error) {
+      return 'Color layers must be valid JSON, e.g. {"#ff0000": {"depth": 3, "startZ": 0}}.';
+    }
+  }
+
+  if (!layers || typeof layers !== 'object' || Array.isArray(layers)) {
+    return 'Color layers must be an object mapping colors to { depth, startZ }.';
+  }
+
+  for (const [color, layer] of Object.entries(layers)) {
+    if (!parseColor(color)) {
+      return `'${color}' is not a valid color.`;
+    }
+
+    if (!layer || typeof layer !== 'object') {
+      return `Layer for '${color}' must be an object with depth and/or startZ.`;
+    }
+
+    if (layer.depth !== undefined) {
+      const depthNum = parseFloat(layer.depth);
+      if (isNaN(depthNum) || depthNum < 0.1 || depthNum > 10) {
+        return `Depth for '${color}' must be a number between 0.1 and 10.`;
+      }
+    }
+
+    if (layer.startZ !== undefined) {
+      const startZNum = parseFloat(layer.startZ);
+      if (isNaN(startZNum) || startZNum < 0 || startZNum > 20) {
+        return `StartZ for '${color}' must be a number between 0 and 20.`;
+      }
+    }
+  }
+
+  return null;
+}
@@ -12,6 +12,8 @@ import { SvgTo3DConverter } from './services/SvgTo3DConverter.js';
 import { errorHandler } from './middleware/errorHandler.js';
 import { validateSvg } from './middleware/validateSvg.js';
 import { FileManager } from './services/FileManager.js';
+import { parseColorList } from './utils/colorUtils.js';
+import { getPathStats } from './utils/svgUtils.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -83,6 +85,71 @@ function checkMemoryUsage() {
   }
 }
 
+/**
+ * Read bitmap tracing options from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} - Options for BitmapTracer.trace
+ */
+function parseTraceOptions(body) {
+  const {
+    traceColors = 1,
+    tracePalette,
+    removeBackground = true,
+    traceThreshold = 128,
+    traceBlackOnWhite = 'auto',
+    traceTurdSize = 20,
+    traceAlphaMax = 1,
+    traceOptCurve = true,
+    traceOptTolerance = 0.2,
+    traceTurnPolicy = 'minority',
+    traceBackground,
+    tracePadding = 8,
+    traceCornerRadius = 8
+  } = body;
+
+  const isFalse = value => value === 'false' || value === false;
+
+  return {
+    colors: parseInt(traceColors),
+    palette: parseColorList(tracePalette),
+    removeBackground: !isFalse(removeBackground),
+    threshold: traceThreshold === 'auto' ? 'auto' : parseInt(traceThreshold),
+    blackOnWhite: traceBlackOnWhite === 'auto' ? 'auto' : !isFalse(traceBlackOnWhite),
+    turdSize: parseInt(traceTurdSize),
+    alphaMax: parseFloat(traceAlphaMax),
+    optCurve: !isFalse(traceOptCurve),
+    optTolerance: parseFloat(traceOptTolerance),
+    turnPolicy: traceTurnPolicy,
+    // Left undefined so single-color traces keep their background and color layers go without
+    background: traceBackground === undefined ? undefined : !isFalse(traceBackground),
+    padding: parseFloat(tracePadding),
+    cornerRadius: parseFloat(traceCornerRadius)
+  };
+}
+
+/**
+ * Map the text request fields onto TextRenderer.createTextSvg options
+ * @param {Object} body - Request body
+ * @returns {Object} - Text options
+ */
+function parseTextOptions(body) {
+  const {
+    font = 'helvetiker',
+    fontWeight = 'normal',
+    textAlign = 'center',
+    lineSpacing = 1.2,
+    defaultColor = '#FFA500'
+  } = body;
+
+  return {
+    font,
+    fontWeight,
+    textAlign,
+    lineSpacing: parseFloat(lineSpacing),
+    color: defaultColor
+  };
+}
+
 // Start memory monitoring
 setInterval(checkMemoryUsage, MEMORY_CHECK_INTERVAL);
 
@@ -134,62 +201,212 @@ app.post('/convert', upload.single('file'), validateSvg, async (req, res, next)
       format = 'stl', 
       depth = 2, 
       size = 37, 
+      scaleMode = 'fit',
+      scale = 1,
+      units = 'mm',
+      upAxis = 'auto',
+      origin = 'auto',
+      mirror = 'none',
+      rotateZ = 0,
+      materialDensity = 1.24,
+      filamentDiameter = 1.75,
+      maxTriangles,
+      maxError,
       curveSegments = 64, // Balanced for smoothness without memory issues
+      tessellation = 'fixed',
+      chordTolerance = 0.05,
+      maxCurveVertices = 200000,
+      minFeatureArea = 0.05,
       defaultColor = '#FFA500',
       drawFillShapes = true,
       drawStrokes = false,
+      strict = true,
+      strokeDepth,
+      fillRule = 'auto',
+      mergeShapes,
+      colorLayers,
+      colorLayerOrder = 'none',
+      layerStep = 1,
+      colorMatchTolerance = 24,
+      backing = 'none',
+      backingThickness = 2,
+      backingMargin = 3,
+      backingCornerRadius = 3,
+      backingColor = '#FFFFFF',
+      holeAnchor = 'none',
+      holeDiameter = 4,
+      holeMargin = 2,
+      bevelEnabled = false,
+      bevelThickness = 0.5,
+      bevelSize = 0.3,
+      bevelOffset = 0,
+      bevelSegments = 3,
+      nozzleWidth = 0.4,
+      mode = 'extrude',
+      minThickness = 0.8,
+      maxThickness = 3,
+      resolution = 4,
+      invert = false,
+      frameWidth = 0,
+      panelShape = 'flat',
+      curveAngle = 120,
+      cutterHeight = 15,
+      cutterWallThickness = 1,
+      flangeWidth = 4,
+      flangeThickness = 2,
+      cutterImprint = false,
+      imprintHeight = 8,
+      imprintWallThickness = 0.8,
+      stampBaseShape = 'roundedRectangle',
+      stampBaseThickness = 4,
+      stampMargin = 3,
+      stampHandle = false,
+      handleDiameter = 20,
+      handleHeight = 20,
       fileName = 'model'
     } = req.body;
 
-    let svgData;
+    let result;
+
+    if (mode === 'heightmap') {
+      // Relief panels are built straight from pixel luminance, without tracing
+      if (!req.file || !converter.heightmapGenerator.supportedMimeTypes.includes(req.file.mimetype)) {
+        return res.status(400).json({
+          error: 'Invalid Heightmap Input',
+          message: 'Heightmap mode requires a PNG, JPEG, GIF or WebP file upload.'
+        });
+      }
+
+      console.log('Starting heightmap conversion...');
+      result = await converter.convertImageToHeightmap(req.file.buffer, {
+        format,
+        size: parseFloat(size),
+        minThickness: parseFloat(minThickness),
+        maxThickness: parseFloat(maxThickness),
+        resolution: parseFloat(resolution),
+        invert: invert === 'true' || invert === true,
+        frameWidth: parseFloat(frameWidth),
+        panelShape,
+        curveAngle: parseFloat(curveAngle),
+        nozzleWidth: parseFloat(nozzleWidth),
+        units,
+        upAxis,
+        origin,
+        mirror,
+        rotateZ: parseFloat(rotateZ),
+        materialDensity: parseFloat(materialDensity),
+        filamentDiameter: parseFloat(filamentDiameter),
+        fileName
+      });
+    } else {
+      let svgData;
     
-    if (req.file) {
-      // Handle file upload
-      const fileBuffer = req.file.buffer;
-      const mimeType = req.file.mimetype;
+      if (req.file) {
+        // Handle file upload
+        const fileBuffer = req.file.buffer;
+        const mimeType = req.file.mimetype;
       
-      if (mimeType === 'image/svg+xml') {
-        svgData = fileBuffer.toString('utf-8');
+        if (mimeType === 'image/svg+xml') {
+          svgData = fileBuffer.toString('utf-8');
+        } else {
+          // Convert bitmap to SVG using potrace, one layer per color when asked for several
+          svgData = await converter.convertBitmapToSvg(fileBuffer, parseTraceOptions(req.body));
+        }
+      } else if (req.body.svgData) {
+        // Handle direct SVG data
+        svgData = req.body.svgData;
+      } else if (req.body.text) {
+        // Lay plain text out as an SVG, e.g. for name tags
+        svgData = converter.textRenderer.createTextSvg(req.body.text, parseTextOptions(req.body));
       } else {
-        // Convert bitmap to SVG using potrace
-        svgData = await converter.convertBitmapToSvg(fileBuffer);
+        return res.status(400).json({
+          error: 'No SVG data provided. Please provide either a file upload, svgData or text in the request body.'
+        });
+      }
+
+      // Validate SVG data size
+      if (svgData && svgData.length > 5 * 1024 * 1024) { // 5MB limit
+        return res.status(413).json({
+          error: 'SVG data too large',
+          message: 'SVG data exceeds the 5MB size limit. Please use a smaller file.'
+        });
       }
-    } else if (req.body.svgData) {
-      // Handle direct SVG data
-      svgData = req.body.svgData;
-    } else {
-      return res.status(400).json({
-        error: 'No SVG data provided. Please provide either a file upload or svgData in the request body.'
-      });
-    }
 
-    // Validate SVG data size
-    if (svgData && svgData.length > 5 * 1024 * 1024) { // 5MB limit
-      return res.status(413).json({
-        error: 'SVG data too large',
-        message: 'SVG data exceeds the 5MB size limit. Please use a smaller file.'
+      // Convert SVG to 3D model
+      console.log('Starting SVG to 3D conversion...');
+      result = await converter.convertSvgTo3D(svgData, {
+        format,
+        depth: parseFloat(depth),
+        strokeDepth: strokeDepth !== undefined ? parseFloat(strokeDepth) : parseFloat(depth),
+        size: parseFloat(size),
+        scaleMode,
+        scale: parseFloat(scale),
+        units,
+        upAxis,
+        origin,
+        mirror,
+        rotateZ: parseFloat(rotateZ),
+        materialDensity: parseFloat(materialDensity),
+        filamentDiameter: parseFloat(filamentDiameter),
+        maxTriangles: maxTriangles !== undefined ? parseInt(maxTriangles) : null,
+        maxError: maxError !== undefined ? parseFloat(maxError) : null,
+        curveSegments: parseInt(curveSegments),
+        tessellation,
+        chordTolerance: parseFloat(chordTolerance),
+        maxCurveVertices: parseInt(maxCurveVertices),
+        minFeatureArea: parseFloat(minFeatureArea),
+        defaultColor,
+        drawFillShapes: drawFillShapes === 'true' || drawFillShapes === true,
+        drawStrokes: drawStrokes === 'true' || drawStrokes === true,
+        strict: strict !== 'false' && strict !== false,
+        fillRule,
+        mergeShapes: mergeShapes === undefined ? undefined : mergeShapes === 'true' || mergeShapes === true,
+        // An empty form field means no layers, as in validateSvg
+        colorLayers: typeof colorLayers === 'string' ? (colorLayers.trim() === '' ? null : JSON.parse(colorLayers)) : colorLayers,
+        colorLayerOrder,
+        layerStep: parseFloat(layerStep),
+        colorMatchTolerance: parseFloat(colorMatchTolerance),
+        backing,
+        backingThickness: parseFloat(backingThickness),
+        backingMargin: parseFloat(backingMargin),
+        backingCornerRadius: parseFloat(backingCornerRadius),
+        backingColor,
+        holeAnchor,
+        holeDiameter: parseFloat(holeDiameter),
+        holeMargin: parseFloat(holeMargin),
+        bevelEnabled: bevelEnabled === 'true' || bevelEnabled === true,
+        bevelThickness: parseFloat(bevelThickness),
+        bevelSize: parseFloat(bevelSize),
+        bevelOffset: parseFloat(bevelOffset),
+        bevelSegments: parseInt(bevelSegments),
+        nozzleWidth: parseFloat(nozzleWidth),
+        mode,
+        cutterHeight: parseFloat(cutterHeight),
+        cutterWallThickness: parseFloat(cutterWallThickness),
+        flangeWidth: parseFloat(flangeWidth),
+        flangeThickness: parseFloat(flangeThickness),
+        cutterImprint: cutterImprint === 'true' || cutterImprint === true,
+        imprintHeight: parseFloat(imprintHeight),
+        imprintWallThickness: parseFloat(imprintWallThickness),
+        stampBaseShape,
+        stampBaseThickness: parseFloat(stampBaseThickness),
+        stampMargin: parseFloat(stampMargin),
+        stampHandle: stampHandle === 'true' || stampHandle === true,
+        handleDiameter: parseFloat(handleDiameter),
+        handleHeight: parseFloat(handleHeight),
+        fileName
       });
     }
 
-    // Convert SVG to 3D model
-    console.log('Starting SVG to 3D conversion...');
-    const result = await converter.convertSvgTo3D(svgData, {
-      format,
-      depth: parseFloat(depth),
-      size: parseFloat(size),
-      curveSegments: parseInt(curveSegments),
-      defaultColor,
-      drawFillShapes: drawFillShapes === 'true' || drawFillShapes === true,
-      drawStrokes: drawStrokes === 'true' || drawStrokes === true
-    });
+    const { buffer, report, statistics, simplification, transform, discardedShapes, skippedElements, normalization, layers } = result;
+
+    console.log('Conversion completed, result length:', buffer.length);
 
-    console.log('Conversion completed, result length:', result.length);
+    const formatConfig = converter.getFormatConfig(format);
 
     // Save file and generate download URL
-    const fileId = fileManager.saveFile(result, format, fileName);
+    const fileId = fileManager.saveFile(buffer, format, fileName, formatConfig.extension);
     const downloadUrl = `${req.protocol}://${req.get('host')}/download/${fileId}`;
-    
-    const formatConfig = converter.getFormatConfig(format);
 
     // Clean up memory after successful conversion
     if (global.gc) {
@@ -204,8 +421,107 @@ app.post('/convert', upload.single('file'), validateSvg, async (req, res, next)
       extension: formatConfig.extension,
       mimeType: formatConfig.mimeType,
       fileName: `${fileName}.${formatConfig.extension}`,
-      fileSize: result.length,
-      expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString() // 24 hours
+      fileSize: buffer.length,
+      units,
+      expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(), // 24 hours
+      report,
+      statistics,
+      simplification,
+      transform,
+      discardedShapes,
+      skippedElements,
+      normalization,
+      layers
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Trace a bitmap to SVG without building a 3D model, so the vector result can be previewed
+app.post('/trace', upload.single('file'), validateSvg, async (req, res, next) => {
+  try {
+    if (!req.file || req.file.mimetype === 'image/svg+xml') {
+      return res.status(400).json({
+        error: 'Invalid Trace Input',
+        message: 'Tracing requires a PNG, JPEG, GIF or WebP file upload.'
+      });
+    }
+
+    const { svg, width, height, layers, threshold, blackOnWhite } = await converter.traceBitmap(
+      req.file.buffer,
+      parseTraceOptions(req.body)
+    );
+
+    res.json({
+      success: true,
+      svg,
+      width,
+      height,
+      threshold,
+      blackOnWhite,
+      layers,
+      stats: getPathStats(svg)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Describe the paths and colors of an SVG (or traced bitmap) without building a 3D model
+app.post('/analyze', upload.single('file'), validateSvg, async (req, res, next) => {
+  try {
+    const {
+      size = 37,
+      scaleMode = 'fit',
+      scale = 1,
+      curveSegments = 64,
+      tessellation = 'fixed',
+      chordTolerance = 0.05,
+      maxCurveVertices = 200000,
+      minFeatureArea = 0.05,
+      defaultColor = '#FFA500',
+      drawFillShapes = true,
+      drawStrokes = false,
+      fillRule = 'auto'
+    } = req.body;
+
+    let svgData;
+
+    if (req.file) {
+      svgData = req.file.mimetype === 'image/svg+xml'
+        ? req.file.buffer.toString('utf-8')
+        : await converter.convertBitmapToSvg(req.file.buffer, parseTraceOptions(req.body));
+    } else if (req.body.svgData) {
+      svgData = req.body.svgData;
+    } else if (req.body.text) {
+      svgData = converter.textRenderer.createTextSvg(req.body.text, parseTextOptions(req.body));
+    } else {
+      return res.status(400).json({
+        error: 'No SVG data provided. Please provide either a file upload, svgData or text in the request body.'
+      });
+    }
+
+    const analysis = converter.analyzeSvg(svgData, {
+      size: parseFloat(size),
+      scaleMode,
+      scale: parseFloat(scale),
+      curveSegments: parseInt(curveSegments),
+      tessellation,
+      chordTolerance: parseFloat(chordTolerance),
+      maxCurveVertices: parseInt(maxCurveVertices),
+      minFeatureArea: parseFloat(minFeatureArea),
+      defaultColor,
+      drawFillShapes: drawFillShapes === 'true' || drawFillShapes === true,
+      drawStrokes: drawStrokes === 'true' || drawStrokes === true,
+      fillRule
+    });
+
+    res.json({
+      success: true,
+      ...analysis
     });
 
   } catch (error) {
@@ -265,7 +581,78 @@ app.get('/options', (req, res) => {
         default: 37,
         min: 1,
         max: 1000,
-        description: 'Model size in mm'
+        description: "Model size in mm for the 'fit', 'fitWidth' and 'fitHeight' scale modes"
+      },
+      scaleMode: {
+        type: 'string',
+        default: 'fit',
+        options: ['fit', 'fitWidth', 'fitHeight', 'exact', 'scale'],
+        description: "'fit' scales the larger side to size, 'fitWidth'/'fitHeight' scale the width/height to size, 'exact' keeps the physical size from the SVG width, height and viewBox, 'scale' multiplies that physical size by scale"
+      },
+      scale: {
+        type: 'number',
+        default: 1,
+        min: 0.001,
+        max: 1000,
+        description: "Factor applied to the SVG's physical size when scaleMode is 'scale'"
+      },
+      units: {
+        type: 'string',
+        default: 'mm',
+        options: ['mm', 'in'],
+        description: "Units of the exported file; 'in' writes coordinates in inches (3MF files declare unit=\"inch\"). All other parameters stay in mm"
+      },
+      upAxis: {
+        type: 'string',
+        default: 'auto',
+        options: ['auto', 'z', 'y'],
+        description: "Up axis of the exported file; 'auto' uses the format default (Y for glTF, Z otherwise)"
+      },
+      origin: {
+        type: 'string',
+        default: 'auto',
+        options: ['auto', 'center', 'bottomLeft', 'buildPlate'],
+        description: "Where the origin sits: bounding box 'center', 'bottomLeft' corner, or 'buildPlate' (centred, lowest point at 0 on the up axis); 'auto' uses the format default (center for glTF, buildPlate otherwise)"
+      },
+      mirror: {
+        type: 'string',
+        default: 'none',
+        description: "Axes to mirror in print orientation, e.g. 'x' for a back-side print, or 'none'"
+      },
+      rotateZ: {
+        type: 'number',
+        default: 0,
+        min: -360,
+        max: 360,
+        description: 'Counter-clockwise rotation about the print Z axis in degrees'
+      },
+      materialDensity: {
+        type: 'number',
+        default: 1.24,
+        min: 0.5,
+        max: 3,
+        description: 'Filament density in g/cm³ for the material estimate (PLA 1.24, PETG 1.27, ABS 1.04)'
+      },
+      filamentDiameter: {
+        type: 'number',
+        default: 1.75,
+        min: 1,
+        max: 3,
+        description: 'Filament diameter in mm for the material estimate'
+      },
+      maxTriangles: {
+        type: 'number',
+        default: null,
+        min: 100,
+        max: 10000000,
+        description: 'Triangle budget; extruded outlines are simplified until the model fits, within maxError (or half the nozzle width). Not supported with mode=heightmap'
+      },
+      maxError: {
+        type: 'number',
+        default: null,
+        min: 0,
+        max: 5,
+        description: 'Largest distance in mm a simplified outline may move from the original; without it and maxTriangles outlines are not simplified'
       },
       curveSegments: {
         type: 'number',
@@ -274,6 +661,33 @@ app.get('/options', (req, res) => {
         max: 256,
         description: 'Curve subdivision level'
       },
+      tessellation: {
+        type: 'string',
+        default: 'fixed',
+        options: ['fixed', 'adaptive'],
+        description: "'fixed' uses curveSegments for every curve; 'adaptive' sizes each curve by chordTolerance"
+      },
+      chordTolerance: {
+        type: 'number',
+        default: 0.05,
+        min: 0.001,
+        max: 5,
+        description: 'Maximum distance in mm between a curve and its straight segments (adaptive tessellation)'
+      },
+      maxCurveVertices: {
+        type: 'number',
+        default: 200000,
+        min: 1000,
+        max: 2000000,
+        description: 'Total outline vertex budget for adaptive tessellation'
+      },
+      minFeatureArea: {
+        type: 'number',
+        default: 0.05,
+        min: 0,
+        max: 100,
+        description: 'Shapes smaller than this area in mm² (after scaling, holes subtracted) are discarded as artifacts'
+      },
       defaultColor: {
         type: 'string',
         default: '#FFA500',
@@ -288,6 +702,396 @@ app.get('/options', (req, res) => {
         type: 'boolean',
         default: false,
         description: 'Whether to process stroke outlines'
+      },
+      strict: {
+        type: 'boolean',
+        default: true,
+        description: 'Fail with 422 when nothing printable is extracted instead of returning a placeholder square'
+      },
+      strokeDepth: {
+        type: 'number',
+        default: null,
+        min: 0.1,
+        max: 10,
+        description: 'Extrusion depth in mm for stroke outlines (defaults to depth)'
+      },
+      fillRule: {
+        type: 'string',
+        default: 'auto',
+        options: ['auto', 'nonzero', 'evenodd'],
+        description: "Fill rule for resolving holes; 'auto' uses each path's SVG fill-rule"
+      },
+      mergeShapes: {
+        type: 'boolean',
+        default: 'true for stl and 3mf, false otherwise',
+        description: 'Union overlapping shapes of the same color into one manifold solid per color'
+      },
+      colorLayers: {
+        type: 'object',
+        default: null,
+        description: 'Map of fill color (hex or CSS color) to { depth, startZ } in mm; unlisted colors use depth'
+      },
+      colorLayerOrder: {
+        type: 'string',
+        default: 'none',
+        options: ['none', 'lightTallest', 'darkTallest'],
+        description: 'Automatically raise colors by luminance rank'
+      },
+      layerStep: {
+        type: 'number',
+        default: 1,
+        min: 0,
+        max: 10,
+        description: 'Extra depth in mm per luminance rank when colorLayerOrder is set'
+      },
+      colorMatchTolerance: {
+        type: 'number',
+        default: 24,
+        min: 0,
+        max: 441,
+        description: 'Maximum RGB distance for matching a fill color to a colorLayers entry'
+      },
+      backing: {
+        type: 'string',
+        default: 'none',
+        options: ['none', 'rectangle', 'roundedRectangle', 'circle', 'outline'],
+        description: 'Solid backing plate generated under the artwork'
+      },
+      backingThickness: {
+        type: 'number',
+        default: 2,
+        min: 0.2,
+        max: 10,
+        description: 'Backing plate thickness in mm'
+      },
+      backingMargin: {
+        type: 'number',
+        default: 3,
+        min: 0,
+        max: 50,
+        description: 'Distance in mm between the artwork and the plate edge'
+      },
+      backingCornerRadius: {
+        type: 'number',
+        default: 3,
+        min: 0,
+        max: 100,
+        description: 'Corner radius in mm for roundedRectangle plates'
+      },
+      backingColor: {
+        type: 'string',
+        default: '#FFFFFF',
+        description: 'Backing plate color'
+      },
+      holeAnchor: {
+        type: 'string',
+        default: 'none',
+        options: ['none', 'top', 'bottom', 'left', 'right', 'topLeft', 'topRight', 'bottomLeft', 'bottomRight'],
+        description: 'Position of a hanging/keyring hole in the backing plate'
+      },
+      holeDiameter: {
+        type: 'number',
+        default: 4,
+        min: 0.5,
+        max: 30,
+        description: 'Hole diameter in mm'
+      },
+      holeMargin: {
+        type: 'number',
+        default: 2,
+        min: 0.5,
+        max: 20,
+        description: 'Material in mm left around the hole'
+      },
+      bevelEnabled: {
+        type: 'boolean',
+        default: false,
+        description: 'Whether to bevel the extruded edges'
+      },
+      bevelThickness: {
+        type: 'number',
+        default: 0.5,
+        min: 0.05,
+        max: 5,
+        description: 'Bevel height in mm on each face (must be less than half the depth)'
+      },
+      bevelSize: {
+        type: 'number',
+        default: 0.3,
+        min: 0,
+        max: 5,
+        description: 'How far the bevel extends from the outline in mm'
+      },
+      bevelOffset: {
+        type: 'number',
+        default: 0,
+        min: -5,
+        max: 5,
+        description: 'Distance in mm from the outline where the bevel starts'
+      },
+      bevelSegments: {
+        type: 'number',
+        default: 3,
+        min: 1,
+        max: 10,
+        description: 'Number of bevel layers (1 gives a flat chamfer)'
+      },
+      nozzleWidth: {
+        type: 'number',
+        default: 0.4,
+        min: 0.1,
+        max: 2,
+        description: 'Printer nozzle width in mm, used by the printability report'
+      },
+      mode: {
+        type: 'string',
+        default: 'extrude',
+        options: ['extrude', 'heightmap', 'cookieCutter', 'stamp'],
+        description: "'extrude' converts SVG/traced shapes; 'heightmap' builds a relief (lithophane) from a PNG, JPEG, GIF or WebP upload; 'cookieCutter' and 'stamp' build tools from the artwork outline"
+      },
+      minThickness: {
+        type: 'number',
+        default: 0.8,
+        min: 0.2,
+        max: 10,
+        description: 'Heightmap thickness in mm for the darkest pixels (brightest when inverted)'
+      },
+      maxThickness: {
+        type: 'number',
+        default: 3,
+        min: 0.3,
+        max: 20,
+        description: 'Heightmap thickness in mm for the brightest pixels (darkest when inverted)'
+      },
+      resolution: {
+        type: 'number',
+        default: 4,
+        min: 0.5,
+        max: 10,
+        description: 'Heightmap samples per mm (at most one per pixel)'
+      },
+      invert: {
+        type: 'boolean',
+        default: false,
+        description: 'Make dark pixels thick, for backlit lithophanes'
+      },
+      frameWidth: {
+        type: 'number',
+        default: 0,
+        min: 0,
+        max: 20,
+        description: 'Width in mm of a border frame at maxThickness around the heightmap (0 for none)'
+      },
+      panelShape: {
+        type: 'string',
+        default: 'flat',
+        options: ['flat', 'cylinder'],
+        description: 'Heightmap panel shape'
+      },
+      curveAngle: {
+        type: 'number',
+        default: 120,
+        min: 10,
+        max: 330,
+        description: 'Arc in degrees a cylinder panel wraps around'
+      },
+      cutterHeight: {
+        type: 'number',
+        default: 15,
+        min: 3,
+        max: 100,
+        description: 'Cookie cutter height in mm, flange included'
+      },
+      cutterWallThickness: {
+        type: 'number',
+        default: 1,
+        min: 0.4,
+        max: 5,
+        description: 'Cookie cutter wall thickness in mm'
+      },
+      flangeWidth: {
+        type: 'number',
+        default: 4,
+        min: 0,
+        max: 20,
+        description: 'How far in mm the cookie cutter flange reaches beyond the wall (0 for none)'
+      },
+      flangeThickness: {
+        type: 'number',
+        default: 2,
+        min: 0.4,
+        max: 10,
+        description: 'Cookie cutter flange thickness in mm'
+      },
+      cutterImprint: {
+        type: 'boolean',
+        default: false,
+        description: 'Add cookie cutter walls along the interior detail to imprint it, bridged to the cutting wall where they do not touch it'
+      },
+      imprintHeight: {
+        type: 'number',
+        default: 8,
+        min: 1,
+        max: 100,
+        description: 'Height in mm of the imprint walls (less than cutterHeight)'
+      },
+      imprintWallThickness: {
+        type: 'number',
+        default: 0.8,
+        min: 0.4,
+        max: 5,
+        description: 'Imprint wall thickness in mm'
+      },
+      stampBaseShape: {
+        type: 'string',
+        default: 'roundedRectangle',
+        options: converter.stampGenerator.baseShapes,
+        description: 'Shape of the stamp base block'
+      },
+      stampBaseThickness: {
+        type: 'number',
+        default: 4,
+        min: 1,
+        max: 50,
+        description: 'Stamp base thickness in mm'
+      },
+      stampMargin: {
+        type: 'number',
+        default: 3,
+        min: 0,
+        max: 50,
+        description: 'Distance in mm between the stamp relief and the base edge'
+      },
+      stampHandle: {
+        type: 'boolean',
+        default: false,
+        description: 'Add a cylindrical handle, exported beside the base to glue onto its back'
+      },
+      handleDiameter: {
+        type: 'number',
+        default: 20,
+        min: 5,
+        max: 100,
+        description: 'Stamp handle diameter in mm'
+      },
+      handleHeight: {
+        type: 'number',
+        default: 20,
+        min: 5,
+        max: 100,
+        description: 'Stamp handle height in mm'
+      },
+      text: {
+        type: 'string',
+        default: null,
+        description: 'Text to render when no file or svgData is given, one line per newline (max 500 characters)'
+      },
+      font: {
+        type: 'string',
+        default: 'helvetiker',
+        options: converter.textRenderer.fonts,
+        description: 'Bundled font for the text input'
+      },
+      fontWeight: {
+        type: 'string',
+        default: 'normal',
+        options: ['normal', 'bold'],
+        description: 'Font weight for the text input'
+      },
+      textAlign: {
+        type: 'string',
+        default: 'center',
+        options: ['left', 'center', 'right'],
+        description: 'Alignment of the lines of the text input'
+      },
+      lineSpacing: {
+        type: 'number',
+        default: 1.2,
+        min: 0.5,
+        max: 3,
+        description: 'Distance between text baselines as a multiple of the font size'
+      },
+      traceColors: {
+        type: 'number',
+        default: 1,
+        min: 1,
+        max: 16,
+        description: 'Number of color layers when tracing bitmaps; 1 keeps single-color tracing'
+      },
+      tracePalette: {
+        type: 'array',
+        default: null,
+        description: 'Explicit CSS colors (array, JSON or comma-separated) to trace bitmap layers with'
+      },
+      removeBackground: {
+        type: 'boolean',
+        default: true,
+        description: 'Drop the traced layer of the color dominating the image border (multi-color tracing)'
+      },
+      traceThreshold: {
+        type: 'number',
+        default: 128,
+        min: 0,
+        max: 255,
+        options: ['auto'],
+        description: 'Luminance threshold for single-color tracing, or "auto" to pick one with Otsu\'s method'
+      },
+      traceBlackOnWhite: {
+        type: 'string',
+        default: 'auto',
+        options: ['auto', 'true', 'false'],
+        description: 'Trace dark shapes (true) or light shapes (false); "auto" decides from the image border'
+      },
+      traceTurdSize: {
+        type: 'number',
+        default: 20,
+        min: 0,
+        max: 1000,
+        description: 'Suppress speckles up to this many pixels'
+      },
+      traceAlphaMax: {
+        type: 'number',
+        default: 1,
+        min: 0,
+        max: 1.3334,
+        description: 'Corner threshold: 0 keeps every corner sharp, 1.3334 rounds everything'
+      },
+      traceOptCurve: {
+        type: 'boolean',
+        default: true,
+        description: 'Join adjacent Bézier segments where possible'
+      },
+      traceOptTolerance: {
+        type: 'number',
+        default: 0.2,
+        min: 0,
+        max: 5,
+        description: 'Error allowed when joining curve segments'
+      },
+      traceTurnPolicy: {
+        type: 'string',
+        default: 'minority',
+        options: ['black', 'white', 'left', 'right', 'minority', 'majority'],
+        description: 'How ambiguous pixel corners are resolved while tracing'
+      },
+      traceBackground: {
+        type: 'boolean',
+        default: null,
+        description: 'Add a background rect behind the trace; defaults to true for single-color and false for multi-color tracing'
+      },
+      tracePadding: {
+        type: 'number',
+        default: 8,
+        min: 0,
+        max: 1000,
+        description: 'Margin in source image pixels around the traced artwork'
+      },
+      traceCornerRadius: {
+        type: 'number',
+        default: 8,
+        min: 0,
+        max: 1000,
+        description: 'Corner radius in source image pixels of the background rect'
       }
     }
   };
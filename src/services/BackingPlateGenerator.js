@@ -0,0 +1,212 @@
+import { ShapeUtils, Vector2 } from 'three';
+import {
+  booleanPolygons,
+  offsetPolygons,
+  polygonsToShapes,
+  circlePolygon,
+  rectanglePolygon
+} from '../utils/polygonUtils.js';
+
+const HOLE_ANCHORS = {
+  top: { x: 0, y: 1 },
+  bottom: { x: 0, y: -1 },
+  left: { x: -1, y: 0 },
+  right: { x: 1, y: 0 },
+  topLeft: { x: -1, y: 1 },
+  topRight: { x: 1, y: 1 },
+  bottomLeft: { x: -1, y: -1 },
+  bottomRight: { x: 1, y: -1 }
+};
+
+export class BackingPlateGenerator {
+  constructor() {
+    this.plateShapes = ['rectangle', 'roundedRectangle', 'circle', 'outline'];
+    this.holeAnchors = Object.keys(HOLE_ANCHORS);
+  }
+
+  /**
+   * Generate the 2D outline of a backing plate around artwork contours
+   * @param {Array<Array<Vector2>>} artworkContours - Outer contours of the artwork in final millimetres
+   * @param {Object} options - Plate options
+   * @param {string} options.shape - 'rectangle', 'roundedRectangle', 'circle' or 'outline'
+   * @param {number} options.margin - Distance in mm between artwork and plate edge
+   * @param {number} options.cornerRadius - Corner radius in mm for roundedRectangle
+   * @param {string} options.holeAnchor - Hole position ('none', 'top', 'topLeft', ...)
+   * @param {number} options.holeDiameter - Hole diameter in mm
+   * @param {number} options.holeMargin - Material in mm left around the hole
+   * @returns {Array<Shape>} - Plate shapes in millimetres, ready for extrusion
+   */
+  generate(artworkContours, options = {}) {
+    const {
+      shape = 'rectangle',
+      margin = 3,
+      cornerRadius = 3,
+      holeAnchor = 'none',
+      holeDiameter = 4,
+      holeMargin = 2
+    } = options;
+
+    // Clipper treats clockwise contours as holes, so normalise every outer contour first
+    const contours = artworkContours
+      .filter(points => points.length > 2)
+      .map(points => (ShapeUtils.isClockWise(points) ? points.slice().reverse() : points));
+
+    if (contours.length === 0) {
+      throw new Error('Cannot generate backing plate - artwork has no outline');
+    }
+
+    const bounds = this.getBounds(contours);
+    let plate;
+
+    switch (shape) {
+      case 'roundedRectangle': {
+        const width = bounds.maxX - bounds.minX + margin * 2;
+        const height = bounds.maxY - bounds.minY + margin * 2;
+        const radius = Math.min(Math.max(cornerRadius, 0), Math.min(width, height) / 2 - 0.01);
+        const inset = rectanglePolygon(
+          bounds.minX - margin + radius,
+          bounds.minY - margin + radius,
+          bounds.maxX + margin - radius,
+          bounds.maxY + margin - radius
+        );
+        plate = radius > 0 ? offsetPolygons([inset], radius, 'round') : [inset];
+        break;
+      }
+
+      case 'circle': {
+        const cx = (bounds.minX + bounds.maxX) / 2;
+        const cy = (bounds.minY + bounds.maxY) / 2;
+        let radius = 0;
+        contours.forEach(points => points.forEach((point) => {
+          radius = Math.max(radius, Math.hypot(point.x - cx, point.y - cy));
+        }));
+        plate = [circlePolygon(cx, cy, radius + margin, 128)];
+        break;
+      }
+
+      case 'outline':
+        // Union of all outer contours grown by the margin, interior holes filled in
+        plate = offsetPolygons(contours, Math.max(margin, 0.01), 'round')
+          .filter(points => !ShapeUtils.isClockWise(points));
+        break;
+
+      case 'rectangle':
+      default:
+        plate = [rectanglePolygon(
+          bounds.minX - margin,
+          bounds.minY - margin,
+          bounds.maxX + margin,
+          bounds.maxY + margin
+        )];
+    }
+
+    if (holeAnchor && holeAnchor !== 'none') {
+      plate = this.punchHole(plate, bounds, { holeAnchor, holeDiameter, holeMargin });
+    }
+
+    return polygonsToShapes(plate);
+  }
+
+  /**
+   * Add a tab with a hanging/keyring hole at an anchor outside the artwork
+   * @param {Array<Array<Vector2>>} plate - Plate contours
+   * @param {Object} bounds - Artwork bounds in mm
+   * @param {Object} options - Hole options
+   * @returns {Array<Array<Vector2>>} - Plate contours with the hole punched
+   */
+  punchHole(plate, bounds, options) {
+    const { holeAnchor, holeDiameter, holeMargin } = options;
+    const direction = HOLE_ANCHORS[holeAnchor];
+
+    if (!direction) {
+      throw new Error(`Unsupported hole anchor: ${holeAnchor}`);
+    }
+
+    const holeRadius = holeDiameter / 2;
+    const tabRadius = holeRadius + holeMargin;
+    const cx = (bounds.minX + bounds.maxX) / 2;
+    const cy = (bounds.minY + bounds.maxY) / 2;
+
+    // Keep the hole clear of the artwork bounds by holeMargin
+    const anchorX = direction.x < 0 ? bounds.minX : direction.x > 0 ? bounds.maxX : cx;
+    const anchorY = direction.y < 0 ? bounds.minY : direction.y > 0 ? bounds.maxY : cy;
+    const center = new Vector2(anchorX + direction.x * tabRadius, anchorY + direction.y * tabRadius);
+
+    const tab = circlePolygon(center.x, center.y, tabRadius, 64);
+    let withTab = booleanPolygons(plate, [tab], 'union');
+
+    // A tab that does not overlap the plate (e.g. on a sparse outline) gets a bridge
+    const countOuter = contours => contours.filter(points => !ShapeUtils.isClockWise(points)).length;
+    if (countOuter(withTab) > countOuter(plate)) {
+      const bridge = this.createBridge(center, this.findNearestPoint(plate, center), tabRadius);
+      if (bridge) {
+        withTab = booleanPolygons(plate, [tab, bridge], 'union');
+      }
+    }
+
+    return booleanPolygons(withTab, [circlePolygon(center.x, center.y, holeRadius, 64)], 'difference');
+  }
+
+  /**
+   * Find the plate contour point closest to a position
+   * @param {Array<Array<Vector2>>} plate - Plate contours
+   * @param {Vector2} position - Reference position
+   * @returns {Vector2|null} - Nearest point
+   */
+  findNearestPoint(plate, position) {
+    let nearest = null;
+    let bestDistance = Infinity;
+
+    plate.forEach(points => points.forEach((point) => {
+      const distance = point.distanceTo(position);
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        nearest = point;
+      }
+    }));
+
+    return nearest;
+  }
+
+  /**
+   * Build a strip joining the hole tab to the plate, so the tab never floats free
+   * @param {Vector2} from - Tab center
+   * @param {Vector2} to - Nearest plate point
+   * @param {number} halfWidth - Half the strip width
+   * @returns {Array<Vector2>|null} - Counter-clockwise strip contour
+   */
+  createBridge(from, to, halfWidth) {
+    if (!to || from.distanceTo(to) < 1e-6) return null;
+
+    const direction = to.clone().sub(from).normalize();
+    const normal = new Vector2(-direction.y, direction.x).multiplyScalar(halfWidth);
+    const end = to.clone().add(direction.clone().multiplyScalar(halfWidth));
+
+    const strip = [
+      from.clone().sub(normal),
+      end.clone().sub(normal),
+      end.clone().add(normal),
+      from.clone().add(normal)
+    ];
+
+    return ShapeUtils.isClockWise(strip) ? strip.reverse() : strip;
+  }
+
+  /**
+   * Get the bounding box of a set of contours
+   * @param {Array<Array<Vector2>>} contours - Contours
+   * @returns {Object} - { minX, minY, maxX, maxY }
+   */
+  getBounds(contours) {
+    const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+
+    contours.forEach(points => points.forEach((point) => {
+      bounds.minX = Math.min(bounds.minX, point.x);
+      bounds.minY = Math.min(bounds.minY, point.y);
+      bounds.maxX = Math.max(bounds.maxX, point.x);
+      bounds.maxY = Math.max(bounds.maxY, point.y);
+    }));
+
+    return bounds;
+  }
+}
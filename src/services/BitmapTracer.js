@@ -0,0 +1,531 @@
+import potrace from 'potrace';
+import Jimp from 'jimp';
+import { readImage } from '../utils/imageUtils.js';
+import { parseColor } from '../utils/colorUtils.js';
+
+// Larger images are downscaled before multi-color tracing, which traces the image once per color
+const MAX_TRACE_DIMENSION = 1000;
+
+// Pixels sampled when building a palette
+const MAX_PALETTE_SAMPLES = 20000;
+
+// potrace parameters accepted from requests, with the defaults this service has always traced with
+const DEFAULT_TRACE_PARAMS = {
+  turdSize: 20,
+  alphaMax: 1,
+  optCurve: true,
+  optTolerance: 0.2,
+  turnPolicy: 'minority'
+};
+
+export class BitmapTracer {
+  constructor() {
+    this.turnPolicies = ['black', 'white', 'left', 'right', 'minority', 'majority'];
+  }
+
+  /**
+   * Trace a bitmap into SVG, in a single color or one layer per color
+   * @param {Buffer} imageBuffer - PNG, JPEG, GIF or WebP data
+   * @param {Object} options - Tracing options
+   * @param {number} options.colors - Number of color layers; above 1 traces each color separately
+   * @param {Array<string>} options.palette - Explicit layer colors for multi-color tracing
+   * @param {boolean} options.removeBackground - Drop the border color layer in multi-color tracing
+   * @param {number|string} options.threshold - Luminance threshold (0-255), or 'auto' for Otsu's method
+   * @param {boolean|string} options.blackOnWhite - Trace dark shapes (true), light shapes (false) or decide from the border ('auto')
+   * @param {number} options.turdSize - Speckle size in pixels that potrace suppresses
+   * @param {number} options.alphaMax - Corner threshold (0 keeps sharp corners, 1.3334 rounds everything)
+   * @param {boolean} options.optCurve - Join adjacent curve segments
+   * @param {number} options.optTolerance - Error allowed when joining curve segments
+   * @param {string} options.turnPolicy - How potrace resolves ambiguous pixel corners
+   * @param {boolean} options.background - Add a background rect behind the trace
+   * @param {number} options.padding - Margin in source pixels around the image
+   * @param {number} options.cornerRadius - Background corner radius in source pixels
+   * @returns {Promise<Object>} - { svg, width, height, layers: [{ color, pixelCount }], threshold, blackOnWhite }
+   * @throws {Error} - When no shape survives tracing
+   */
+  async trace(imageBuffer, options = {}) {
+    const {
+      colors = 1,
+      palette = null,
+      removeBackground = true,
+      threshold = 128,
+      blackOnWhite = 'auto',
+      padding = 8,
+      cornerRadius = 8
+    } = options;
+
+    const multiColor = colors > 1 || (palette && palette.length > 0);
+    const { background = !multiColor } = options;
+    const params = {};
+    Object.keys(DEFAULT_TRACE_PARAMS).forEach((key) => {
+      params[key] = options[key] ?? DEFAULT_TRACE_PARAMS[key];
+    });
+
+    let image;
+    try {
+      image = await readImage(imageBuffer);
+    } catch (error) {
+      throw new Error(`Failed to read image for tracing: ${error.message}`);
+    }
+
+    let result;
+    if (multiColor) {
+      if (Math.max(image.bitmap.width, image.bitmap.height) > MAX_TRACE_DIMENSION) {
+        image.scaleToFit(MAX_TRACE_DIMENSION, MAX_TRACE_DIMENSION, Jimp.RESIZE_BILINEAR);
+      }
+      result = await this.traceColorLayers(image, { colors, palette, removeBackground, params });
+    } else {
+      result = await this.traceMonochrome(image, { threshold, blackOnWhite, params });
+    }
+
+    // A background rect alone would still convert, into a blank plate
+    if (result.paths.length === 0) {
+      throw new Error(multiColor
+        ? `Nothing to trace in image: no color layer survived tracing${removeBackground ? ' once the border color was removed' : ''}`
+        : `Nothing to trace in image: no ${result.blackOnWhite ? 'dark' : 'light'} shapes survived tracing at threshold ${result.threshold}`);
+    }
+
+    const { width, height } = image.bitmap;
+    const backgroundColor = result.blackOnWhite === false ? 'black' : 'white';
+    const svg = this.buildSvg(result.paths, width, height, { background, backgroundColor, padding, cornerRadius });
+
+    return {
+      svg,
+      width,
+      height,
+      layers: result.layers,
+      threshold: result.threshold ?? null,
+      blackOnWhite: result.blackOnWhite ?? null
+    };
+  }
+
+  /**
+   * Trace the pixels on one side of a luminance threshold as a single path
+   * @param {Jimp} image - Source image
+   * @param {Object} options - { threshold, blackOnWhite, params }
+   * @returns {Promise<Object>} - { paths, layers, threshold, blackOnWhite }
+   */
+  async traceMonochrome(image, options = {}) {
+    const { threshold = 128, blackOnWhite = 'auto', params = DEFAULT_TRACE_PARAMS } = options;
+    const luminance = this.getLuminance(image.bitmap);
+
+    const level = threshold === 'auto' ? this.otsuThreshold(luminance) : threshold;
+    const darkShapes = blackOnWhite === 'auto'
+      ? this.getBorderLuminance(luminance, image.bitmap.width, image.bitmap.height) >= level
+      : blackOnWhite;
+    const color = darkShapes ? 'black' : 'white';
+
+    let pixelCount = 0;
+    luminance.forEach((value) => {
+      if (darkShapes ? value <= level : value >= level) pixelCount++;
+    });
+
+    const path = await this.traceMask(image, color, { ...params, threshold: level, blackOnWhite: darkShapes });
+    console.log(`Traced ${darkShapes ? 'dark' : 'light'} shapes at threshold ${level}`);
+
+    return {
+      paths: path ? [path] : [],
+      layers: path ? [{ color, pixelCount }] : [],
+      threshold: level,
+      blackOnWhite: darkShapes
+    };
+  }
+
+  /**
+   * Trace one path per quantized color
+   * potrace's Posterizer only stacks translucent grayscale thresholds, so colors are quantized
+   * here and every color is traced from its own black/white mask instead.
+   * @param {Jimp} image - Source image
+   * @param {Object} options - { colors, palette, removeBackground, params }
+   * @returns {Promise<Object>} - { paths, layers }
+   */
+  async traceColorLayers(image, options = {}) {
+    const {
+      colors = 4,
+      palette = null,
+      removeBackground = true,
+      params = DEFAULT_TRACE_PARAMS
+    } = options;
+
+    const { width, height, data } = image.bitmap;
+    const centres = palette && palette.length > 0
+      ? palette.map(value => this.toRgb(value))
+      : this.buildPalette(data, colors);
+
+    const labels = this.assignPixels(data, centres);
+    const counts = new Array(centres.length).fill(0);
+    labels.forEach((label) => {
+      if (label >= 0) counts[label]++;
+    });
+
+    const skip = new Set(counts.map((count, index) => (count === 0 ? index : -1)).filter(index => index >= 0));
+    if (removeBackground) {
+      const background = this.findBorderColor(labels, width, height, centres.length);
+      if (background >= 0) skip.add(background);
+    }
+
+    // Largest layers first, so smaller details paint on top
+    const order = centres
+      .map((centre, index) => index)
+      .filter(index => !skip.has(index))
+      .sort((a, b) => counts[b] - counts[a]);
+
+    const layers = [];
+    const paths = [];
+
+    for (const index of order) {
+      const color = this.toHex(centres[index]);
+      const mask = this.createMask(labels, index, width, height);
+      const path = await this.traceMask(mask, color, { ...params, threshold: 128, blackOnWhite: true });
+
+      if (path) {
+        paths.push(path);
+        layers.push({ color, pixelCount: counts[index] });
+      }
+    }
+
+    console.log(`Traced ${layers.length} color layers: ${layers.map(({ color }) => color).join(', ')}`);
+
+    return { paths, layers };
+  }
+
+  /**
+   * Wrap traced paths in an SVG sized to the source image
+   * @param {Array<string>} paths - Path tags in source pixel coordinates
+   * @param {number} width - Source image width
+   * @param {number} height - Source image height
+   * @param {Object} options - { background, backgroundColor, padding, cornerRadius }
+   * @returns {string} - SVG document
+   */
+  buildSvg(paths, width, height, options = {}) {
+    const { background = true, backgroundColor = 'white', padding = 8, cornerRadius = 8 } = options;
+    const totalWidth = width + padding * 2;
+    const totalHeight = height + padding * 2;
+    const radius = Math.min(cornerRadius, totalWidth / 2, totalHeight / 2);
+
+    const backgroundRect = background
+      ? `\n  <rect x="0" y="0" width="${totalWidth}" height="${totalHeight}" rx="${radius}" ry="${radius}" fill="${backgroundColor}"/>`
+      : '';
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${totalWidth}" height="${totalHeight}" viewBox="0 0 ${totalWidth} ${totalHeight}">${backgroundRect}
+  <g transform="translate(${padding},${padding})">
+    ${paths.join('\n    ')}
+  </g>
+</svg>`;
+  }
+
+  /**
+   * Luminance of every pixel, over a white background like potrace reads it
+   * @param {Object} bitmap - Jimp bitmap ({ width, height, data } in RGBA)
+   * @returns {Uint8Array} - Luminance (0-255) per pixel
+   */
+  getLuminance(bitmap) {
+    const { data } = bitmap;
+    const luminance = new Uint8Array(data.length / 4);
+
+    for (let p = 0; p < luminance.length; p++) {
+      const offset = p * 4;
+      const opacity = data[offset + 3] / 255;
+      const r = 255 + (data[offset] - 255) * opacity;
+      const g = 255 + (data[offset + 1] - 255) * opacity;
+      const b = 255 + (data[offset + 2] - 255) * opacity;
+      luminance[p] = Math.round(0.2126 * r + 0.7153 * g + 0.0721 * b);
+    }
+
+    return luminance;
+  }
+
+  /**
+   * Otsu's method: the threshold that maximises the variance between the two classes
+   * Like potrace, pixels at or below the threshold fall in the dark class.
+   * @param {Uint8Array} luminance - Luminance per pixel
+   * @returns {number} - Threshold (0-255)
+   */
+  otsuThreshold(luminance) {
+    const histogram = new Array(256).fill(0);
+    luminance.forEach((value) => { histogram[value]++; });
+
+    const total = luminance.length;
+    let sum = 0;
+    for (let level = 0; level < 256; level++) sum += level * histogram[level];
+
+    let backgroundWeight = 0;
+    let backgroundSum = 0;
+    let bestVariance = -1;
+    let best = 128;
+    let bestEnd = 128;
+
+    for (let level = 0; level < 256; level++) {
+      backgroundWeight += histogram[level];
+      if (backgroundWeight === 0) continue;
+
+      const foregroundWeight = total - backgroundWeight;
+      if (foregroundWeight === 0) break;
+
+      backgroundSum += level * histogram[level];
+      const meanBackground = backgroundSum / backgroundWeight;
+      const meanForeground = (sum - backgroundSum) / foregroundWeight;
+      const variance = backgroundWeight * foregroundWeight * (meanBackground - meanForeground) ** 2;
+
+      if (variance > bestVariance) {
+        bestVariance = variance;
+        best = level;
+        bestEnd = level;
+      } else if (variance === bestVariance) {
+        bestEnd = level;
+      }
+    }
+
+    // Empty bins leave a plateau of equally good levels; split in the middle of the gap
+    return Math.round((best + bestEnd) / 2);
+  }
+
+  /**
+   * Mean luminance of the image border, used to tell light-on-dark artwork apart
+   * @param {Uint8Array} luminance - Luminance per pixel
+   * @param {number} width - Image width
+   * @param {number} height - Image height
+   * @returns {number} - Mean border luminance (0-255)
+   */
+  getBorderLuminance(luminance, width, height) {
+    let sum = 0;
+    let count = 0;
+    const add = (x, y) => {
+      sum += luminance[y * width + x];
+      count++;
+    };
+
+    for (let x = 0; x < width; x++) {
+      add(x, 0);
+      add(x, height - 1);
+    }
+    for (let y = 1; y < height - 1; y++) {
+      add(0, y);
+      add(width - 1, y);
+    }
+
+    return count > 0 ? sum / count : 255;
+  }
+
+  /**
+   * Pick representative colors by splitting color boxes, refined by a few k-means passes
+   * @param {Buffer} data - RGBA pixel data
+   * @param {number} count - Number of colors
+   * @returns {Array<Array<number>>} - [r, g, b] centres
+   */
+  buildPalette(data, count) {
+    const pixelCount = data.length / 4;
+    const stride = Math.max(Math.floor(pixelCount / MAX_PALETTE_SAMPLES), 1);
+    const samples = [];
+
+    for (let p = 0; p < pixelCount; p += stride) {
+      const offset = p * 4;
+      if (data[offset + 3] >= 128) {
+        samples.push([data[offset], data[offset + 1], data[offset + 2]]);
+      }
+    }
+
+    if (samples.length === 0) return [];
+
+    // Median cut variant: repeatedly split the box with the widest channel range at the middle
+    // of that range, so a dominant background cannot swallow the splits of smaller logo colors
+    let boxes = [samples];
+    while (boxes.length < count) {
+      let widest = null;
+      boxes.forEach((box, index) => {
+        for (let channel = 0; channel < 3; channel++) {
+          let min = 255;
+          let max = 0;
+          box.forEach((pixel) => {
+            min = Math.min(min, pixel[channel]);
+            max = Math.max(max, pixel[channel]);
+          });
+          if (!widest || max - min > widest.range) {
+            widest = { index, channel, range: max - min, middle: (min + max) / 2 };
+          }
+        }
+      });
+
+      if (!widest || widest.range === 0) break;
+
+      const box = boxes[widest.index];
+      const low = box.filter(pixel => pixel[widest.channel] <= widest.middle);
+      const high = box.filter(pixel => pixel[widest.channel] > widest.middle);
+      boxes = [...boxes.slice(0, widest.index), low, high, ...boxes.slice(widest.index + 1)];
+    }
+
+    let centres = boxes.map(box => this.averageColor(box));
+
+    for (let pass = 0; pass < 5; pass++) {
+      const clusters = centres.map(() => []);
+      samples.forEach(pixel => clusters[this.nearestColor(pixel, centres)].push(pixel));
+      centres = clusters.map((cluster, index) => (cluster.length > 0 ? this.averageColor(cluster) : centres[index]));
+    }
+
+    return centres;
+  }
+
+  /**
+   * Label every pixel with its nearest palette color; transparent pixels get -1
+   * @param {Buffer} data - RGBA pixel data
+   * @param {Array<Array<number>>} centres - Palette colors
+   * @returns {Int16Array} - Palette index per pixel
+   */
+  assignPixels(data, centres) {
+    const labels = new Int16Array(data.length / 4);
+    const cache = new Map();
+
+    for (let p = 0; p < labels.length; p++) {
+      const offset = p * 4;
+      if (data[offset + 3] < 128 || centres.length === 0) {
+        labels[p] = -1;
+        continue;
+      }
+
+      const key = (data[offset] << 16) | (data[offset + 1] << 8) | data[offset + 2];
+      let label = cache.get(key);
+      if (label === undefined) {
+        label = this.nearestColor([data[offset], data[offset + 1], data[offset + 2]], centres);
+        cache.set(key, label);
+      }
+      labels[p] = label;
+    }
+
+    return labels;
+  }
+
+  /**
+   * Find the palette color covering most of the image border
+   * @param {Int16Array} labels - Palette index per pixel
+   * @param {number} width - Image width
+   * @param {number} height - Image height
+   * @param {number} colorCount - Palette size
+   * @returns {number} - Palette index, or -1 when the border is transparent
+   */
+  findBorderColor(labels, width, height, colorCount) {
+    const counts = new Array(colorCount).fill(0);
+    const count = (x, y) => {
+      const label = labels[y * width + x];
+      if (label >= 0) counts[label]++;
+    };
+
+    for (let x = 0; x < width; x++) {
+      count(x, 0);
+      count(x, height - 1);
+    }
+    for (let y = 1; y < height - 1; y++) {
+      count(0, y);
+      count(width - 1, y);
+    }
+
+    const best = counts.indexOf(Math.max(...counts));
+    return counts[best] > 0 ? best : -1;
+  }
+
+  /**
+   * Build a black-on-white image of the pixels carrying one palette index
+   * @param {Int16Array} labels - Palette index per pixel
+   * @param {number} index - Palette index to keep
+   * @param {number} width - Image width
+   * @param {number} height - Image height
+   * @returns {Jimp} - Mask image
+   */
+  createMask(labels, index, width, height) {
+    const mask = new Jimp(width, height, 0xffffffff);
+    const { data } = mask.bitmap;
+
+    labels.forEach((label, p) => {
+      if (label === index) {
+        data[p * 4] = 0;
+        data[p * 4 + 1] = 0;
+        data[p * 4 + 2] = 0;
+      }
+    });
+
+    return mask;
+  }
+
+  /**
+   * Trace an image into a single filled path tag
+   * @param {Jimp} mask - Image to trace (a black-on-white mask for color layers)
+   * @param {string} color - Fill color for the path
+   * @param {Object} options - potrace options
+   * @returns {Promise<string|null>} - Path tag, or null when nothing survived tracing
+   */
+  traceMask(mask, color, options = {}) {
+    return new Promise((resolve, reject) => {
+      const tracer = new potrace.Potrace({ ...DEFAULT_TRACE_PARAMS, threshold: 128, blackOnWhite: true, ...options });
+
+      tracer.loadImage(mask, (err) => {
+        if (err) {
+          reject(new Error(`Failed to trace color layer ${color}: ${err.message}`));
+          return;
+        }
+
+        const tag = tracer.getPathTag(color);
+        resolve(/d=""/.test(tag) ? null : tag);
+      });
+    });
+  }
+
+  /**
+   * Index of the nearest color by squared RGB distance
+   * @param {Array<number>} pixel - [r, g, b]
+   * @param {Array<Array<number>>} centres - Palette colors
+   * @returns {number} - Palette index
+   */
+  nearestColor(pixel, centres) {
+    let best = 0;
+    let bestDistance = Infinity;
+
+    centres.forEach((centre, index) => {
+      const distance = (pixel[0] - centre[0]) ** 2 + (pixel[1] - centre[1]) ** 2 + (pixel[2] - centre[2]) ** 2;
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        best = index;
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Mean color of a set of pixels
+   * @param {Array<Array<number>>} pixels - [r, g, b] pixels
+   * @returns {Array<number>} - [r, g, b]
+   */
+  averageColor(pixels) {
+    const sum = [0, 0, 0];
+    pixels.forEach((pixel) => {
+      sum[0] += pixel[0];
+      sum[1] += pixel[1];
+      sum[2] += pixel[2];
+    });
+
+    return sum.map(value => Math.round(value / pixels.length));
+  }
+
+  /**
+   * Convert a CSS color to 8-bit sRGB components
+   * @param {string} value - CSS color
+   * @returns {Array<number>} - [r, g, b]
+   */
+  toRgb(value) {
+    const color = parseColor(value);
+    if (!color) {
+      throw new Error(`Invalid palette color: ${value}`);
+    }
+
+    const hex = color.getHex();
+    return [(hex >> 16) & 255, (hex >> 8) & 255, hex & 255];
+  }
+
+  /**
+   * Format 8-bit sRGB components as a hex color
+   * @param {Array<number>} rgb - [r, g, b]
+   * @returns {string} - '#rrggbb'
+   */
+  toHex(rgb) {
+    return `#${rgb.map(value => value.toString(16).padStart(2, '0')).join('')}`;
+  }
+}
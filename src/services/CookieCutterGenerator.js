@@ -0,0 +1,182 @@
+import { ShapeUtils, Vector2 } from 'three';
+import {
+  booleanPolygons,
+  offsetPolygons,
+  polygonArea,
+  polygonsToShapes,
+  strokeToShapes
+} from '../utils/polygonUtils.js';
+
+export class CookieCutterGenerator {
+  /**
+   * Build the parts of a cookie cutter around artwork contours
+   * Parts are laid out the way the cutter prints: flange on Z = 0 and the cutting edge on top.
+   * @param {Array<Array<Vector2>>} contours - Artwork contours in mm, outer contours counter-clockwise and holes clockwise
+   * @param {Object} options - Cutter options
+   * @param {number} options.height - Total cutter height in mm, flange included
+   * @param {number} options.wallThickness - Thickness in mm of the cutting wall
+   * @param {number} options.flangeWidth - How far in mm the flange reaches beyond the wall (0 for none)
+   * @param {number} options.flangeThickness - Flange thickness in mm
+   * @param {boolean} options.imprint - Add walls along the interior detail that press it into the dough,
+   *   with low bridges on the back tying detail that does not touch the outline to the cutting wall
+   * @param {number} options.imprintHeight - Height in mm of the imprint walls, below the cutting edge
+   * @param {number} options.imprintWallThickness - Thickness in mm of the imprint walls
+   * @returns {Array<Object>} - Parts as { name, shapes, startZ, depth }, shapes in mm
+   */
+  generate(contours, options = {}) {
+    const {
+      height = 15,
+      wallThickness = 1,
+      flangeWidth = 4,
+      flangeThickness = 2,
+      imprint = false,
+      imprintHeight = 8,
+      imprintWallThickness = 0.8
+    } = options;
+
+    const hasFlange = flangeWidth > 0;
+    if (hasFlange && height <= flangeThickness) {
+      throw new Error(`Invalid cookie cutter: height (${height}mm) must be greater than the flange thickness (${flangeThickness}mm)`);
+    }
+    if (imprint && imprintHeight >= height) {
+      throw new Error(`Invalid cookie cutter: imprint height (${imprintHeight}mm) must be less than the cutter height (${height}mm)`);
+    }
+
+    const silhouette = this.getSilhouette(contours);
+    if (silhouette.length === 0) {
+      throw new Error('Cannot generate cookie cutter - artwork has no outline');
+    }
+
+    // Rings hug the silhouette from outside, so the cut shape keeps the artwork's size. Mitered joins
+    // keep corners crisp, and avoid round-join arcs ending level with the silhouette's straight edges,
+    // which the cap triangulation collapses into cracks.
+    const ring = width => booleanPolygons(offsetPolygons(silhouette, width, 'miter', 2), silhouette, 'difference');
+    const wallBase = hasFlange ? flangeThickness : 0;
+    const parts = [];
+
+    if (hasFlange) {
+      parts.push({
+        name: 'cutter_flange',
+        shapes: polygonsToShapes(ring(wallThickness + flangeWidth)),
+        startZ: 0,
+        depth: flangeThickness
+      });
+    }
+
+    parts.push({
+      name: 'cutter_wall',
+      shapes: polygonsToShapes(ring(wallThickness)),
+      startZ: wallBase,
+      depth: height - wallBase
+    });
+
+    if (imprint) {
+      // Every artwork edge becomes a wall; the ones along the silhouette line the inside of the cutter and hold the rest
+      const strokes = strokeToShapes(
+        contours.map(points => ({ points, closed: true })),
+        { width: imprintWallThickness, lineJoin: 'round' }
+      );
+      const strokeContours = strokes.flatMap((shape) => {
+        const { shape: outer, holes } = shape.extractPoints(1);
+        return [outer, ...holes];
+      });
+      const imprintContours = booleanPolygons(strokeContours, silhouette, 'intersection');
+      const imprintShapes = polygonsToShapes(imprintContours);
+
+      if (imprintShapes.length > 0) {
+        parts.push({
+          name: 'cutter_imprint',
+          shapes: imprintShapes,
+          startZ: 0,
+          depth: imprintHeight
+        });
+      }
+
+      // Bridges stay at most half as high as the imprint walls, so they never reach the dough
+      const bridges = this.bridgeIslands(imprintContours, silhouette, imprintWallThickness);
+      if (bridges.length > 0) {
+        parts.push({
+          name: 'cutter_bridge',
+          shapes: polygonsToShapes(bridges),
+          startZ: 0,
+          depth: Math.min(hasFlange ? flangeThickness : imprintHeight, imprintHeight / 2)
+        });
+      }
+    }
+
+    console.log(`Cookie cutter: ${silhouette.length} outline(s), ${height}mm high, ${wallThickness}mm wall${imprint ? ', with imprint' : ''}`);
+    return parts;
+  }
+
+  /**
+   * Join imprint walls that do not touch the silhouette to it with straight strips
+   * Each strip runs from the island to the nearest point of the silhouette, where the cutting wall starts.
+   * @param {Array<Array<Vector2>>} imprintContours - Imprint wall contours, clipped to the silhouette
+   * @param {Array<Array<Vector2>>} silhouette - Counter-clockwise silhouette contours
+   * @param {number} width - Strip width in mm
+   * @returns {Array<Array<Vector2>>} - Bridge contours, clipped to the silhouette and clear of the imprint walls
+   */
+  bridgeIslands(imprintContours, silhouette, width) {
+    // Anything left after cutting away a thin band along the silhouette edge touches the silhouette
+    const inner = offsetPolygons(silhouette, -width / 4, 'miter', 2);
+    const strips = [];
+
+    polygonsToShapes(imprintContours).forEach((shape) => {
+      const outer = shape.extractPoints(1).shape;
+      const touching = booleanPolygons([outer], inner, 'difference')
+        .reduce((sum, points) => sum + Math.abs(polygonArea(points)), 0);
+      if (touching > 1e-6) return;
+
+      const { from, to } = this.findClosestPoints(outer, silhouette);
+      const direction = to.clone().sub(from).normalize();
+      const normal = new Vector2(-direction.y, direction.x).multiplyScalar(width / 2);
+      // Overshoot the silhouette so the strip meets the wall edge after clipping
+      const end = to.clone().add(direction.clone().multiplyScalar(width));
+      const strip = [from.clone().sub(normal), end.clone().sub(normal), end.clone().add(normal), from.clone().add(normal)];
+      strips.push(ShapeUtils.isClockWise(strip) ? strip.reverse() : strip);
+    });
+
+    if (strips.length === 0) return [];
+
+    return booleanPolygons(booleanPolygons(strips, silhouette, 'intersection'), imprintContours, 'difference');
+  }
+
+  /**
+   * Find the closest pair of a contour vertex and a point on the silhouette edges
+   * @param {Array<Vector2>} points - Contour points
+   * @param {Array<Array<Vector2>>} silhouette - Silhouette contours
+   * @returns {Object} - { from: contour vertex, to: silhouette point }
+   */
+  findClosestPoints(points, silhouette) {
+    let best = { distance: Infinity, from: null, to: null };
+
+    silhouette.forEach(contour => contour.forEach((start, index) => {
+      const end = contour[(index + 1) % contour.length];
+      const edge = end.clone().sub(start);
+      const lengthSq = edge.lengthSq();
+
+      points.forEach((point) => {
+        const t = lengthSq > 0 ? Math.min(Math.max(point.clone().sub(start).dot(edge) / lengthSq, 0), 1) : 0;
+        const closest = start.clone().add(edge.clone().multiplyScalar(t));
+        const distance = closest.distanceTo(point);
+        if (distance < best.distance) {
+          best = { distance, from: point, to: closest };
+        }
+      });
+    }));
+
+    return best;
+  }
+
+  /**
+   * Outer outline of the artwork, with every hole and island filled in
+   * @param {Array<Array<Vector2>>} contours - Oriented artwork contours
+   * @returns {Array<Array<Vector2>>} - Counter-clockwise silhouette contours
+   */
+  getSilhouette(contours) {
+    const outers = polygons => polygons.filter(points => points.length > 2 && !ShapeUtils.isClockWise(points));
+
+    // The second union swallows islands that sat inside the holes dropped by the first
+    return outers(booleanPolygons(outers(booleanPolygons(contours, [], 'union')), [], 'union'));
+  }
+}
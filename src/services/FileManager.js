@@ -41,12 +41,13 @@ export class FileManager {
    * @param {Buffer} buffer - File data buffer
    * @param {string} format - File format (stl, gltf, etc.)
    * @param {string} fileName - Original file name
+   * @param {string} extension - File extension, when it differs from the format (e.g. zipped obj)
    * @returns {string} - File ID for retrieval
    */
-  saveFile(buffer, format, fileName) {
+  saveFile(buffer, format, fileName, extension = format) {
     const fileId = this.generateFileId();
     const timestamp = Date.now();
-    const filePath = path.join(this.tempDir, `${fileId}.${format}`);
+    const filePath = path.join(this.tempDir, `${fileId}.${extension}`);
     
     console.log('Saving file:', {
       fileId,
@@ -64,7 +65,7 @@ export class FileManager {
       fileId,
       filePath,
       format,
-      fileName: `${fileName}.${format}`,
+      fileName: `${fileName}.${extension}`,
       mimeType: this.getMimeType(format),
       fileSize: buffer.length,
       createdAt: timestamp,
@@ -150,7 +151,8 @@ export class FileManager {
       stl: 'application/octet-stream',
       gltf: 'application/octet-stream',
       '3mf': 'application/octet-stream',
-      obj: 'text/plain'
+      obj: 'application/zip', // OBJ is delivered zipped together with its MTL file
+      zip: 'application/zip'
     };
     
     return mimeTypes[format] || 'application/octet-stream';
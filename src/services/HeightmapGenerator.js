@@ -0,0 +1,253 @@
+import { BufferGeometry, Float32BufferAttribute, Group, Mesh, MeshPhongMaterial } from 'three';
+import Jimp from 'jimp';
+import { readImage } from '../utils/imageUtils.js';
+
+// Upper bound on height samples, keeping meshes within the service's memory budget
+const MAX_SAMPLES = 400000;
+
+export class HeightmapGenerator {
+  constructor() {
+    this.panelShapes = ['flat', 'cylinder'];
+    this.supportedMimeTypes = ['image/png', 'image/jpeg', 'image/jpg', 'image/gif', 'image/webp'];
+  }
+
+  /**
+   * Build a solid relief panel from the luminance of a bitmap
+   * @param {Buffer} imageBuffer - PNG, JPEG, GIF or WebP data
+   * @param {Object} options - Heightmap options
+   * @param {number} options.size - Length in mm of the longer image side (arc length when curved)
+   * @param {number} options.minThickness - Thickness in mm of the darkest pixels (brightest when inverted)
+   * @param {number} options.maxThickness - Thickness in mm of the brightest pixels (darkest when inverted)
+   * @param {number} options.resolution - Height samples per mm
+   * @param {boolean} options.invert - Make dark pixels thick, as backlit lithophanes need
+   * @param {number} options.frameWidth - Width in mm of a border frame at maxThickness (0 for none)
+   * @param {string} options.panelShape - 'flat' or 'cylinder'
+   * @param {number} options.curveAngle - Arc in degrees the panel wraps around when cylindrical
+   * @returns {Promise<Group>} - Group holding the relief mesh, in millimetres
+   */
+  async generate(imageBuffer, options = {}) {
+    const {
+      size = 37,
+      minThickness = 0.8,
+      maxThickness = 3,
+      resolution = 4,
+      invert = false,
+      frameWidth = 0,
+      panelShape = 'flat',
+      curveAngle = 120
+    } = options;
+
+    if (maxThickness <= minThickness) {
+      throw new Error('Invalid heightmap thickness: maxThickness must be greater than minThickness');
+    }
+
+    let image;
+    try {
+      image = await readImage(imageBuffer);
+    } catch (error) {
+      throw new Error(`Failed to read image for heightmap: ${error.message}`);
+    }
+
+    const { width: imageWidth, height: imageHeight } = image.bitmap;
+    const scale = size / Math.max(imageWidth, imageHeight);
+    const panelWidth = imageWidth * scale;
+    const panelHeight = imageHeight * scale;
+
+    // One sample per pixel at most, and never more than MAX_SAMPLES in total
+    let columns = Math.min(Math.max(Math.round(panelWidth * resolution), 2), imageWidth);
+    let rows = Math.min(Math.max(Math.round(panelHeight * resolution), 2), imageHeight);
+    if (columns * rows > MAX_SAMPLES) {
+      const factor = Math.sqrt(MAX_SAMPLES / (columns * rows));
+      columns = Math.max(Math.floor(columns * factor), 2);
+      rows = Math.max(Math.floor(rows * factor), 2);
+    }
+
+    image.resize(columns, rows, Jimp.RESIZE_BILINEAR);
+    const levels = this.getLuminance(image.bitmap, invert);
+    const thicknessAt = (column, row) => minThickness + (maxThickness - minThickness) * levels[row * columns + column];
+
+    // Samples sit at pixel centres; the panel edge repeats the outermost sample, or carries the frame
+    const cellWidth = panelWidth / columns;
+    const cellHeight = panelHeight / rows;
+    const frame = frameWidth > 0;
+    const edge = frame ? 2 : 1;
+
+    const xs = [];
+    if (frame) xs.push(-frameWidth);
+    xs.push(0);
+    for (let i = 0; i < columns; i++) xs.push((i + 0.5) * cellWidth);
+    xs.push(panelWidth);
+    if (frame) xs.push(panelWidth + frameWidth);
+
+    // Image rows run top to bottom, model Y runs bottom to top
+    const ys = [];
+    if (frame) ys.push(-frameWidth);
+    ys.push(0);
+    for (let k = 0; k < rows; k++) ys.push((k + 0.5) * cellHeight);
+    ys.push(panelHeight);
+    if (frame) ys.push(panelHeight + frameWidth);
+
+    const heights = new Float32Array(xs.length * ys.length);
+    for (let j = 0; j < ys.length; j++) {
+      for (let i = 0; i < xs.length; i++) {
+        const inFrame = frame && (i < edge || j < edge || i >= xs.length - edge || j >= ys.length - edge);
+        const column = Math.min(Math.max(i - edge, 0), columns - 1);
+        const row = rows - 1 - Math.min(Math.max(j - edge, 0), rows - 1);
+        heights[j * xs.length + i] = inFrame ? maxThickness : thicknessAt(column, row);
+      }
+    }
+
+    const geometry = this.buildSolid(xs, ys, heights);
+
+    if (panelShape === 'cylinder') {
+      this.bendAroundCylinder(geometry, xs[0], xs[xs.length - 1], curveAngle, maxThickness);
+    }
+
+    // Centre on the XY origin with the back of the panel on Z = 0
+    geometry.computeBoundingBox();
+    const { min, max } = geometry.boundingBox;
+    geometry.translate(-(min.x + max.x) / 2, -(min.y + max.y) / 2, -min.z);
+    geometry.computeVertexNormals();
+
+    const mesh = new Mesh(geometry, new MeshPhongMaterial({ color: 0xffffff }));
+    mesh.name = 'heightmap';
+
+    const group = new Group();
+    group.add(mesh);
+
+    console.log(`Heightmap: ${columns}x${rows} samples, ${(xs[xs.length - 1] - xs[0]).toFixed(2)} x ${(ys[ys.length - 1] - ys[0]).toFixed(2)} mm`);
+    return group;
+  }
+
+  /**
+   * Per-pixel brightness, with transparent pixels treated as white
+   * @param {Object} bitmap - Jimp bitmap ({ width, height, data } in RGBA)
+   * @param {boolean} invert - Return darkness instead of brightness
+   * @returns {Float32Array} - Levels from 0 to 1, row by row from the top
+   */
+  getLuminance(bitmap, invert) {
+    const { width, height, data } = bitmap;
+    const levels = new Float32Array(width * height);
+
+    for (let p = 0; p < width * height; p++) {
+      const offset = p * 4;
+      const alpha = data[offset + 3] / 255;
+      const luminance = (0.2126 * data[offset] + 0.7152 * data[offset + 1] + 0.0722 * data[offset + 2]) / 255;
+      const level = luminance * alpha + (1 - alpha);
+      levels[p] = invert ? 1 - level : level;
+    }
+
+    return levels;
+  }
+
+  /**
+   * Build a closed solid: a height-field top, a flat back at Z = 0 and four side walls
+   * The back is split into column strips so it shares every edge vertex with the walls.
+   * @param {Array<number>} xs - Grid X positions, ascending
+   * @param {Array<number>} ys - Grid Y positions, ascending
+   * @param {Float32Array} heights - Top Z per grid node, row-major by Y
+   * @returns {BufferGeometry} - Indexed geometry with outward-facing triangles
+   */
+  buildSolid(xs, ys, heights) {
+    const nx = xs.length;
+    const ny = ys.length;
+    const positions = new Float32Array(nx * ny * 3 + (nx + ny) * 2 * 3);
+    const indices = [];
+
+    // Top surface
+    for (let j = 0; j < ny; j++) {
+      for (let i = 0; i < nx; i++) {
+        const v = (j * nx + i) * 3;
+        positions[v] = xs[i];
+        positions[v + 1] = ys[j];
+        positions[v + 2] = heights[j * nx + i];
+      }
+    }
+    const top = (i, j) => j * nx + i;
+
+    for (let j = 0; j < ny - 1; j++) {
+      for (let i = 0; i < nx - 1; i++) {
+        indices.push(top(i, j), top(i + 1, j), top(i + 1, j + 1));
+        indices.push(top(i, j), top(i + 1, j + 1), top(i, j + 1));
+      }
+    }
+
+    // Back perimeter vertices at Z = 0: bottom and top edges per column, left and right edges per row
+    let next = nx * ny;
+    const addBack = (x, y) => {
+      positions[next * 3] = x;
+      positions[next * 3 + 1] = y;
+      positions[next * 3 + 2] = 0;
+      return next++;
+    };
+    const bottomEdge = xs.map(x => addBack(x, ys[0]));
+    const topEdge = xs.map(x => addBack(x, ys[ny - 1]));
+    const leftEdge = ys.map((y, j) => (j === 0 ? bottomEdge[0] : j === ny - 1 ? topEdge[0] : addBack(xs[0], y)));
+    const rightEdge = ys.map((y, j) => (j === 0 ? bottomEdge[nx - 1] : j === ny - 1 ? topEdge[nx - 1] : addBack(xs[nx - 1], y)));
+
+    // Side walls
+    for (let i = 0; i < nx - 1; i++) {
+      indices.push(bottomEdge[i], bottomEdge[i + 1], top(i + 1, 0));
+      indices.push(bottomEdge[i], top(i + 1, 0), top(i, 0));
+      indices.push(topEdge[i + 1], topEdge[i], top(i, ny - 1));
+      indices.push(topEdge[i + 1], top(i, ny - 1), top(i + 1, ny - 1));
+    }
+    for (let j = 0; j < ny - 1; j++) {
+      indices.push(leftEdge[j + 1], leftEdge[j], top(0, j));
+      indices.push(leftEdge[j + 1], top(0, j), top(0, j + 1));
+      indices.push(rightEdge[j], rightEdge[j + 1], top(nx - 1, j + 1));
+      indices.push(rightEdge[j], top(nx - 1, j + 1), top(nx - 1, j));
+    }
+
+    // Back, facing -Z: the first and last strips fan over the full left and right edges
+    for (let i = 0; i < nx - 1; i++) {
+      if (i === 0) {
+        for (let j = 0; j < ny - 1; j++) {
+          indices.push(bottomEdge[1], leftEdge[j], leftEdge[j + 1]);
+        }
+        indices.push(bottomEdge[1], topEdge[0], topEdge[1]);
+      } else if (i === nx - 2) {
+        for (let j = 0; j < ny - 1; j++) {
+          indices.push(topEdge[nx - 2], rightEdge[j + 1], rightEdge[j]);
+        }
+        indices.push(topEdge[nx - 2], bottomEdge[nx - 1], bottomEdge[nx - 2]);
+      } else {
+        indices.push(bottomEdge[i], topEdge[i + 1], bottomEdge[i + 1]);
+        indices.push(bottomEdge[i], topEdge[i], topEdge[i + 1]);
+      }
+    }
+
+    const geometry = new BufferGeometry();
+    geometry.setAttribute('position', new Float32BufferAttribute(positions.subarray(0, next * 3), 3));
+    geometry.setIndex(indices);
+    return geometry;
+  }
+
+  /**
+   * Wrap a flat panel around a vertical cylinder, back outside and relief facing the axis
+   * @param {BufferGeometry} geometry - Flat panel geometry
+   * @param {number} minX - Left edge of the panel in mm
+   * @param {number} maxX - Right edge of the panel in mm
+   * @param {number} curveAngle - Arc in degrees covered by the panel width
+   * @param {number} maxThickness - Thickest point in mm, which must fit inside the radius
+   */
+  bendAroundCylinder(geometry, minX, maxX, curveAngle, maxThickness) {
+    const arc = (curveAngle * Math.PI) / 180;
+    const radius = (maxX - minX) / arc;
+
+    if (radius <= maxThickness) {
+      throw new Error(`Invalid heightmap curve: a ${curveAngle}° curve gives a ${radius.toFixed(2)}mm radius, thinner than the panel`);
+    }
+
+    const centre = (minX + maxX) / 2;
+    const position = geometry.getAttribute('position');
+
+    for (let v = 0; v < position.count; v++) {
+      const angle = (position.getX(v) - centre) / radius;
+      const r = radius - position.getZ(v);
+      position.setXYZ(v, r * Math.sin(angle), position.getY(v), radius - r * Math.cos(angle));
+    }
+
+    position.needsUpdate = true;
+  }
+}
@@ -0,0 +1,248 @@
+import { ShapeUtils, Vector2, Vector3 } from 'three';
+import { collectColorGroups } from '../utils/meshUtils.js';
+import { CLIPPER_SCALE, booleanPolygons, offsetPolygons, polygonArea } from '../utils/polygonUtils.js';
+
+export class MeshAnalyzer {
+  /**
+   * Analyse a generated model for printability
+   * @param {Group} modelGroup - Scaled model group (millimetres)
+   * @param {Object} options - Analysis options
+   * @param {number} options.nozzleWidth - Printer nozzle width in mm
+   * @param {number} options.curveSegments - Points used per curve segment when reading outlines
+   * @returns {Object} - Report with mesh counts, defects, feature sizes and a pass/warn/fail verdict
+   */
+  analyze(modelGroup, options = {}) {
+    const { nozzleWidth = 0.4, curveSegments = 32 } = options;
+
+    const mesh = this.analyzeMeshes(modelGroup);
+    const features = this.analyzeFeatures(modelGroup, { nozzleWidth, curveSegments });
+
+    const issues = [];
+    let verdict = 'pass';
+    const raise = (level, message) => {
+      issues.push({ level, message });
+      if (level === 'fail' || (level === 'warn' && verdict === 'pass')) {
+        verdict = level;
+      }
+    };
+
+    if (mesh.triangleCount === 0) {
+      raise('fail', 'Model contains no triangles');
+    }
+    if (mesh.nonManifoldEdges > 0) {
+      raise('fail', `${mesh.nonManifoldEdges} non-manifold edges (shared by more than two triangles)`);
+    }
+    if (mesh.boundaryEdges > 0) {
+      raise('fail', `${mesh.boundaryEdges} boundary edges (mesh is not watertight)`);
+    }
+    if (mesh.invertedNormals > 0) {
+      raise('fail', `${mesh.invertedNormals} triangles with inverted normals`);
+    }
+    if (mesh.degenerateTriangles > 0) {
+      raise('warn', `${mesh.degenerateTriangles} degenerate (zero-area) triangles`);
+    }
+    if (features.thinFeatureRatio > 0.05) {
+      raise('fail', `${(features.thinFeatureRatio * 100).toFixed(1)}% of the footprint is thinner than the ${nozzleWidth}mm nozzle`);
+    } else if (features.thinFeatureArea >= 0.01) {
+      raise('warn', `${features.thinFeatureArea}mm² of the footprint is thinner than the ${nozzleWidth}mm nozzle`);
+    }
+    if (features.minFeatureSize !== null && features.minFeatureSize < nozzleWidth * 2) {
+      raise('warn', `Smallest feature (${features.minFeatureSize}mm) is less than two nozzle widths`);
+    }
+    if (features.minLayerThickness !== null && features.minLayerThickness < nozzleWidth / 2) {
+      raise('warn', `Thinnest layer (${features.minLayerThickness}mm) is below a typical layer height`);
+    }
+
+    return {
+      verdict,
+      nozzleWidth,
+      ...mesh,
+      ...features,
+      issues
+    };
+  }
+
+  /**
+   * Count triangles, vertices and topological defects of every mesh
+   * @param {Group} modelGroup - Model group
+   * @returns {Object} - Mesh statistics
+   */
+  analyzeMeshes(modelGroup) {
+    const meshes = collectColorGroups(modelGroup, { groupBy: 'mesh' });
+    const stats = {
+      meshCount: meshes.length,
+      triangleCount: 0,
+      vertexCount: 0,
+      nonManifoldEdges: 0,
+      boundaryEdges: 0,
+      degenerateTriangles: 0,
+      invertedNormals: 0
+    };
+
+    const a = new Vector3();
+    const b = new Vector3();
+    const c = new Vector3();
+
+    meshes.forEach(({ vertices, triangles, collapsedTriangles }) => {
+      const triangleCount = triangles.length / 3;
+      stats.triangleCount += triangleCount + collapsedTriangles;
+      stats.vertexCount += vertices.length / 3;
+      stats.degenerateTriangles += collapsedTriangles;
+
+      const edges = new Map();
+      let signedVolume = 0;
+
+      for (let i = 0; i < triangles.length; i += 3) {
+        const ia = triangles[i];
+        const ib = triangles[i + 1];
+        const ic = triangles[i + 2];
+
+        a.fromArray(vertices, ia * 3);
+        b.fromArray(vertices, ib * 3);
+        c.fromArray(vertices, ic * 3);
+
+        const doubleArea = b.clone().sub(a).cross(c.clone().sub(a)).length();
+        if (doubleArea < 1e-10) {
+          stats.degenerateTriangles++;
+        }
+
+        signedVolume += a.dot(b.clone().cross(c)) / 6;
+
+        [[ia, ib], [ib, ic], [ic, ia]].forEach(([from, to]) => {
+          const key = from < to ? `${from}_${to}` : `${to}_${from}`;
+          edges.set(key, (edges.get(key) || 0) + 1);
+        });
+      }
+
+      edges.forEach((count) => {
+        if (count === 1) stats.boundaryEdges++;
+        else if (count > 2) stats.nonManifoldEdges++;
+      });
+
+      // A closed shell with negative volume is inside out
+      if (signedVolume < 0) {
+        stats.invertedNormals += triangleCount;
+      }
+    });
+
+    return stats;
+  }
+
+  /**
+   * Measure the thinnest printable features of each color's footprint
+   * @param {Group} modelGroup - Model group
+   * @param {Object} options - Feature options
+   * @returns {Object} - { minFeatureSize, thinFeatureArea, thinFeatureRatio, minLayerThickness }
+   */
+  analyzeFeatures(modelGroup, options = {}) {
+    const { nozzleWidth = 0.4, curveSegments = 32 } = options;
+    const footprints = new Map();
+    const point = new Vector3();
+    let minLayerThickness = Infinity;
+
+    modelGroup.updateMatrixWorld(true);
+
+    modelGroup.traverse((child) => {
+      const shapeData = child.isMesh ? child.userData?.originalShape : null;
+      if (!shapeData?.shape) return;
+
+      minLayerThickness = Math.min(minLayerThickness, shapeData.depth);
+
+      // Outline in millimetres, outer contours counter-clockwise and holes clockwise
+      const toMillimetres = points => points.map((p) => {
+        point.set(p.x, p.y, 0).applyMatrix4(child.matrixWorld);
+        return new Vector2(point.x, point.y);
+      });
+      const { shape: outer, holes } = shapeData.shape.extractPoints(curveSegments);
+      const mmOuter = toMillimetres(outer);
+      const contours = [ShapeUtils.isClockWise(mmOuter) ? mmOuter.reverse() : mmOuter];
+      holes.forEach((hole) => {
+        const mmHole = toMillimetres(hole);
+        contours.push(ShapeUtils.isClockWise(mmHole) ? mmHole : mmHole.reverse());
+      });
+
+      const key = child.material?.color ? child.material.color.getHexString() : 'default';
+      if (!footprints.has(key)) footprints.set(key, []);
+      footprints.get(key).push(...contours);
+    });
+
+    let totalArea = 0;
+    let thinArea = 0;
+    let minFeatureSize = Infinity;
+
+    footprints.forEach((contours) => {
+      // Open the union, so parts that only touch (a wall on a flange, a letter on its outline) count as one feature
+      const footprint = booleanPolygons(contours, [], 'union');
+      const area = this.getArea(footprint);
+      if (area <= 0) return;
+
+      // Offsets snap every edge to the Clipper grid, so even a feature-free outline loses up to a grid step along its perimeter
+      const tolerance = this.getPerimeter(footprint) / CLIPPER_SCALE;
+      totalArea += area;
+      thinArea += Math.max(area - this.getOpenedArea(footprint, nozzleWidth) - tolerance, 0);
+      minFeatureSize = Math.min(minFeatureSize, this.findMinFeatureSize(footprint, area));
+    });
+
+    return {
+      minFeatureSize: Number.isFinite(minFeatureSize) ? Number(minFeatureSize.toFixed(3)) : null,
+      thinFeatureArea: Number(thinArea.toFixed(3)),
+      thinFeatureRatio: totalArea > 0 ? Number((thinArea / totalArea).toFixed(4)) : 0,
+      minLayerThickness: Number.isFinite(minLayerThickness) ? Number(minLayerThickness.toFixed(3)) : null
+    };
+  }
+
+  /**
+   * Area left after a morphological opening (erode then dilate) with a given feature width
+   * Mitered joins keep convex corners, so only features narrower than the width are lost.
+   * @param {Array<Array<Vector2>>} contours - Oriented contours in mm
+   * @param {number} width - Feature width in mm
+   * @returns {number} - Remaining area in mm²
+   */
+  getOpenedArea(contours, width) {
+    const eroded = offsetPolygons(contours, -width / 2, 'miter', 100);
+    if (eroded.length === 0) return 0;
+    return this.getArea(offsetPolygons(eroded, width / 2, 'miter', 100));
+  }
+
+  /**
+   * Binary-search the narrowest feature: the smallest width whose opening removes more than 1% of the area
+   * @param {Array<Array<Vector2>>} contours - Oriented contours in mm
+   * @param {number} area - Footprint area in mm²
+   * @returns {number} - Estimated minimum feature size in mm
+   */
+  findMinFeatureSize(contours, area) {
+    let low = 0;
+    let high = Math.sqrt(area) * 2;
+
+    for (let i = 0; i < 12; i++) {
+      const mid = (low + high) / 2;
+      if (area - this.getOpenedArea(contours, mid) > area * 0.01) {
+        high = mid;
+      } else {
+        low = mid;
+      }
+    }
+
+    return high;
+  }
+
+  /**
+   * Total length of a set of closed contours
+   * @param {Array<Array<Vector2>>} contours - Contours
+   * @returns {number} - Perimeter
+   */
+  getPerimeter(contours) {
+    return contours.reduce((sum, points) => sum + points.reduce(
+      (length, point, i) => length + point.distanceTo(points[(i + 1) % points.length]), 0
+    ), 0);
+  }
+
+  /**
+   * Total signed area of a set of contours
+   * @param {Array<Array<Vector2>>} contours - Contours
+   * @returns {number} - Area
+   */
+  getArea(contours) {
+    return contours.reduce((sum, points) => sum + polygonArea(points), 0);
+  }
+}
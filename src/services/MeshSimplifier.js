@@ -0,0 +1,220 @@
+import { ExtrudeGeometry, Shape, Path, Box3, Vector3 } from 'three';
+import { mergeVertices } from 'three/addons/utils/BufferGeometryUtils.js';
+import { simplifyContour, polygonArea, booleanPolygons, getClipperScale } from '../utils/polygonUtils.js';
+
+// Outline deviation in mm treated as lossless (only collinear points are dropped)
+const LOSSLESS_ERROR = 1e-6;
+
+export class MeshSimplifier {
+  /**
+   * Reduce the triangles of a finished model and weld its duplicate vertices
+   * Extruded meshes are rebuilt from outlines simplified within an error in mm, which thins out
+   * the side walls and cap triangulations together while walls stay vertical and caps flat.
+   * Without maxError or maxTriangles, and for other meshes (heightmap panels), meshes are only welded.
+   * @param {Group} modelGroup - Model group in millimetres
+   * @param {Object} options - Simplification options
+   * @param {number|null} options.maxError - Largest outline deviation in mm; caps the search for maxTriangles
+   * @param {number|null} options.maxTriangles - Triangle budget for the whole model
+   * @param {number} options.nozzleWidth - Nozzle width in mm; half of it caps the search when maxError is not given
+   * @returns {Object} - { before, after, maxError, maxTriangles, targetReached, simplifiedMeshes }
+   */
+  simplify(modelGroup, options = {}) {
+    const { maxError = null, maxTriangles = null, nozzleWidth = 0.4 } = options;
+
+    modelGroup.updateMatrixWorld(true);
+    const meshes = [];
+    modelGroup.traverse((child) => {
+      if (child.isMesh && child.geometry?.attributes?.position) meshes.push(child);
+    });
+
+    const before = this.countMeshes(meshes);
+    const outlines = meshes
+      .filter(mesh => mesh.geometry.type === 'ExtrudeGeometry')
+      .map(mesh => this.getOutline(mesh));
+
+    // Smallest error that fits the budget, never beyond the limit that keeps silhouettes intact
+    const errorLimit = Math.max(maxError ?? nozzleWidth / 2, LOSSLESS_ERROR);
+    let error = maxError ?? LOSSLESS_ERROR;
+    let targetReached = null;
+
+    if (maxTriangles !== null) {
+      const fixedTriangles = before.triangleCount - outlines.reduce((sum, outline) => sum + outline.triangleCount, 0);
+      const estimate = tolerance => fixedTriangles + outlines.reduce((sum, outline) => sum + this.estimateTriangles(outline, tolerance), 0);
+
+      if (estimate(LOSSLESS_ERROR) <= maxTriangles) {
+        error = LOSSLESS_ERROR;
+      } else if (estimate(errorLimit) > maxTriangles) {
+        error = errorLimit;
+      } else {
+        let low = LOSSLESS_ERROR;
+        let high = errorLimit;
+        for (let i = 0; i < 16; i++) {
+          const mid = (low + high) / 2;
+          if (estimate(mid) <= maxTriangles) high = mid;
+          else low = mid;
+        }
+        error = high;
+      }
+    }
+
+    // Without a target the outlines are kept as they are
+    const hasTarget = maxError !== null || maxTriangles !== null;
+    let simplifiedMeshes = 0;
+    if (hasTarget) {
+      outlines.forEach((outline) => {
+        if (this.rebuildMesh(outline, error)) simplifiedMeshes++;
+      });
+    }
+
+    meshes.forEach(mesh => this.weldMesh(mesh));
+
+    const after = this.countMeshes(meshes);
+    if (maxTriangles !== null) {
+      targetReached = after.triangleCount <= maxTriangles;
+    }
+
+    const appliedError = hasTarget && outlines.length > 0 ? Number(error.toPrecision(3)) : null;
+    console.log(`Simplified ${before.triangleCount} to ${after.triangleCount} triangles (max error ${appliedError}mm)`);
+
+    return {
+      before,
+      after,
+      maxError: appliedError,
+      maxTriangles,
+      targetReached,
+      simplifiedMeshes
+    };
+  }
+
+  /**
+   * Read the outline an extruded mesh was built from
+   * @param {Mesh} mesh - Mesh with an ExtrudeGeometry
+   * @returns {Object} - { mesh, contours: outer contour then holes in shape units, holeCount, pointCount, triangleCount, mmPerUnit }
+   */
+  getOutline(mesh) {
+    const { shapes, options } = mesh.geometry.parameters;
+    const shape = Array.isArray(shapes) ? shapes[0] : shapes;
+    const { shape: outer, holes } = shape.extractPoints(options.curveSegments ?? 12);
+
+    // Drop the closing point that repeats the first one
+    const open = points => (points.length > 1 && points[0].equals(points[points.length - 1]) ? points.slice(0, -1) : points);
+    const contours = [open(outer), ...holes.map(open)];
+
+    return {
+      mesh,
+      contours,
+      holeCount: holes.length,
+      pointCount: contours.reduce((sum, points) => sum + points.length, 0),
+      triangleCount: this.countTriangles(mesh.geometry),
+      mmPerUnit: new Vector3().setFromMatrixColumn(mesh.matrixWorld, 0).length()
+    };
+  }
+
+  /**
+   * Triangle count of an outline simplified with a given error
+   * A prism has 4 * (points + holes - 1) triangles; bevels scale with the point count the same way.
+   * @param {Object} outline - Outline from getOutline
+   * @param {number} error - Maximum deviation in mm
+   * @returns {number} - Estimated triangle count
+   */
+  estimateTriangles(outline, error) {
+    const tolerance = error / outline.mmPerUnit;
+    const pointCount = outline.contours.reduce((sum, points) => sum + simplifyContour(points, tolerance).length, 0);
+    const original = outline.pointCount + outline.holeCount - 1;
+    return original > 0 ? Math.round(outline.triangleCount * (pointCount + outline.holeCount - 1) / original) : outline.triangleCount;
+  }
+
+  /**
+   * Re-extrude a mesh from its simplified outline, keeping the original when nothing changes
+   * or the simplified outline would fold over itself
+   * @param {Object} outline - Outline from getOutline
+   * @param {number} error - Maximum deviation in mm
+   * @returns {boolean} - Whether the mesh was rebuilt
+   */
+  rebuildMesh(outline, error) {
+    const { mesh, contours, pointCount, mmPerUnit } = outline;
+    const tolerance = error / mmPerUnit;
+
+    // Keep contours that would collapse, so small details are not lost entirely
+    const simplified = contours.map((points) => {
+      const reduced = simplifyContour(points, tolerance);
+      return Math.abs(polygonArea(reduced)) > Math.abs(polygonArea(points)) * 0.5 ? reduced : points;
+    });
+    if (simplified.reduce((sum, points) => sum + points.length, 0) === pointCount) return false;
+    if (this.isFolded(simplified)) return false;
+
+    const [outer, ...holes] = simplified;
+    const shape = new Shape(outer);
+    holes.forEach(hole => shape.holes.push(new Path(hole)));
+
+    const oldGeometry = mesh.geometry;
+    const geometry = new ExtrudeGeometry(shape, oldGeometry.parameters.options);
+
+    // Bevelled meshes were moved up by their bevel thickness; keep the same base height
+    oldGeometry.computeBoundingBox();
+    const box = new Box3().setFromBufferAttribute(geometry.attributes.position);
+    geometry.translate(0, 0, oldGeometry.boundingBox.min.z - box.min.z);
+    geometry.computeVertexNormals();
+
+    mesh.geometry = geometry;
+    oldGeometry.dispose();
+
+    if (mesh.userData.originalShape) {
+      mesh.userData = { ...mesh.userData, originalShape: { ...mesh.userData.originalShape, shape } };
+    }
+    return true;
+  }
+
+  /**
+   * Check whether contours overlap or cross themselves, comparing their even-odd area with the expected one
+   * @param {Array<Array<Vector2>>} contours - Outer contour then holes
+   * @returns {boolean} - True when the outline is not simple
+   */
+  isFolded(contours) {
+    const [outer, ...holes] = contours;
+    const expected = Math.abs(polygonArea(outer)) - holes.reduce((sum, hole) => sum + Math.abs(polygonArea(hole)), 0);
+    const actual = booleanPolygons(contours, [], 'union', 'evenodd', getClipperScale(contours))
+      .reduce((sum, points) => sum + polygonArea(points), 0);
+
+    return Math.abs(Math.abs(actual) - expected) > Math.abs(expected) * 1e-3;
+  }
+
+  /**
+   * Merge vertices that share position and normal, dropping the unused UVs
+   * @param {Mesh} mesh - Mesh to weld in place
+   */
+  weldMesh(mesh) {
+    const oldGeometry = mesh.geometry;
+    oldGeometry.deleteAttribute('uv');
+
+    // Tolerance in shape units, a tenth of a micrometre in the final model
+    const mmPerUnit = new Vector3().setFromMatrixColumn(mesh.matrixWorld, 0).length() || 1;
+    const geometry = mergeVertices(oldGeometry, 1e-4 / mmPerUnit);
+    geometry.computeBoundingBox();
+    geometry.computeBoundingSphere();
+
+    mesh.geometry = geometry;
+    if (geometry !== oldGeometry) oldGeometry.dispose();
+  }
+
+  /**
+   * Count triangles and vertices of a set of meshes
+   * @param {Array<Mesh>} meshes - Meshes
+   * @returns {Object} - { triangleCount, vertexCount }
+   */
+  countMeshes(meshes) {
+    return meshes.reduce((counts, mesh) => ({
+      triangleCount: counts.triangleCount + this.countTriangles(mesh.geometry),
+      vertexCount: counts.vertexCount + mesh.geometry.attributes.position.count
+    }), { triangleCount: 0, vertexCount: 0 });
+  }
+
+  /**
+   * Number of triangles of a geometry
+   * @param {BufferGeometry} geometry - Geometry
+   * @returns {number} - Triangle count
+   */
+  countTriangles(geometry) {
+    return (geometry.index ? geometry.index.count : geometry.attributes.position.count) / 3;
+  }
+}
@@ -0,0 +1,226 @@
+import { Box3, ShapeUtils, Vector2, Vector3 } from 'three';
+import { collectColorGroups } from '../utils/meshUtils.js';
+import { booleanPolygons, getClipperScale, polygonArea } from '../utils/polygonUtils.js';
+
+export class ModelStatistics {
+  /**
+   * Measure the size, volume and material use of a finished model
+   * Overlapping solids are counted once: extruded parts are measured as prisms of their outline, slab by
+   * slab, and where colors overlap the later-painted color claims the volume. Bevelled parts are weighted
+   * by how much of their prism they fill; other meshes (heightmap panels) add their own enclosed volume.
+   * Surface area is not deduplicated: meshSurfaceArea sums the surface of every mesh, hidden faces included.
+   * @param {Group} modelGroup - Model group in millimetres and print orientation (Z up)
+   * @param {Object} options - Material options
+   * @param {number} options.materialDensity - Filament density in g/cm³
+   * @param {number} options.filamentDiameter - Filament diameter in mm
+   * @returns {Object} - { boundingBox, triangleCount, volume, meshSurfaceArea, colors, material }
+   */
+  compute(modelGroup, options = {}) {
+    const { materialDensity = 1.24, filamentDiameter = 1.75 } = options;
+    const meshGroups = new Map(collectColorGroups(modelGroup, { groupBy: 'mesh' }).map(group => [group.key, group]));
+
+    const colors = new Map();
+    const prisms = [];
+    let paintOrder = 0;
+
+    modelGroup.traverse((child) => {
+      const meshGroup = meshGroups.get(child.uuid);
+      if (!meshGroup) return;
+
+      const colorKey = meshGroup.colorKey;
+      if (!colors.has(colorKey)) {
+        colors.set(colorKey, {
+          color: meshGroup.color ? `#${meshGroup.color.getHexString()}` : null,
+          triangleCount: 0,
+          volume: 0,
+          meshSurfaceArea: 0
+        });
+      }
+      const entry = colors.get(colorKey);
+
+      const { volume, surfaceArea, minZ, maxZ } = this.measureMesh(meshGroup.vertices, meshGroup.triangles);
+      entry.triangleCount += meshGroup.triangles.length / 3 + meshGroup.collapsedTriangles;
+      entry.meshSurfaceArea += surfaceArea;
+
+      const footprint = this.getFootprint(child);
+      const prismVolume = footprint ? this.getArea(footprint) * (maxZ - minZ) : 0;
+      if (prismVolume > 0) {
+        prisms.push({ colorKey, order: paintOrder++, footprint, minZ, maxZ, fill: volume / prismVolume });
+      } else {
+        entry.volume += volume;
+      }
+    });
+
+    this.addPrismVolumes(prisms, colors);
+
+    const entries = Array.from(colors.values());
+    const volume = entries.reduce((sum, entry) => sum + entry.volume, 0);
+    const meshSurfaceArea = entries.reduce((sum, entry) => sum + entry.meshSurfaceArea, 0);
+    const usage = mm3 => this.getMaterialUsage(mm3, { materialDensity, filamentDiameter });
+    const round = value => Number(value.toFixed(3));
+
+    return {
+      boundingBox: this.getBoundingBox(modelGroup),
+      triangleCount: entries.reduce((sum, entry) => sum + entry.triangleCount, 0),
+      volume: round(volume),
+      meshSurfaceArea: round(meshSurfaceArea),
+      colors: entries.map(entry => ({
+        ...entry,
+        volume: round(entry.volume),
+        meshSurfaceArea: round(entry.meshSurfaceArea),
+        ...usage(entry.volume)
+      })),
+      material: {
+        density: materialDensity,
+        filamentDiameter,
+        ...usage(volume)
+      }
+    };
+  }
+
+  /**
+   * Exact bounds of every vertex of a group, as it is placed in the world
+   * @param {Object3D} group - Group to measure
+   * @returns {Object|null} - { min, max, size } in mm, or null without geometry
+   */
+  getBoundingBox(group) {
+    group.updateMatrixWorld(true);
+    const box = new Box3().setFromObject(group, true);
+    if (box.isEmpty()) return null;
+
+    const round = value => Number(value.toFixed(3)) + 0;
+    const roundVector = vector => ({ x: round(vector.x), y: round(vector.y), z: round(vector.z) });
+    return { min: roundVector(box.min), max: roundVector(box.max), size: roundVector(box.getSize(new Vector3())) };
+  }
+
+  /**
+   * Add the volume of a set of prisms to their colors, counting every overlap once
+   * Between consecutive prism tops and bottoms the cross-section is constant, so each slab is
+   * the union of the footprints present in it, built up from the last-painted color down.
+   * @param {Array<Object>} prisms - { colorKey, order, footprint, minZ, maxZ, fill: share of the prism that is solid }
+   * @param {Map} colors - Color entries by color key, whose volume is increased
+   */
+  addPrismVolumes(prisms, colors) {
+    if (prisms.length === 0) return;
+
+    const scale = getClipperScale(prisms.flatMap(prism => prism.footprint));
+    const levels = [...new Set(prisms.flatMap(({ minZ, maxZ }) => [minZ, maxZ]).map(z => Number(z.toFixed(6))))]
+      .sort((a, b) => a - b);
+
+    for (let i = 0; i < levels.length - 1; i++) {
+      const bottom = levels[i];
+      const top = levels[i + 1];
+      const present = prisms.filter(({ minZ, maxZ }) => minZ <= bottom + 1e-6 && maxZ >= top - 1e-6);
+      if (present.length === 0) continue;
+
+      // Colors from the last painted one down, each keeping what no later color covers
+      const layers = new Map();
+      present.forEach(({ colorKey, order, footprint, fill }) => {
+        const layer = layers.get(colorKey) || { colorKey, order, contours: [], area: 0, solidArea: 0 };
+        layer.order = Math.max(layer.order, order);
+        layer.contours.push(...footprint);
+        layer.area += this.getArea(footprint);
+        layer.solidArea += this.getArea(footprint) * fill;
+        layers.set(colorKey, layer);
+      });
+
+      let covered = [];
+      let coveredArea = 0;
+      Array.from(layers.values())
+        .sort((a, b) => b.order - a.order)
+        .forEach(({ colorKey, contours, area, solidArea }) => {
+          covered = booleanPolygons([...covered, ...contours], [], 'union', 'nonzero', scale);
+          const unionArea = this.getArea(covered);
+          colors.get(colorKey).volume += Math.max(unionArea - coveredArea, 0) * (solidArea / area) * (top - bottom);
+          coveredArea = unionArea;
+        });
+    }
+  }
+
+  /**
+   * Outline an extruded mesh was built from, in world millimetres with the outer contour
+   * counter-clockwise and holes clockwise
+   * @param {Mesh} mesh - Mesh to outline
+   * @returns {Array<Array<Vector2>>|null} - Contours, or null for meshes that are not a single extruded shape
+   */
+  getFootprint(mesh) {
+    if (mesh.geometry.type !== 'ExtrudeGeometry') return null;
+    const { shapes, options } = mesh.geometry.parameters;
+    if (Array.isArray(shapes) && shapes.length !== 1) return null;
+    const shape = Array.isArray(shapes) ? shapes[0] : shapes;
+
+    const point = new Vector3();
+    const toMillimetres = points => points.map((p) => {
+      point.set(p.x, p.y, 0).applyMatrix4(mesh.matrixWorld);
+      return new Vector2(point.x, point.y);
+    });
+
+    const { shape: outer, holes } = shape.extractPoints(options.curveSegments ?? 12);
+    const mmOuter = toMillimetres(outer);
+    const contours = [ShapeUtils.isClockWise(mmOuter) ? mmOuter.reverse() : mmOuter];
+    holes.forEach((hole) => {
+      const mmHole = toMillimetres(hole);
+      contours.push(ShapeUtils.isClockWise(mmHole) ? mmHole : mmHole.reverse());
+    });
+
+    return contours;
+  }
+
+  /**
+   * Enclosed volume, surface area and height range of a triangle mesh
+   * @param {Array<number>} vertices - Flat vertex positions
+   * @param {Array<number>} triangles - Flat vertex indices, counter-clockwise from outside
+   * @returns {Object} - { volume: mm³, surfaceArea: mm², minZ, maxZ }
+   */
+  measureMesh(vertices, triangles) {
+    const a = new Vector3();
+    const b = new Vector3();
+    const c = new Vector3();
+    const cross = new Vector3();
+    let signedVolume = 0;
+    let surfaceArea = 0;
+    let minZ = Infinity;
+    let maxZ = -Infinity;
+
+    for (let i = 2; i < vertices.length; i += 3) {
+      minZ = Math.min(minZ, vertices[i]);
+      maxZ = Math.max(maxZ, vertices[i]);
+    }
+
+    for (let i = 0; i < triangles.length; i += 3) {
+      a.fromArray(vertices, triangles[i] * 3);
+      b.fromArray(vertices, triangles[i + 1] * 3);
+      c.fromArray(vertices, triangles[i + 2] * 3);
+
+      // Tetrahedra to the origin sum to the enclosed volume of a closed mesh
+      signedVolume += a.dot(cross.crossVectors(b, c)) / 6;
+      surfaceArea += cross.crossVectors(b.clone().sub(a), c.clone().sub(a)).length() / 2;
+    }
+
+    // Inside-out shells are flagged by MeshAnalyzer; their material is still there
+    return { volume: Math.abs(signedVolume), surfaceArea, minZ, maxZ };
+  }
+
+  /**
+   * Total area of oriented contours
+   * @param {Array<Array<Vector2>>} contours - Outer contours counter-clockwise, holes clockwise
+   * @returns {number} - Area in mm²
+   */
+  getArea(contours) {
+    return contours.reduce((sum, points) => sum + polygonArea(points), 0);
+  }
+
+  /**
+   * Filament needed for a volume of plastic
+   * @param {number} volume - Volume in mm³
+   * @param {Object} material - { materialDensity: g/cm³, filamentDiameter: mm }
+   * @returns {Object} - { grams, metres }
+   */
+  getMaterialUsage(volume, { materialDensity, filamentDiameter }) {
+    const filamentSection = Math.PI * (filamentDiameter / 2) ** 2;
+    return {
+      grams: Number((volume / 1000 * materialDensity).toFixed(2)),
+      metres: Number((volume / filamentSection / 1000).toFixed(3))
+    };
+  }
+}
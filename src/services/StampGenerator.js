@@ -0,0 +1,81 @@
+import { ShapeUtils, Vector2 } from 'three';
+import { BackingPlateGenerator } from './BackingPlateGenerator.js';
+import { circlePolygon, polygonsToShapes } from '../utils/polygonUtils.js';
+
+// Distance in mm between the base and the handle on the print bed
+const HANDLE_GAP = 5;
+
+export class StampGenerator {
+  constructor() {
+    this.backingPlateGenerator = new BackingPlateGenerator();
+    this.baseShapes = this.backingPlateGenerator.plateShapes;
+  }
+
+  /**
+   * Build the parts of a rubber-style stamp from artwork contours
+   * The relief is mirrored so the print reads the right way round, and sits face up on the base.
+   * The handle is a separate part standing beside the base, to be glued to its back after printing.
+   * @param {Array<Array<Vector2>>} contours - Artwork contours in mm, outer contours counter-clockwise and holes clockwise
+   * @param {Object} options - Stamp options
+   * @param {number} options.depth - Relief height in mm
+   * @param {string} options.baseShape - 'rectangle', 'roundedRectangle', 'circle' or 'outline'
+   * @param {number} options.baseThickness - Base block thickness in mm
+   * @param {number} options.margin - Distance in mm between artwork and base edge
+   * @param {boolean} options.handle - Add a cylindrical handle for the back of the base
+   * @param {number} options.handleDiameter - Handle diameter in mm
+   * @param {number} options.handleHeight - Handle height in mm
+   * @returns {Array<Object>} - Parts as { name, shapes, startZ, depth }, shapes in mm
+   */
+  generate(contours, options = {}) {
+    const {
+      depth = 2,
+      baseShape = 'roundedRectangle',
+      baseThickness = 4,
+      margin = 3,
+      handle = false,
+      handleDiameter = 20,
+      handleHeight = 20
+    } = options;
+
+    const bounds = this.backingPlateGenerator.getBounds(contours);
+    const centreX = (bounds.minX + bounds.maxX) / 2;
+    const centreY = (bounds.minY + bounds.maxY) / 2;
+
+    // Mirroring reverses the winding, so reverse the points too to keep outer contours counter-clockwise
+    const mirrored = contours.map(points => points.map(point => new Vector2(2 * centreX - point.x, point.y)).reverse());
+    const outers = mirrored.filter(points => points.length > 2 && !ShapeUtils.isClockWise(points));
+
+    const baseShapes = this.backingPlateGenerator.generate(outers, {
+      shape: baseShape,
+      margin,
+      cornerRadius: margin
+    });
+
+    const parts = [{
+      name: 'stamp_base',
+      shapes: baseShapes,
+      startZ: 0,
+      depth: baseThickness
+    }, {
+      name: 'stamp_relief',
+      shapes: polygonsToShapes(mirrored),
+      startZ: baseThickness,
+      depth
+    }];
+
+    if (handle) {
+      // Printed upright next to the base, so neither part overhangs
+      const baseBounds = this.backingPlateGenerator.getBounds(baseShapes.map(shape => shape.getPoints()));
+      const radius = handleDiameter / 2;
+      parts.push({
+        name: 'stamp_handle',
+        shapes: polygonsToShapes([circlePolygon(baseBounds.maxX + HANDLE_GAP + radius, centreY, radius, 64)]),
+        startZ: 0,
+        depth: handleHeight
+      });
+    }
+
+    console.log(`Stamp: ${baseShape} base ${baseThickness}mm, relief ${depth}mm${handle ? `, ${handleDiameter}mm handle` : ''}`);
+    return parts;
+  }
+}
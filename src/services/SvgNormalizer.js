@@ -0,0 +1,533 @@
+import { parseColor } from '../utils/colorUtils.js';
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+const XLINK_NAMESPACE = 'http://www.w3.org/1999/xlink';
+
+// Nesting depth of <use> references followed before giving up on a (possibly circular) chain
+const MAX_USE_DEPTH = 10;
+
+// Elements <use> expansion may copy in total; nested references multiply, so a small file can expand exponentially
+const MAX_USE_CLONES = 20000;
+
+// Attributes that place a <use> or viewport element and must not be copied onto the replacing group
+const VIEWPORT_ATTRIBUTES = ['x', 'y', 'width', 'height', 'href', 'xlink:href', 'viewBox', 'preserveAspectRatio', 'id'];
+
+// Elements that paint geometry inside a mask
+const MASK_SHAPES = ['path', 'rect', 'circle', 'ellipse', 'polygon', 'polyline', 'line', 'text'];
+
+export class SvgNormalizer {
+  /**
+   * Rewrite an SVG into the subset SVGLoader renders the way a browser does
+   * Stylesheet rules are inlined by specificity, <use> references are expanded, nested <svg>
+   * and <symbol> viewports become transformed groups, and clip paths and masks are turned into
+   * marked region groups (data-clip-source) that the converter intersects with the clipped
+   * elements (data-clip). Clipping it cannot reproduce is dropped and reported.
+   * @param {string} svgData - SVG content
+   * @returns {Object} - { svgData, report: { stylesheetRules, useElements, viewports, clipPaths, masks, unresolved } }
+   */
+  normalize(svgData) {
+    const report = { stylesheetRules: 0, useElements: 0, viewports: 0, clipPaths: 0, masks: 0, unresolved: [] };
+
+    if (!/<style|<use|<symbol|clip-path|mask|<svg[\s\S]*<svg/.test(svgData)) return { svgData, report };
+
+    const doc = new DOMParser().parseFromString(svgData, 'image/svg+xml');
+    if (doc.querySelector('parsererror')) return { svgData, report };
+
+    this.inlineStylesheets(doc, report);
+    this.expandUseElements(doc, report);
+    this.flattenViewports(doc, report);
+    this.flattenClipping(doc, report);
+
+    // Symbols, clip paths and masks never paint on their own, but SVGLoader would draw their children
+    doc.querySelectorAll('symbol, clipPath, mask').forEach(element => element.remove());
+
+    report.unresolved.forEach(({ element, id, reason }) => console.warn(`Could not resolve <${element}> ${id}: ${reason}`));
+    console.log(`Normalized SVG: ${report.stylesheetRules} stylesheet rule(s), ${report.useElements} <use>, ${report.clipPaths} clip path(s), ${report.masks} mask(s)`);
+
+    return { svgData: new XMLSerializer().serializeToString(doc), report };
+  }
+
+  /**
+   * Move <style> rules into the style attribute of the elements they match
+   * Declarations are applied in cascade order: specificity, then source order, with !important
+   * declarations above inline styles and ordinary ones below.
+   * @param {Document} doc - Parsed SVG document
+   * @param {Object} report - Normalization report, updated in place
+   */
+  inlineStylesheets(doc, report) {
+    const styleElements = [...doc.querySelectorAll('style')];
+    if (styleElements.length === 0) return;
+
+    const rules = styleElements.flatMap(style => this.parseStylesheet(style.textContent));
+    const matches = new Map();
+    let order = 0;
+
+    rules.forEach(({ selector, declarations }) => {
+      let elements;
+      try {
+        elements = doc.querySelectorAll(selector);
+      } catch (error) {
+        console.warn(`Ignoring unsupported CSS selector: ${selector}`);
+        return;
+      }
+      if (elements.length === 0) return;
+
+      const specificity = this.getSpecificity(selector);
+      report.stylesheetRules++;
+
+      elements.forEach((element) => {
+        if (!matches.has(element)) matches.set(element, []);
+        declarations.forEach(declaration => matches.get(element).push({ ...declaration, specificity, order: order++ }));
+      });
+    });
+
+    matches.forEach((declarations, element) => {
+      const rank = ({ important, specificity, order: position }) => [important ? 1 : 0, specificity, position];
+      const compare = (a, b) => {
+        const [ra, rb] = [rank(a), rank(b)];
+        return ra[0] - rb[0] || ra[1] - rb[1] || ra[2] - rb[2];
+      };
+
+      const cascaded = new Map();
+      declarations.sort(compare).forEach(declaration => cascaded.set(declaration.property, declaration));
+
+      this.parseDeclarations(element.getAttribute('style') || '').forEach((declaration) => {
+        const rule = cascaded.get(declaration.property);
+        if (!rule || !rule.important || declaration.important) cascaded.set(declaration.property, declaration);
+      });
+
+      element.setAttribute('style', [...cascaded.values()].map(({ property, value }) => `${property}:${value}`).join(';'));
+    });
+
+    styleElements.forEach(style => style.remove());
+  }
+
+  /**
+   * Split a stylesheet into style rules, descending into @media blocks that apply to screens
+   * @param {string} css - Stylesheet text
+   * @returns {Array<Object>} - Rules as { selector, declarations }, one per selector of a selector list
+   */
+  parseStylesheet(css) {
+    const text = css.replace(/\/\*[\s\S]*?\*\//g, '').replace(/<!\[CDATA\[|\]\]>/g, '');
+    const rules = [];
+    let index = 0;
+
+    // Index just past the block that opens at text[start] === '{'
+    const blockEnd = (start) => {
+      let depth = 0;
+      for (let i = start; i < text.length; i++) {
+        if (text[i] === '{') depth++;
+        if (text[i] === '}' && --depth === 0) return i + 1;
+      }
+      return text.length;
+    };
+
+    while (index < text.length) {
+      const open = text.indexOf('{', index);
+      const semicolon = text.indexOf(';', index);
+      const prelude = text.slice(index, open === -1 ? text.length : open).trim();
+
+      if (open === -1) break;
+
+      // Statement at-rules (@import, @charset, ...) end at a semicolon before any block
+      if (prelude.startsWith('@') && semicolon !== -1 && semicolon < open) {
+        index = semicolon + 1;
+        continue;
+      }
+
+      const end = blockEnd(open);
+      const body = text.slice(open + 1, end - 1);
+
+      if (prelude.startsWith('@media')) {
+        const query = prelude.slice('@media'.length).trim().toLowerCase();
+        if (/^(all|screen)\b/.test(query) || query === '') rules.push(...this.parseStylesheet(body));
+      } else if (!prelude.startsWith('@')) {
+        const declarations = this.parseDeclarations(body);
+        prelude.split(',').map(selector => selector.trim()).filter(Boolean)
+          .forEach(selector => rules.push({ selector, declarations }));
+      }
+
+      index = end;
+    }
+
+    return rules;
+  }
+
+  /**
+   * Parse a CSS declaration block
+   * @param {string} block - Declarations, e.g. "fill: red; stroke: none !important"
+   * @returns {Array<Object>} - Declarations as { property, value, important }
+   */
+  parseDeclarations(block) {
+    return block.split(';')
+      .map((declaration) => {
+        const colon = declaration.indexOf(':');
+        if (colon === -1) return null;
+
+        const property = declaration.slice(0, colon).trim().toLowerCase();
+        let value = declaration.slice(colon + 1).trim();
+        const important = /!\s*important$/i.test(value);
+        if (important) value = value.replace(/!\s*important$/i, '').trim();
+
+        return property && value ? { property, value, important } : null;
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * CSS specificity of a selector, as one comparable number
+   * @param {string} selector - Single selector (no commas)
+   * @returns {number} - ids * 10000 + classes, attributes and pseudo-classes * 100 + types and pseudo-elements
+   */
+  getSpecificity(selector) {
+    // :not() counts its argument, not itself
+    const plain = selector.replace(/"[^"]*"|'[^']*'/g, '').replace(/:not\(/g, ' (');
+    const ids = (plain.match(/#[\w-]+/g) || []).length;
+    const classes = (plain.match(/\.[\w-]+|\[[^\]]*\]|(^|[^:]):[\w-]+/g) || []).length;
+    const types = (plain.replace(/\[[^\]]*\]/g, '').match(/(^|[\s>+~(|])[a-zA-Z][\w-]*|::[\w-]+/g) || []).length;
+
+    return ids * 10000 + classes * 100 + types;
+  }
+
+  /**
+   * Replace every <use> with a group holding a copy of what it references
+   * @param {Document} doc - Parsed SVG document
+   * @param {Object} report - Normalization report, updated in place
+   * @throws {Error} - When the copies would exceed MAX_USE_CLONES elements
+   */
+  expandUseElements(doc, report) {
+    const budget = { cloned: 0 };
+
+    for (let depth = 0; depth < MAX_USE_DEPTH; depth++) {
+      const uses = [...doc.querySelectorAll('use')];
+      if (uses.length === 0) return;
+
+      uses.forEach(use => this.expandUse(doc, use, report, budget));
+    }
+
+    doc.querySelectorAll('use').forEach((use) => {
+      report.unresolved.push({ element: 'use', id: this.getHref(use), reason: `references nested deeper than ${MAX_USE_DEPTH} levels, probably circular` });
+      use.remove();
+    });
+  }
+
+  /**
+   * Expand a single <use> element in place
+   * @param {Document} doc - Parsed SVG document
+   * @param {Element} use - <use> element
+   * @param {Object} report - Normalization report, updated in place
+   * @param {Object} budget - Running count of copied elements, as { cloned }
+   */
+  expandUse(doc, use, report, budget = { cloned: 0 }) {
+    const href = this.getHref(use);
+    const target = href.startsWith('#') ? doc.getElementById(href.slice(1)) : null;
+
+    if (!target || target.contains(use)) {
+      const reason = !href.startsWith('#') ? 'only references within the document are supported'
+        : !target ? 'no element has this id' : 'the element references itself';
+      report.unresolved.push({ element: 'use', id: href, reason });
+      use.remove();
+      return;
+    }
+
+    // Count before copying, so an oversized expansion never gets built
+    budget.cloned += target.getElementsByTagName('*').length + 1;
+    if (budget.cloned > MAX_USE_CLONES) {
+      throw new Error(`SVG too complex: expanding <use> references would copy more than ${MAX_USE_CLONES} elements`);
+    }
+
+    const x = parseFloat(use.getAttribute('x')) || 0;
+    const y = parseFloat(use.getAttribute('y')) || 0;
+    const group = this.createGroup(doc, use);
+    const transform = `${use.getAttribute('transform') || ''} translate(${x} ${y})`.trim();
+    group.setAttribute('transform', transform);
+
+    if (target.localName === 'symbol' || target.localName === 'svg') {
+      // Width and height on the <use> override the symbol's own
+      const width = this.getLength(use.getAttribute('width')) ?? this.getLength(target.getAttribute('width'));
+      const height = this.getLength(use.getAttribute('height')) ?? this.getLength(target.getAttribute('height'));
+      const viewport = this.createViewportGroup(doc, target, width, height);
+      [...target.childNodes].forEach(child => viewport.appendChild(child.cloneNode(true)));
+      this.removeIds(viewport);
+      group.appendChild(viewport);
+    } else {
+      const clone = target.cloneNode(true);
+      this.removeIds(clone);
+      group.appendChild(clone);
+    }
+
+    use.replaceWith(group);
+    report.useElements++;
+  }
+
+  /**
+   * Replace nested <svg> elements with groups that apply their position and viewBox
+   * @param {Document} doc - Parsed SVG document
+   * @param {Object} report - Normalization report, updated in place
+   */
+  flattenViewports(doc, report) {
+    const root = doc.documentElement;
+
+    [...doc.querySelectorAll('svg')].filter(svg => svg !== root).forEach((svg) => {
+      const x = parseFloat(svg.getAttribute('x')) || 0;
+      const y = parseFloat(svg.getAttribute('y')) || 0;
+      const group = this.createGroup(doc, svg);
+      group.setAttribute('transform', `translate(${x} ${y})`);
+
+      const viewport = this.createViewportGroup(doc, svg, this.getLength(svg.getAttribute('width')), this.getLength(svg.getAttribute('height')));
+      while (svg.firstChild) viewport.appendChild(svg.firstChild);
+      group.appendChild(viewport);
+
+      svg.replaceWith(group);
+      report.viewports++;
+    });
+  }
+
+  /**
+   * Turn clip-path and mask references into region groups the converter can intersect with
+   * The region is inserted next to the clipped element so it shares the element's coordinate system.
+   * @param {Document} doc - Parsed SVG document
+   * @param {Object} report - Normalization report, updated in place
+   */
+  flattenClipping(doc, report) {
+    const root = doc.documentElement;
+    let regionCount = 0;
+
+    doc.querySelectorAll('*').forEach((element) => {
+      if (element.closest('defs, clipPath, mask, symbol')) return;
+
+      ['clip-path', 'mask'].forEach((property) => {
+        const value = this.takeProperty(element, property);
+        if (!value || value === 'none') return;
+
+        const kind = property === 'mask' ? 'mask' : 'clipPath';
+        const id = value.match(/^url\(\s*['"]?#([^'")]+)['"]?\s*\)$/)?.[1];
+        const source = id ? doc.getElementById(id) : null;
+
+        if (!source || source.localName !== kind) {
+          report.unresolved.push({ element: kind, id: value, reason: id ? `no <${kind}> has this id` : 'only url(#id) references are supported' });
+          return;
+        }
+
+        const problem = kind === 'mask' ? this.getMaskProblem(source) : this.getClipPathProblem(source);
+        if (problem) {
+          report.unresolved.push({ element: kind, id: `#${id}`, reason: `${problem}; drawn without it` });
+          return;
+        }
+
+        const key = `clip-${++regionCount}`;
+        const region = doc.createElementNS(SVG_NAMESPACE, 'g');
+        region.setAttribute('data-clip-source', key);
+        if (element !== root && element.hasAttribute('transform')) region.setAttribute('transform', element.getAttribute('transform'));
+
+        const content = doc.createElementNS(SVG_NAMESPACE, 'g');
+        if (source.hasAttribute('transform')) content.setAttribute('transform', source.getAttribute('transform'));
+        [...source.childNodes].forEach(child => content.appendChild(child.cloneNode(true)));
+        this.removeIds(content);
+        region.appendChild(content);
+
+        // Clip geometry is filled with clip-rule, whatever the fill-rule of its shapes
+        if (kind === 'clipPath') {
+          [content, ...content.querySelectorAll('*')].forEach((node) => {
+            const clipRule = this.getProperty(node, 'clip-rule') || (node === content ? this.getProperty(source, 'clip-rule') : null);
+            if (clipRule) node.setAttribute('style', `${node.getAttribute('style') || ''};fill-rule:${clipRule}`);
+          });
+        }
+
+        if (element === root) {
+          root.insertBefore(region, root.firstChild);
+        } else {
+          element.parentNode.insertBefore(region, element);
+        }
+
+        const clips = element.getAttribute('data-clip');
+        element.setAttribute('data-clip', clips ? `${clips} ${key}` : key);
+        report[kind === 'mask' ? 'masks' : 'clipPaths']++;
+      });
+    });
+  }
+
+  /**
+   * Why a clip path cannot be turned into a region, if it cannot
+   * @param {Element} clipPath - <clipPath> element
+   * @returns {string|null} - Reason, or null when it can
+   */
+  getClipPathProblem(clipPath) {
+    if (clipPath.getAttribute('clipPathUnits') === 'objectBoundingBox') {
+      return 'clipPathUnits="objectBoundingBox" is not supported';
+    }
+    return null;
+  }
+
+  /**
+   * Why a mask cannot be turned into a region, if it cannot
+   * Only masks painted in opaque white show or hide whole areas, which a region reproduces.
+   * @param {Element} mask - <mask> element
+   * @returns {string|null} - Reason, or null when it can
+   */
+  getMaskProblem(mask) {
+    if (mask.getAttribute('maskContentUnits') === 'objectBoundingBox') {
+      return 'maskContentUnits="objectBoundingBox" is not supported';
+    }
+    if (mask.querySelector('image, foreignObject')) {
+      return 'masks with images cannot be flattened';
+    }
+
+    const shapes = [...mask.querySelectorAll(MASK_SHAPES.join(', '))];
+    const partial = shapes.some((shape) => {
+      const fill = this.getMaskStyle(shape, mask, 'fill') || 'black';
+      const stroke = this.getMaskStyle(shape, mask, 'stroke');
+      const color = parseColor(fill);
+      const translucent = ['opacity', 'fill-opacity'].some((property) => {
+        for (let node = shape; node && node !== mask; node = node.parentNode) {
+          const value = parseFloat(this.getProperty(node, property));
+          if (value < 1) return true;
+        }
+        return false;
+      });
+
+      return !color || color.getHexString() !== 'ffffff' || (stroke && stroke !== 'none') || translucent;
+    });
+
+    return partial ? 'only masks drawn in opaque white can be flattened' : null;
+  }
+
+  /**
+   * Inherited style property of an element inside a mask
+   * @param {Element} element - Element inside the mask
+   * @param {Element} mask - <mask> element, where inheritance stops
+   * @param {string} property - CSS property name
+   * @returns {string|null} - Property value
+   */
+  getMaskStyle(element, mask, property) {
+    for (let node = element; node && node.nodeType === 1; node = node.parentNode) {
+      const value = this.getProperty(node, property);
+      if (value && value !== 'inherit') return value;
+      if (node === mask) break;
+    }
+    return null;
+  }
+
+  /**
+   * Group that maps a viewBox onto a viewport of the given size, honouring preserveAspectRatio
+   * Attributes of the viewport element other than its geometry are copied onto the group.
+   * @param {Document} doc - Parsed SVG document
+   * @param {Element} element - <symbol> or <svg> element
+   * @param {number|undefined} width - Viewport width, undefined when unknown
+   * @param {number|undefined} height - Viewport height, undefined when unknown
+   * @returns {Element} - Empty <g> element
+   */
+  createViewportGroup(doc, element, width, height) {
+    const group = this.createGroup(doc, element);
+    const viewBox = (element.getAttribute('viewBox') || '').trim().split(/[\s,]+/).map(parseFloat);
+    if (viewBox.length !== 4 || viewBox.some(Number.isNaN) || viewBox[2] <= 0 || viewBox[3] <= 0) return group;
+
+    const [minX, minY, viewWidth, viewHeight] = viewBox;
+
+    // Without a known viewport size the viewBox can only be moved to the origin
+    if (width === undefined || height === undefined) {
+      group.setAttribute('transform', `translate(${-minX} ${-minY})`);
+      return group;
+    }
+
+    const [align = 'xMidYMid', meetOrSlice = 'meet'] = (element.getAttribute('preserveAspectRatio') || '').trim().split(/\s+/).filter(Boolean);
+    let scaleX = width / viewWidth;
+    let scaleY = height / viewHeight;
+    let translateX = 0;
+    let translateY = 0;
+
+    if (align !== 'none') {
+      scaleX = scaleY = meetOrSlice === 'slice' ? Math.max(scaleX, scaleY) : Math.min(scaleX, scaleY);
+      const spareX = width - viewWidth * scaleX;
+      const spareY = height - viewHeight * scaleY;
+      if (align.includes('xMid')) translateX = spareX / 2;
+      if (align.includes('xMax')) translateX = spareX;
+      if (align.includes('YMid')) translateY = spareY / 2;
+      if (align.includes('YMax')) translateY = spareY;
+    }
+
+    group.setAttribute('transform', `translate(${translateX - minX * scaleX} ${translateY - minY * scaleY}) scale(${scaleX} ${scaleY})`);
+    return group;
+  }
+
+  /**
+   * Empty <g> carrying the presentation attributes of an element
+   * @param {Document} doc - Parsed SVG document
+   * @param {Element} element - Element being replaced
+   * @returns {Element} - <g> element
+   */
+  createGroup(doc, element) {
+    const group = doc.createElementNS(SVG_NAMESPACE, 'g');
+
+    [...element.attributes].forEach(({ name, value }) => {
+      if (!VIEWPORT_ATTRIBUTES.includes(name) && name !== 'transform' && !name.startsWith('xmlns')) {
+        group.setAttribute(name, value);
+      }
+    });
+
+    return group;
+  }
+
+  /**
+   * Remove id attributes from copied content, so ids stay unique
+   * @param {Element} element - Root of the copy
+   */
+  removeIds(element) {
+    [element, ...element.querySelectorAll('[id]')].forEach(node => node.removeAttribute('id'));
+  }
+
+  /**
+   * Reference of a <use> element, from href or xlink:href
+   * @param {Element} use - <use> element
+   * @returns {string} - Reference, e.g. "#icon"
+   */
+  getHref(use) {
+    return (use.getAttribute('href') || use.getAttributeNS(XLINK_NAMESPACE, 'href') || '').trim();
+  }
+
+  /**
+   * Absolute length from an attribute value; percentages cannot be resolved here
+   * @param {string|null} value - Attribute value
+   * @returns {number|undefined} - Length in user units
+   */
+  getLength(value) {
+    if (!value || value.trim().endsWith('%')) return undefined;
+    const length = parseFloat(value);
+    return Number.isNaN(length) ? undefined : length;
+  }
+
+  /**
+   * Style property set on an element; the style attribute wins over presentation attributes
+   * @param {Element} element - SVG element
+   * @param {string} property - CSS property name
+   * @returns {string|null} - Property value
+   */
+  getProperty(element, property) {
+    const declaration = this.parseDeclarations(element.getAttribute('style') || '')
+      .filter(({ property: name }) => name === property)
+      .pop();
+
+    return declaration ? declaration.value : element.getAttribute(property);
+  }
+
+  /**
+   * Read a style property and remove it from both the style and presentation attributes
+   * @param {Element} element - SVG element
+   * @param {string} property - CSS property name
+   * @returns {string|null} - Property value
+   */
+  takeProperty(element, property) {
+    const value = this.getProperty(element, property);
+    if (value === null) return null;
+
+    element.removeAttribute(property);
+    if (element.hasAttribute('style')) {
+      const rest = this.parseDeclarations(element.getAttribute('style'))
+        .filter(({ property: name }) => name !== property)
+        .map(({ property: name, value: declared }) => `${name}:${declared}`);
+      element.setAttribute('style', rest.join(';'));
+    }
+
+    return value.trim();
+  }
+}
@@ -1,8 +1,31 @@
 import { SVGLoader } from 'three/addons/loaders/SVGLoader.js';
 import { STLExporter } from 'three/addons/exporters/STLExporter.js';
 import { GLTFExporter } from 'three/addons/exporters/GLTFExporter.js';
-import { Group, ExtrudeGeometry, Mesh, MeshPhongMaterial, Color, Shape, Vector3, Box3 } from 'three';
-import potrace from 'potrace';
+import { Group, ExtrudeGeometry, Mesh, MeshPhongMaterial, Color, Shape, Path, ShapeUtils, Vector2, Vector3, Box3, MathUtils } from 'three';
+import { ThreeMFExporter } from './exporters/ThreeMFExporter.js';
+import { ObjMtlExporter } from './exporters/ObjMtlExporter.js';
+import { BackingPlateGenerator } from './BackingPlateGenerator.js';
+import { MeshAnalyzer } from './MeshAnalyzer.js';
+import { ModelStatistics } from './ModelStatistics.js';
+import { MeshSimplifier } from './MeshSimplifier.js';
+import { HeightmapGenerator } from './HeightmapGenerator.js';
+import { BitmapTracer } from './BitmapTracer.js';
+import { CookieCutterGenerator } from './CookieCutterGenerator.js';
+import { StampGenerator } from './StampGenerator.js';
+import { TextRenderer } from './TextRenderer.js';
+import { SvgNormalizer } from './SvgNormalizer.js';
+import { strokeToShapes, naiveOffsetSelfIntersects, polygonsToShapes, booleanPolygons, getClipperScale, offsetPolygons, polygonArea } from '../utils/polygonUtils.js';
+import {
+  getNodeTransformScale,
+  findUnsupportedElements,
+  isInkscapeLayer,
+  getLayerSettings,
+  getElementDepthSettings,
+  getMillimetresPerUserUnit
+} from '../utils/svgUtils.js';
+import { parseColor, colorDistance, getLuminance } from '../utils/colorUtils.js';
+import { bakeWorldGroup } from '../utils/meshUtils.js';
+import { planCurveDivisions, getSubPathPoints } from '../utils/curveUtils.js';
 
 export class SvgTo3DConverter {
   constructor() {
@@ -11,48 +34,123 @@ export class SvgTo3DConverter {
       stl: {
         extension: 'stl',
         mimeType: 'application/octet-stream',
-        label: 'STL'
+        label: 'STL',
+        upAxis: 'z',
+        origin: 'buildPlate'
       },
       gltf: {
         extension: 'gltf',
         mimeType: 'application/octet-stream',
-        label: 'GLTF'
+        label: 'GLTF',
+        // glTF is Y-up by specification, and viewers orbit around the origin
+        upAxis: 'y',
+        origin: 'center'
+      },
+      '3mf': {
+        extension: '3mf',
+        mimeType: 'application/octet-stream',
+        label: '3MF',
+        upAxis: 'z',
+        origin: 'buildPlate'
+      },
+      obj: {
+        extension: 'zip',
+        mimeType: 'application/zip',
+        label: 'OBJ + MTL (zip)',
+        upAxis: 'z',
+        origin: 'buildPlate'
       }
     };
     
+    this.backingPlateGenerator = new BackingPlateGenerator();
+    this.meshAnalyzer = new MeshAnalyzer();
+    this.modelStatistics = new ModelStatistics();
+    this.meshSimplifier = new MeshSimplifier();
+    this.heightmapGenerator = new HeightmapGenerator();
+    this.bitmapTracer = new BitmapTracer();
+    this.cookieCutterGenerator = new CookieCutterGenerator();
+    this.stampGenerator = new StampGenerator();
+    this.textRenderer = new TextRenderer();
+    this.svgNormalizer = new SvgNormalizer();
+
     // Cache exporter instances (similar to ModelExporter pattern)
     this.exporters = {
       stl: null,
-      gltf: null
+      gltf: null,
+      '3mf': null,
+      obj: null
     };
   }
 
-  /**
-   * Smooth a shape by subdividing its curves for better quality
-   * @param {Shape} shape - Three.js Shape object
-   * @returns {Shape} - Smoothed shape
-   */
-  smoothShape(shape) {
-    // Skip smoothing to avoid memory issues - return original shape
-    // The smoothing was causing memory overflow due to too many points
-    return shape;
-  }
-
   /**
    * Convert SVG data to 3D model
    * @param {string} svgData - SVG content as string
    * @param {Object} options - Conversion options
-   * @returns {Promise<Buffer>} - 3D model data
+   * @returns {Promise<Object>} - { buffer: 3D model data, report: printability report, statistics: size, volume and material use,
+   *   simplification: triangle counts before and after, transform: orientation applied on export, discardedShapes, skippedElements,
+   *   normalization, layers }
    */
   async convertSvgTo3D(svgData, options = {}) {
     const {
       format = 'stl',
       depth = 2,
+      strokeDepth = depth,
       size = 37,
+      scaleMode = 'fit',
+      scale = 1,
+      units = 'mm',
+      upAxis = 'auto',
+      origin = 'auto',
+      mirror = 'none',
+      rotateZ = 0,
+      materialDensity = 1.24,
+      filamentDiameter = 1.75,
+      maxTriangles = null,
+      maxError = null,
       curveSegments = 64, // Balanced for smoothness without memory issues
+      tessellation = 'fixed',
+      chordTolerance = 0.05,
+      maxCurveVertices = 200000,
+      minFeatureArea = 0.05,
       defaultColor = '#FFA500',
       drawFillShapes = true,
-      drawStrokes = false
+      drawStrokes = false,
+      strict = false,
+      fillRule = 'auto',
+      mergeShapes = ['stl', '3mf'].includes(format),
+      colorLayers = null,
+      colorLayerOrder = 'none',
+      layerStep = 1,
+      colorMatchTolerance = 24,
+      backing = 'none',
+      backingThickness = 2,
+      backingMargin = 3,
+      backingCornerRadius = 3,
+      backingColor = '#FFFFFF',
+      holeAnchor = 'none',
+      holeDiameter = 4,
+      holeMargin = 2,
+      bevelEnabled = false,
+      bevelThickness = 0.5,
+      bevelSize = 0.3,
+      bevelOffset = 0,
+      bevelSegments = 3,
+      nozzleWidth = 0.4,
+      mode = 'extrude',
+      cutterHeight = 15,
+      cutterWallThickness = 1,
+      flangeWidth = 4,
+      flangeThickness = 2,
+      cutterImprint = false,
+      imprintHeight = 8,
+      imprintWallThickness = 0.8,
+      stampBaseShape = 'roundedRectangle',
+      stampBaseThickness = 4,
+      stampMargin = 3,
+      stampHandle = false,
+      handleDiameter = 20,
+      handleHeight = 20,
+      fileName = 'model'
     } = options;
 
     let shapes = null;
@@ -60,110 +158,485 @@ export class SvgTo3DConverter {
 
     try {
       // Parse SVG and create shapes
-      shapes = this.createShapesFromSvg(svgData, {
+      const parsed = this.createShapesFromSvg(svgData, {
         defaultColor,
         defaultDepth: depth,
+        defaultStrokeDepth: strokeDepth,
+        curveSegments,
+        tessellation,
+        chordTolerance,
+        maxCurveVertices,
+        size,
+        scaleMode,
+        scale,
+        minFeatureArea,
+        fillRule,
         drawFillShapes,
-        drawStrokes
+        drawStrokes,
+        strict
       });
+      shapes = parsed.shapes;
+      const discardedShapes = parsed.discarded;
+      const { skippedElements, normalization, layers, sizing } = parsed;
+
+      if (skippedElements.length > 0) {
+        console.warn('Skipped unsupported SVG elements:', skippedElements.map(({ element, count }) => `${element} (${count})`).join(', '));
+      }
 
       if (shapes.length === 0) {
+        if (strict) {
+          throw this.createEmptyResultError(parsed, skippedElements, { drawFillShapes, drawStrokes, minFeatureArea });
+        }
         throw new Error('No valid shapes found in SVG');
       }
 
-      // Create 3D model group
-      modelGroup = this.create3DModel(shapes, {
-        depth,
-        size,
-        curveSegments
-      });
+      if (mode === 'cookieCutter' || mode === 'stamp') {
+        // Tools are built from the artwork outline in millimetres instead of extruding each color
+        modelGroup = this.createToolModel(shapes, {
+          mode,
+          sizing,
+          curveSegments,
+          defaultColor,
+          cookieCutter: {
+            height: cutterHeight,
+            wallThickness: cutterWallThickness,
+            flangeWidth,
+            flangeThickness,
+            imprint: cutterImprint,
+            imprintHeight,
+            imprintWallThickness
+          },
+          stamp: {
+            depth,
+            baseShape: stampBaseShape,
+            baseThickness: stampBaseThickness,
+            margin: stampMargin,
+            handle: stampHandle,
+            handleDiameter,
+            handleHeight
+          }
+        });
+      } else {
+        // Assign per-color depth and Z offset for layered relief models
+        this.applyColorLayers(shapes, {
+          colorLayers,
+          colorLayerOrder,
+          layerStep,
+          colorMatchTolerance
+        });
+
+        // Union overlapping shapes of the same color and layer into clean, manifold outlines
+        if (mergeShapes) {
+          shapes = this.mergeShapesByColor(shapes, { curveSegments });
+        }
+
+        // Create 3D model group
+        modelGroup = this.create3DModel(shapes, {
+          depth,
+          sizing,
+          curveSegments,
+          backing,
+          backingThickness,
+          backingMargin,
+          backingCornerRadius,
+          backingColor,
+          holeAnchor,
+          holeDiameter,
+          holeMargin,
+          bevelEnabled,
+          bevelThickness,
+          bevelSize,
+          bevelOffset,
+          bevelSegments
+        });
+      }
+
+      // Simplify first, so the report and statistics describe the mesh that is exported
+      const simplification = this.meshSimplifier.simplify(modelGroup, { maxTriangles, maxError, nozzleWidth });
+
+      // Analyse the generated meshes before export so problems surface in the response
+      const report = this.meshAnalyzer.analyze(modelGroup, { nozzleWidth, curveSegments });
+      console.log(`Printability report: ${report.verdict} (${report.triangleCount} triangles)`);
+
+      // Volumes are measured in print orientation, where the layers stack along Z
+      const statistics = this.modelStatistics.compute(modelGroup, { materialDensity, filamentDiameter });
+
+      // Orient for the target format; the report above stays in print orientation
+      const { group: orientedGroup, transform } = this.orientModel(modelGroup, format, { upAxis, origin, mirror, rotateZ });
+      statistics.boundingBox = this.modelStatistics.getBoundingBox(orientedGroup);
 
       // Export to requested format
-      const result = await this.exportModel(modelGroup, format);
+      const buffer = await this.exportModel(orientedGroup, format, { fileName, units });
       
-      return result;
+      return { buffer, report, statistics, simplification, transform, discardedShapes, skippedElements, normalization, layers };
 
     } catch (error) {
-      throw new Error(`Failed to convert SVG to 3D: ${error.message}`);
+      // Keep the strict-mode diagnostics for the error response
+      throw Object.assign(new Error(`Failed to convert SVG to 3D: ${error.message}`), {
+        reason: error.reason,
+        skippedElements: error.skippedElements
+      });
     } finally {
       // Clean up memory to prevent leaks
       this.cleanupMemory(shapes, modelGroup);
     }
   }
 
+  /**
+   * Convert a bitmap into a relief panel (lithophane) driven by pixel luminance
+   * @param {Buffer} imageBuffer - PNG, JPEG, GIF or WebP data
+   * @param {Object} options - Heightmap options (see HeightmapGenerator.generate) plus format, nozzleWidth and fileName
+   * @returns {Promise<Object>} - { buffer: 3D model data, report: printability report }
+   */
+  async convertImageToHeightmap(imageBuffer, options = {}) {
+    const {
+      format = 'stl',
+      size = 37,
+      minThickness = 0.8,
+      maxThickness = 3,
+      resolution = 4,
+      invert = false,
+      frameWidth = 0,
+      panelShape = 'flat',
+      curveAngle = 120,
+      nozzleWidth = 0.4,
+      units = 'mm',
+      upAxis = 'auto',
+      origin = 'auto',
+      mirror = 'none',
+      rotateZ = 0,
+      materialDensity = 1.24,
+      filamentDiameter = 1.75,
+      fileName = 'model'
+    } = options;
+
+    let modelGroup = null;
+
+    try {
+      modelGroup = await this.heightmapGenerator.generate(imageBuffer, {
+        size,
+        minThickness,
+        maxThickness,
+        resolution,
+        invert,
+        frameWidth,
+        panelShape,
+        curveAngle
+      });
+
+      // Panels are only welded; their triangle count is set by the resolution
+      const simplification = this.meshSimplifier.simplify(modelGroup, { nozzleWidth });
+      const report = this.meshAnalyzer.analyze(modelGroup, { nozzleWidth });
+      console.log(`Printability report: ${report.verdict} (${report.triangleCount} triangles)`);
+
+      const statistics = this.modelStatistics.compute(modelGroup, { materialDensity, filamentDiameter });
+      const { group: orientedGroup, transform } = this.orientModel(modelGroup, format, { upAxis, origin, mirror, rotateZ });
+      statistics.boundingBox = this.modelStatistics.getBoundingBox(orientedGroup);
+      const buffer = await this.exportModel(orientedGroup, format, { fileName, units });
+
+      return { buffer, report, statistics, simplification, transform };
+
+    } catch (error) {
+      throw new Error(`Failed to convert image to heightmap: ${error.message}`);
+    } finally {
+      this.cleanupMemory(null, modelGroup);
+    }
+  }
+
+  /**
+   * Explain why strict mode extracted nothing from an SVG
+   * @param {Object} parsed - Result of createShapesFromSvg
+   * @param {Array<Object>} skippedElements - Unsupported element types from findUnsupportedElements
+   * @param {Object} options - Conversion options (drawFillShapes, drawStrokes, minFeatureArea)
+   * @returns {Error} - Error carrying a reason code and the skipped elements
+   */
+  createEmptyResultError(parsed, skippedElements, options = {}) {
+    const { drawFillShapes = true, drawStrokes = false, minFeatureArea = 0.05 } = options;
+    const { pathCount, unpaintedPaths, skippedPaths = 0, discarded } = parsed;
+    const skippedList = skippedElements.map(({ element }) => `<${element}>`).join(', ');
+    let reason;
+    let message;
+
+    if (pathCount === 0 && skippedElements.length > 0) {
+      reason = 'unsupportedElements';
+      message = `the SVG only contains unsupported elements (${skippedList})`;
+    } else if (pathCount === 0) {
+      reason = 'noPaths';
+      message = 'the SVG contains no paths or basic shapes';
+    } else if (skippedPaths === pathCount) {
+      reason = 'allSkipped';
+      message = `all ${pathCount} paths are excluded by data-skip or skipped layers`;
+    } else if (unpaintedPaths + skippedPaths === pathCount) {
+      reason = 'noFill';
+      message = drawFillShapes
+        ? `all ${pathCount} paths have fill="none"${drawStrokes ? ' and no stroke' : ' (enable drawStrokes to use their outlines)'}`
+        : 'drawFillShapes is disabled and no path has a stroke to draw';
+    } else if (discarded.belowMinFeatureArea > 0 && discarded.conversionError === 0) {
+      reason = 'allFiltered';
+      message = `all ${discarded.belowMinFeatureArea} shapes are smaller than minFeatureArea (${minFeatureArea}mm²)`;
+    } else {
+      reason = 'conversionError';
+      message = `outlines could not be built for ${discarded.conversionError} paths`;
+    }
+
+    return Object.assign(new Error(`Nothing to extract from SVG: ${message}`), { reason, skippedElements });
+  }
+
+  /**
+   * Parse an SVG like convertSvgTo3D and describe its paths and colors without building a model
+   * @param {string} svgData - SVG content
+   * @param {Object} options - Shape options of convertSvgTo3D (size, scaleMode, curveSegments, tessellation, minFeatureArea, ...)
+   * @returns {Object} - { pathCount, size, millimetresPerUnit, paths, palette, layers, discardedShapes, skippedElements, normalization }
+   */
+  analyzeSvg(svgData, options = {}) {
+    const {
+      size = 37,
+      scaleMode = 'fit',
+      scale = 1,
+      curveSegments = 64,
+      tessellation = 'fixed',
+      chordTolerance = 0.05,
+      maxCurveVertices = 200000,
+      minFeatureArea = 0.05,
+      defaultColor = '#FFA500',
+      drawFillShapes = true,
+      drawStrokes = false,
+      fillRule = 'auto'
+    } = options;
+
+    try {
+      const parsed = this.createShapesFromSvg(svgData, {
+        defaultColor,
+        curveSegments,
+        tessellation,
+        chordTolerance,
+        maxCurveVertices,
+        size,
+        scaleMode,
+        scale,
+        minFeatureArea,
+        fillRule,
+        drawFillShapes,
+        drawStrokes,
+        strict: true
+      });
+      const { shapes } = parsed;
+
+      // Outline bounds of every kept shape, which are the bounds scaleAndCenterModel scales and centres
+      const modelBox = new Box3();
+      const shapeBoxes = shapes.map((shapeData) => {
+        const box = new Box3();
+        shapeData.shape.extractPoints(curveSegments).shape.forEach(p => box.expandByPoint(new Vector3(p.x, p.y, 0)));
+        modelBox.union(box);
+        return box;
+      });
+
+      const placement = shapes.length > 0 ? this.getModelPlacement(modelBox, parsed.sizing) : null;
+      const round = value => Number(value.toFixed(3));
+      const describeBox = (box) => {
+        if (box.isEmpty()) return { svg: null, mm: null };
+
+        const { scaleFactor, offsetX, offsetY } = placement;
+        const toBounds = (minX, minY, maxX, maxY) => ({
+          minX: round(minX),
+          minY: round(minY),
+          maxX: round(maxX),
+          maxY: round(maxY),
+          width: round(maxX - minX),
+          height: round(maxY - minY)
+        });
+
+        return {
+          svg: toBounds(box.min.x, box.min.y, box.max.x, box.max.y),
+          // The model flips Y, so the top of the artwork has the largest Y in mm
+          mm: toBounds(
+            box.min.x * scaleFactor + offsetX,
+            -box.max.y * scaleFactor + offsetY,
+            box.max.x * scaleFactor + offsetX,
+            -box.min.y * scaleFactor + offsetY
+          )
+        };
+      };
+      const toHex = value => (value && value !== 'none' ? `#${new Color().setStyle(value).getHexString()}` : null);
+      const areaScale = placement ? placement.scaleFactor ** 2 : 0;
+
+      const paths = parsed.paths.map((path, index) => {
+        const node = path.userData?.node;
+        const style = path.userData?.style;
+        const pathShapes = [];
+        const box = new Box3();
+
+        shapes.forEach((shapeData, shapeIndex) => {
+          if (shapeData.pathIndex !== index) return;
+          pathShapes.push(shapeData);
+          box.union(shapeBoxes[shapeIndex]);
+        });
+
+        const areas = pathShapes.map(({ shape }) => this.getShapeArea(shape, curveSegments) * areaScale);
+        const bounds = describeBox(box);
+        const settings = getElementDepthSettings(node);
+
+        return {
+          index,
+          element: node?.nodeName?.toLowerCase() ?? null,
+          id: node?.getAttribute?.('id') || null,
+          class: node?.getAttribute?.('class') || null,
+          fill: toHex(style?.fill || defaultColor),
+          stroke: toHex(style?.stroke),
+          fillOpacity: style?.fillOpacity ?? 1,
+          shapeCount: pathShapes.length,
+          holeCount: pathShapes.reduce((sum, { shape }) => sum + shape.holes.length, 0),
+          area: round(areas.reduce((sum, area) => sum + area, 0)),
+          minShapeArea: areas.length > 0 ? round(Math.min(...areas)) : null,
+          bounds: bounds.svg,
+          boundsMm: bounds.mm,
+          layer: settings.layer ? getLayerSettings(settings.layer).name : null,
+          depth: settings.depth ?? null,
+          startZ: settings.startZ ?? null,
+          skip: settings.skip
+        };
+      });
+
+      const colorPaths = new Map();
+      shapes.forEach(({ color, pathIndex }) => {
+        const hex = `#${color.getHexString()}`;
+        if (!colorPaths.has(hex)) colorPaths.set(hex, new Set());
+        colorPaths.get(hex).add(pathIndex);
+      });
+
+      // Overlapping shapes of one color are unioned, as the exported model does
+      const palette = new Map();
+      this.mergeShapesByColor(shapes, { curveSegments }).forEach((shapeData) => {
+        const color = `#${shapeData.color.getHexString()}`;
+        const entry = palette.get(color) || { color, pathCount: colorPaths.get(color).size, shapeCount: 0, area: 0 };
+        entry.shapeCount++;
+        entry.area += this.getShapeArea(shapeData.shape, curveSegments) * areaScale;
+        palette.set(color, entry);
+      });
+
+      const modelBounds = describeBox(modelBox).mm;
+
+      return {
+        pathCount: parsed.pathCount,
+        size: modelBounds ? { width: modelBounds.width, height: modelBounds.height } : null,
+        millimetresPerUnit: placement ? round(placement.scaleFactor) : null,
+        paths,
+        palette: Array.from(palette.values())
+          .map(entry => ({ ...entry, area: round(entry.area) }))
+          .sort((a, b) => b.area - a.area),
+        layers: parsed.layers,
+        discardedShapes: parsed.discarded,
+        skippedElements: parsed.skippedElements,
+        normalization: parsed.normalization
+      };
+    } catch (error) {
+      throw new Error(`Failed to analyze SVG: ${error.message}`);
+    }
+  }
+
   /**
    * Convert bitmap image to SVG using potrace
    * @param {Buffer} imageBuffer - Image buffer
+   * @param {Object} options - Tracing options, passed to BitmapTracer.trace
    * @returns {Promise<string>} - SVG data
    */
-  async convertBitmapToSvg(imageBuffer) {
-    return new Promise((resolve, reject) => {
-      try {
-        // Use potrace to convert bitmap to SVG with optimized settings for smooth curves
-        potrace.trace(imageBuffer, {
-          threshold: 128,
-          turdSize: 20, // Increased to remove more small artifacts
-          optCurve: true,
-          optTolerance: 0.2, // Reduced for smoother curves
-          blackOnWhite: true,
-          color: 'auto',
-          background: 'white',
-          turnPolicy: 'minority', // Better for smooth curves
-          alphamax: 0.4, // Reduced for smoother corners
-          smooth: true, // Enable smoothing
-          smoothness: 1.0 // Maximum smoothness
-        }, (err, svg) => {
-          if (err) {
-            reject(new Error(`Failed to convert bitmap to SVG: ${err.message}`));
-            return;
-          }
+  async convertBitmapToSvg(imageBuffer, options = {}) {
+    const { svg } = await this.traceBitmap(imageBuffer, options);
+    return svg;
+  }
 
-          // Add padding and background
-          const padding = 8;
-          const cornerRadius = 8;
-          
-          // Extract content from SVG
-          const contentMatch = svg.match(/<svg[^>]*>([\s\S]*)<\/svg>/);
-          const content = contentMatch ? contentMatch[1] : '';
-
-          // Create enhanced SVG with background
-          const enhancedSvg = `<svg width="200" height="200" viewBox="0 0 200 200">
-  <rect x="0" y="0" width="200" height="200" rx="${cornerRadius}" ry="${cornerRadius}" fill="white"/>
-  <g transform="translate(${padding},${padding})">
-    ${content}
-  </g>
-</svg>`;
-
-          resolve(enhancedSvg);
-        });
-      } catch (error) {
-        reject(new Error(`Bitmap conversion error: ${error.message}`));
-      }
-    });
+  /**
+   * Trace a bitmap image, keeping the details of the trace alongside the SVG
+   * @param {Buffer} imageBuffer - Image buffer
+   * @param {Object} options - Tracing options, passed to BitmapTracer.trace
+   * @returns {Promise<Object>} - { svg, width, height, layers, threshold, blackOnWhite }
+   */
+  async traceBitmap(imageBuffer, options = {}) {
+    try {
+      return await this.bitmapTracer.trace(imageBuffer, options);
+    } catch (error) {
+      throw new Error(`Failed to convert bitmap to SVG: ${error.message}`);
+    }
   }
 
   /**
    * Create shapes from SVG data
    * @param {string} svgData - SVG content
    * @param {Object} options - Shape creation options
-   * @returns {Array} - Array of shape objects
+   * @returns {Object} - { shapes, discarded: counts of dropped shapes by reason, pathCount, unpaintedPaths, skippedPaths: paths
+   *   excluded with data-skip, layers: Inkscape layers, sizing: settings for getModelPlacement, paths: parsed ShapePaths, skippedElements,
+   *   normalization: SvgNormalizer report }
    */
   createShapesFromSvg(svgData, options = {}) {
     const {
       defaultColor = '#FFA500',
       defaultDepth = 2,
+      defaultStrokeDepth = defaultDepth,
       defaultStartZ = 0,
+      curveSegments = 32,
+      tessellation = 'fixed',
+      chordTolerance = 0.05,
+      maxCurveVertices = 200000,
+      size = 37,
+      scaleMode = 'fit',
+      scale = 1,
+      minFeatureArea = 0.05,
+      fillRule = 'auto',
       drawFillShapes = true,
-      drawStrokes = false
+      drawStrokes = false,
+      strict = false
     } = options;
 
     try {
-      const svgParsed = this.svgLoader.parse(svgData);
+      // Resolve stylesheets, <use> and clipping that SVGLoader gets wrong, and draw <text> as outlines
+      const normalized = this.svgNormalizer.normalize(svgData);
+      const source = this.textRenderer.convertTextToPaths(normalized.svgData);
+      const svgParsed = this.svgLoader.parse(source);
+
+      // Clip path and mask regions are not artwork; they only trim the paths marked with data-clip
+      const paths = [];
+      const regionPaths = [];
+      svgParsed.paths.forEach(path => (path.userData?.node?.closest('[data-clip-source]') ? regionPaths : paths).push(path));
       const shapes = [];
+      const discarded = { total: 0, belowMinFeatureArea: 0, overShapeLimit: 0, conversionError: 0 };
+      const discard = (reason, count = 1) => {
+        discarded[reason] += count;
+        discarded.total += count;
+      };
+      let unpaintedPaths = 0;
+      let skippedPaths = 0;
+      const layerCounts = new Map();
 
-      console.log('SVG parsed paths count:', svgParsed.paths.length);
+      // Physical units of the document, for the exact and scale modes
+      const root = svgParsed.paths[0]?.userData.node.ownerDocument.documentElement;
+      const sizing = { scaleMode, size, scale, unitScale: root ? getMillimetresPerUserUnit(root) : 25.4 / 96 };
+      const paint = { defaultColor, drawFillShapes, drawStrokes };
+      const placedPaths = paths.filter((path) => {
+        const { hasFill, hasStroke } = this.getPathPaint(path, paint);
+        return (hasFill || hasStroke) && !getElementDepthSettings(path.userData.node).skip;
+      });
+      const millimetresPerUnit = this.estimateMillimetresPerUnit(placedPaths, sizing, { curveSegments, drawStrokes });
+      const getPoints = this.createTessellator(svgParsed.paths, {
+        curveSegments,
+        tessellation,
+        chordTolerance,
+        maxCurveVertices,
+        millimetresPerUnit
+      });
+      const clipRegions = this.getClipRegions(regionPaths, getPoints);
+
+      // Artifacts are judged by their real area in the final model, independent of the viewBox
+      const isLargeEnough = (shape) => {
+        const area = this.getShapeArea(shape, curveSegments);
+        if (area <= 0) return false;
+        return !millimetresPerUnit || area * millimetresPerUnit ** 2 >= minFeatureArea;
+      };
+
+      console.log('SVG parsed paths count:', paths.length);
 
-      if (svgParsed.paths.length === 0) {
+      if (paths.length === 0 && strict) {
+        console.warn('No paths found in SVG');
+      } else if (paths.length === 0) {
         console.warn('No paths found in SVG, creating fallback shape');
         // Create a fallback shape if no paths are found
         const fallbackShape = new Shape();
@@ -182,88 +655,508 @@ export class SvgTo3DConverter {
           polygonOffset: 0
         });
       } else {
-        svgParsed.paths.forEach((path, index) => {
+        paths.forEach((path, index) => {
           console.log(`Processing path ${index}`);
+
+          // data-depth, data-z and data-skip (or Inkscape layer labels) override the defaults per element
+          const settings = getElementDepthSettings(path.userData.node);
+          const counts = settings.layer ? layerCounts.get(settings.layer) || { pathCount: 0, shapeCount: 0 } : null;
+          if (counts) {
+            counts.pathCount++;
+            layerCounts.set(settings.layer, counts);
+          }
+          if (settings.skip) {
+            skippedPaths++;
+            return;
+          }
+
+          const placement = {
+            startZ: settings.startZ ?? defaultStartZ,
+            depthFromSvg: settings.depth !== undefined,
+            startZFromSvg: settings.startZ !== undefined
+          };
+          const style = path.userData?.style;
+          const { fillColor, strokeColor, hasFill, hasStroke } = this.getPathPaint(path, paint);
+
+          if (!hasFill && !hasStroke) {
+            unpaintedPaths++;
+          }
           
           // Process filled shapes
-          if (drawFillShapes) {
-            const fillColor = path.userData?.style?.fill || defaultColor;
-            const fillOpacity = path.userData?.style?.fillOpacity ?? 1;
-
-            if (fillColor !== undefined && fillColor !== 'none') {
-              try {
-                const pathShapes = SVGLoader.createShapes(path);
-                console.log(`Created ${pathShapes.length} shapes from path ${index}`);
-                
-                // Apply shape smoothing to reduce pixelation (limited to prevent memory issues)
-                const limitedShapes = pathShapes.slice(0, 1000); // Limit to first 1000 shapes
-                const smoothedShapes = limitedShapes.map((shape) => {
-                  return this.smoothShape(shape);
-                });
-                
-                smoothedShapes.forEach((shape) => {
-                  // Filter out very small shapes that are likely artifacts
-                  // Calculate bounding box manually since Shape doesn't have getBoundingBox()
-                  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
-                  
-                  // Get bounding box from shape curves
-                  if (shape.curves && shape.curves.length > 0) {
-                    shape.curves.forEach(curve => {
-                      if (curve.v1) {
-                        minX = Math.min(minX, curve.v1.x);
-                        minY = Math.min(minY, curve.v1.y);
-                        maxX = Math.max(maxX, curve.v1.x);
-                        maxY = Math.max(maxY, curve.v1.y);
-                      }
-                      if (curve.v2) {
-                        minX = Math.min(minX, curve.v2.x);
-                        minY = Math.min(minY, curve.v2.y);
-                        maxX = Math.max(maxX, curve.v2.x);
-                        maxY = Math.max(maxY, curve.v2.y);
-                      }
-                    });
-                  }
-                  
-                  const area = (maxX - minX) * (maxY - minY);
-                  
-                  // Only include shapes with reasonable size (filter out tiny artifacts)
-                  if (area > 1.0) { // Increased minimum area threshold to reduce memory usage
-                    shapes.push({
-                      shape,
-                      color: new Color().setStyle(fillColor),
-                      startZ: defaultStartZ,
-                      depth: defaultDepth,
-                      opacity: fillOpacity,
-                      polygonOffset: 0
-                    });
-                  }
-                });
-              } catch (error) {
-                console.error(`Error creating shapes from path ${index}:`, error);
-              }
+          if (hasFill) {
+            const fillOpacity = style?.fillOpacity ?? 1;
+
+            try {
+              const pathShapes = this.clipShapes(this.createFillShapes(path, { fillRule, getPoints }), path, clipRegions);
+              console.log(`Created ${pathShapes.length} shapes from path ${index}`);
+              
+              const limitedShapes = pathShapes.slice(0, 1000); // Limit to first 1000 shapes to prevent memory issues
+              discard('overShapeLimit', pathShapes.length - limitedShapes.length);
+              
+              limitedShapes.forEach((shape) => {
+                // Filter out very small shapes that are likely artifacts
+                if (!isLargeEnough(shape)) {
+                  discard('belowMinFeatureArea');
+                } else {
+                  shapes.push({
+                    shape,
+                    color: new Color().setStyle(fillColor),
+                    ...placement,
+                    depth: settings.depth ?? defaultDepth,
+                    opacity: fillOpacity,
+                    polygonOffset: 0,
+                    pathIndex: index
+                  });
+                  if (counts) counts.shapeCount++;
+                }
+              });
+            } catch (error) {
+              console.error(`Error creating shapes from path ${index}:`, error);
+              discard('conversionError');
+            }
+          }
+
+          // Process stroke outlines
+          if (hasStroke) {
+            try {
+              const strokeShapes = this.clipShapes(this.createStrokeShapes(path, { getPoints }), path, clipRegions);
+              console.log(`Created ${strokeShapes.length} stroke shapes from path ${index}`);
+
+              const limitedShapes = strokeShapes.slice(0, 1000);
+              discard('overShapeLimit', strokeShapes.length - limitedShapes.length);
+
+              limitedShapes.forEach((shape) => {
+                if (!isLargeEnough(shape)) {
+                  discard('belowMinFeatureArea');
+                } else {
+                  shapes.push({
+                    shape,
+                    color: new Color().setStyle(strokeColor),
+                    ...placement,
+                    depth: settings.depth ?? defaultStrokeDepth,
+                    opacity: style.strokeOpacity ?? 1,
+                    polygonOffset: 0,
+                    isStroke: true,
+                    pathIndex: index
+                  });
+                  if (counts) counts.shapeCount++;
+                }
+              });
+            } catch (error) {
+              console.error(`Error creating stroke shapes from path ${index}:`, error);
+              discard('conversionError');
             }
           }
         });
       }
 
-      console.log(`Total shapes created: ${shapes.length}`);
-      return shapes;
+      const layers = this.getInkscapeLayers(svgParsed.paths[0]?.userData.node.ownerDocument, layerCounts);
+      if (layers.length > 0) {
+        console.log('Inkscape layers:', layers.map(({ name, depth, startZ, skip }) => `${name} (${skip ? 'skipped' : `depth ${depth ?? 'default'}, z ${startZ ?? 'default'}`})`).join(', '));
+      }
+
+      console.log(`Total shapes created: ${shapes.length}, discarded: ${discarded.total}`);
+      return {
+        shapes,
+        discarded,
+        pathCount: paths.length,
+        unpaintedPaths,
+        skippedPaths,
+        layers,
+        sizing,
+        paths,
+        skippedElements: findUnsupportedElements(source),
+        normalization: normalized.report
+      };
     } catch (error) {
       console.error('Error parsing SVG:', error);
       throw new Error(`Failed to parse SVG: ${error.message}`);
     }
   }
 
+  /**
+   * Build the sampler that turns each subpath into points
+   * 'fixed' gives every curve curveSegments divisions. 'adaptive' gives each curve just enough
+   * divisions to stay within chordTolerance of the final model, within a total vertex budget.
+   * @param {Array<ShapePath>} paths - Paths returned by SVGLoader.parse
+   * @param {Object} options - Tessellation options
+   * @param {number} options.curveSegments - Divisions per curve in 'fixed' mode
+   * @param {string} options.tessellation - 'fixed' or 'adaptive'
+   * @param {number} options.chordTolerance - Maximum curve-to-chord distance in mm ('adaptive')
+   * @param {number} options.maxCurveVertices - Vertex budget across all subpaths ('adaptive')
+   * @param {number|null} options.millimetresPerUnit - Final model scale, used to convert the tolerance
+   * @returns {Function} - subPath => Array<Vector2>
+   */
+  createTessellator(paths, options = {}) {
+    const {
+      curveSegments = 32,
+      tessellation = 'fixed',
+      chordTolerance = 0.05,
+      maxCurveVertices = 200000,
+      millimetresPerUnit = null
+    } = options;
+
+    const fixed = subPath => subPath.getPoints(curveSegments);
+    if (tessellation !== 'adaptive' || !millimetresPerUnit) return fixed;
+
+    const subPaths = paths.flatMap(path => path.subPaths);
+    const { divisions, vertexCount, limited } = planCurveDivisions(subPaths, {
+      tolerance: chordTolerance / millimetresPerUnit,
+      maxVertices: maxCurveVertices,
+      fallbackDivisions: curveSegments
+    });
+
+    console.log(`Adaptive tessellation: ${vertexCount} outline vertices at ${chordTolerance}mm tolerance`);
+    if (limited) {
+      console.warn(`Tessellation capped at ${maxCurveVertices} vertices; curves are coarser than ${chordTolerance}mm`);
+    }
+
+    return subPath => getSubPathPoints(subPath, divisions, curveSegments);
+  }
+
+  /**
+   * Convert the fill of a parsed SVG path into shapes with holes
+   * Solid regions are resolved with the path's fill-rule across all subpaths, so compound
+   * paths with inconsistent winding still get the holes a browser would paint.
+   * @param {ShapePath} path - Path returned by SVGLoader.parse
+   * @param {Object} options - Fill options
+   * @param {string} options.fillRule - 'auto' (use the SVG fill-rule), 'nonzero' or 'evenodd'
+   * @param {Function} options.getPoints - Subpath sampler from createTessellator
+   * @returns {Array<Shape>} - Filled shapes
+   */
+  createFillShapes(path, options = {}) {
+    const { fillRule = 'auto', getPoints = subPath => subPath.getPoints(32) } = options;
+
+    const rule = fillRule === 'auto'
+      ? (path.userData?.style?.fillRule === 'evenodd' ? 'evenodd' : 'nonzero')
+      : fillRule;
+
+    // Fills implicitly close every subpath
+    const contours = path.subPaths
+      .map(subPath => getPoints(subPath))
+      .filter(points => points.length > 2);
+
+    if (contours.length === 0) return [];
+
+    return polygonsToShapes(contours, rule, getClipperScale(contours));
+  }
+
+  /**
+   * Describe the Inkscape layers of a parsed SVG with the depth settings they resolve to
+   * @param {Document|undefined} doc - Document SVGLoader parsed
+   * @param {Map<Element, Object>} layerCounts - { pathCount, shapeCount } per layer group
+   * @returns {Array<Object>} - Layers in document order as { name, id, depth, startZ, skip, hidden, pathCount, shapeCount }
+   */
+  getInkscapeLayers(doc, layerCounts) {
+    if (!doc) return [];
+
+    return [...doc.querySelectorAll('g')].filter(isInkscapeLayer).map((layer) => {
+      const { name, hidden } = getLayerSettings(layer);
+      const { depth, startZ, skip } = getElementDepthSettings(layer);
+      const { pathCount = 0, shapeCount = 0 } = layerCounts.get(layer) || {};
+
+      return {
+        name,
+        id: layer.getAttribute('id'),
+        depth: depth ?? null,
+        startZ: startZ ?? null,
+        skip,
+        hidden,
+        pathCount,
+        shapeCount
+      };
+    });
+  }
+
+  /**
+   * Build the clip regions SvgNormalizer marked with data-clip-source
+   * @param {Array<ShapePath>} regionPaths - Parsed paths inside region groups
+   * @param {Function} getPoints - Subpath sampler from createTessellator
+   * @returns {Map<string, Array<Array<Vector2>>>} - Region contours by key
+   */
+  getClipRegions(regionPaths, getPoints) {
+    const regions = new Map();
+
+    regionPaths.forEach((path) => {
+      const key = path.userData.node.closest('[data-clip-source]').getAttribute('data-clip-source');
+      const contours = this.createFillShapes(path, { getPoints }).flatMap((shape) => {
+        const { shape: outer, holes } = shape.extractPoints(1);
+        return [outer, ...holes];
+      });
+
+      regions.set(key, [...(regions.get(key) || []), ...contours]);
+    });
+
+    return regions;
+  }
+
+  /**
+   * Trim shapes to the clip regions of the path and its ancestors
+   * @param {Array<Shape>} shapes - Shapes built from a parsed path
+   * @param {ShapePath} path - Path returned by SVGLoader.parse
+   * @param {Map<string, Array<Array<Vector2>>>} clipRegions - Region contours from getClipRegions
+   * @returns {Array<Shape>} - Clipped shapes
+   */
+  clipShapes(shapes, path, clipRegions) {
+    const keys = [];
+    for (let node = path.userData?.node; node?.getAttribute; node = node.parentNode) {
+      const clip = node.getAttribute('data-clip');
+      if (clip) keys.push(...clip.split(' '));
+    }
+
+    if (keys.length === 0 || shapes.length === 0) return shapes;
+
+    let contours = shapes.flatMap((shape) => {
+      const { shape: outer, holes } = shape.extractPoints(1);
+      return [outer, ...holes];
+    });
+    const regions = keys.map(key => clipRegions.get(key) || []);
+    const scale = getClipperScale([...contours, ...regions.flat()]);
+
+    // A region without geometry clips everything away, as in a browser
+    regions.forEach((region) => {
+      contours = region.length > 0 ? booleanPolygons(contours, region, 'intersection', 'nonzero', scale) : [];
+    });
+
+    return polygonsToShapes(contours, 'nonzero', scale);
+  }
+
+  /**
+   * Convert the stroke of a parsed SVG path into solid outline shapes
+   * @param {ShapePath} path - Path returned by SVGLoader.parse
+   * @param {Object} options - Stroke options
+   * @param {Function} options.getPoints - Subpath sampler from createTessellator
+   * @returns {Array<Shape>} - Outline shapes honouring width, joins, caps and miter limit
+   */
+  createStrokeShapes(path, options = {}) {
+    const { getPoints = subPath => subPath.getPoints(32) } = options;
+    const style = path.userData?.style || {};
+
+    // SVGLoader bakes transforms into the points but not into the stroke width
+    const transformScale = path.userData?.node ? getNodeTransformScale(path.userData.node) : 1;
+
+    const polylines = path.subPaths
+      .map((subPath) => {
+        const points = getPoints(subPath);
+        const first = points[0];
+        const last = points[points.length - 1];
+        const closed = subPath.autoClose || (points.length > 2 && first.distanceTo(last) < 1e-6);
+        return { points, closed };
+      })
+      .filter(({ points }) => points.length > 0);
+
+    return strokeToShapes(polylines, {
+      width: (style.strokeWidth ?? 1) * transformScale,
+      lineJoin: style.strokeLineJoin,
+      lineCap: style.strokeLineCap,
+      miterLimit: style.strokeMiterLimit
+    });
+  }
+
+  /**
+   * Area of a shape's outline minus its holes
+   * @param {Shape} shape - Three.js Shape object
+   * @param {number} curveSegments - Points used per curve segment
+   * @returns {number} - Area in SVG units²
+   */
+  getShapeArea(shape, curveSegments = 12) {
+    const { shape: outer, holes } = shape.extractPoints(curveSegments);
+    const holeArea = holes.reduce((sum, hole) => sum + Math.abs(ShapeUtils.area(hole)), 0);
+
+    return Math.max(Math.abs(ShapeUtils.area(outer)) - holeArea, 0);
+  }
+
+  /**
+   * Fill and stroke a parsed path contributes to the model
+   * @param {ShapePath} path - Path returned by SVGLoader.parse
+   * @param {Object} options - { defaultColor, drawFillShapes, drawStrokes }
+   * @returns {Object} - { fillColor, strokeColor, hasFill, hasStroke }
+   */
+  getPathPaint(path, options = {}) {
+    const { defaultColor = '#FFA500', drawFillShapes = true, drawStrokes = false } = options;
+    const style = path.userData?.style;
+    const fillColor = style?.fill || defaultColor;
+    const strokeColor = style?.stroke;
+
+    return {
+      fillColor,
+      strokeColor,
+      hasFill: drawFillShapes && fillColor !== 'none',
+      hasStroke: drawStrokes && strokeColor !== undefined && strokeColor !== 'none'
+    };
+  }
+
+  /**
+   * Estimate how many millimetres one SVG unit becomes once the model is scaled
+   * The fit modes depend on the artwork bounds, taken here from the outlines of the paths that will be
+   * extruded, before clipping and the minFeatureArea filter are known.
+   * @param {Array<ShapePath>} paths - Painted, non-skipped paths returned by SVGLoader.parse
+   * @param {Object} sizing - Sizing settings, see getScaleFactor
+   * @param {Object} options - { curveSegments: divisions per curve, drawStrokes: widen stroked paths by half their width }
+   * @returns {number|null} - Millimetres per SVG unit, or null for empty artwork
+   */
+  estimateMillimetresPerUnit(paths, sizing, options = {}) {
+    const { curveSegments = 32, drawStrokes = false } = options;
+    const box = new Box3();
+    paths.forEach((path) => {
+      const pathBox = new Box3();
+      path.subPaths.forEach((subPath) => {
+        subPath.getPoints(curveSegments).forEach(p => pathBox.expandByPoint(new Vector3(p.x, p.y, 0)));
+      });
+
+      const style = path.userData?.style;
+      if (drawStrokes && !pathBox.isEmpty() && style?.stroke && style.stroke !== 'none') {
+        const transformScale = path.userData?.node ? getNodeTransformScale(path.userData.node) : 1;
+        pathBox.expandByScalar((style.strokeWidth ?? 1) * transformScale / 2);
+      }
+      box.union(pathBox);
+    });
+
+    const boxSize = new Vector3();
+    box.getSize(boxSize);
+
+    return Math.max(boxSize.x, boxSize.y) > 0 ? this.getScaleFactor(boxSize, sizing) : null;
+  }
+
+  /**
+   * Apply per-color depth and Z offset to shapes
+   * @param {Array} shapes - Array of shape objects from createShapesFromSvg
+   * @param {Object} options - Layer options
+   * @param {Object} options.colorLayers - Map of CSS color to { depth, startZ }
+   * @param {string} options.colorLayerOrder - 'none', 'lightTallest' or 'darkTallest'
+   * @param {number} options.layerStep - Extra depth in mm per luminance rank
+   * @param {number} options.colorMatchTolerance - Max sRGB distance (0-441) for nearest color matching
+   * @returns {Array} - Applied layers as { color, depth, startZ, shapeCount }
+   */
+  applyColorLayers(shapes, options = {}) {
+    const {
+      colorLayers = null,
+      colorLayerOrder = 'none',
+      layerStep = 1,
+      colorMatchTolerance = 24
+    } = options;
+
+    const entries = Object.entries(colorLayers || {})
+      .map(([key, layer]) => ({ color: parseColor(key), layer }))
+      .filter(({ color }) => color !== null);
+
+    // Rank distinct colors by luminance so lighter or darker colors stand taller
+    const ranks = new Map();
+    if (colorLayerOrder === 'lightTallest' || colorLayerOrder === 'darkTallest') {
+      const distinct = new Map();
+      shapes.forEach(({ color }) => distinct.set(color.getHexString(), color));
+
+      const sorted = Array.from(distinct.values()).sort((a, b) => getLuminance(a) - getLuminance(b));
+      sorted.forEach((color, index) => {
+        const rank = colorLayerOrder === 'lightTallest' ? index : sorted.length - 1 - index;
+        ranks.set(color.getHexString(), rank);
+      });
+    }
+
+    const applied = new Map();
+
+    shapes.forEach((shapeData) => {
+      const hex = shapeData.color.getHexString();
+
+      // Depths and offsets set in the SVG itself win over per-color settings
+      if (ranks.has(hex) && !shapeData.depthFromSvg) {
+        shapeData.depth += ranks.get(hex) * layerStep;
+      }
+
+      // Exact or nearest listed color within tolerance; unlisted colors keep the default
+      let match = null;
+      let bestDistance = Infinity;
+      entries.forEach((entry) => {
+        const distance = colorDistance(entry.color, shapeData.color);
+        if (distance <= colorMatchTolerance && distance < bestDistance) {
+          match = entry.layer;
+          bestDistance = distance;
+        }
+      });
+
+      if (match) {
+        if (match.depth !== undefined && !shapeData.depthFromSvg) shapeData.depth = Number(match.depth);
+        if (match.startZ !== undefined && !shapeData.startZFromSvg) shapeData.startZ = Number(match.startZ);
+      }
+
+      const layer = applied.get(hex) || { color: `#${hex}`, depth: shapeData.depth, startZ: shapeData.startZ, shapeCount: 0 };
+      layer.shapeCount++;
+      applied.set(hex, layer);
+    });
+
+    return Array.from(applied.values());
+  }
+
+  /**
+   * Union all shapes that share a color, depth and start Z into single outlines
+   * Overlapping paths otherwise become intersecting solids that slicers reject.
+   * @param {Array} shapes - Array of shape objects
+   * @param {Object} options - Merge options
+   * @param {number} options.curveSegments - Points used per curve segment
+   * @returns {Array} - Merged shape objects
+   */
+  mergeShapesByColor(shapes, options = {}) {
+    const { curveSegments = 32 } = options;
+    const groups = new Map();
+
+    shapes.forEach((shapeData) => {
+      const key = `${shapeData.color.getHexString()}|${shapeData.depth}|${shapeData.startZ}`;
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(shapeData);
+    });
+
+    const merged = [];
+
+    groups.forEach((group) => {
+      if (group.length === 1) {
+        merged.push(group[0]);
+        return;
+      }
+
+      // Outer contours counter-clockwise and holes clockwise, so a nonzero union keeps the holes
+      const contours = [];
+      group.forEach(({ shape }) => {
+        const { shape: outer, holes } = shape.extractPoints(curveSegments);
+        contours.push(ShapeUtils.isClockWise(outer) ? outer.slice().reverse() : outer);
+        holes.forEach((hole) => {
+          contours.push(ShapeUtils.isClockWise(hole) ? hole : hole.slice().reverse());
+        });
+      });
+
+      const unionShapes = polygonsToShapes(contours, 'nonzero', getClipperScale(contours));
+
+      unionShapes.forEach((shape) => {
+        merged.push({
+          ...group[0],
+          shape,
+          isStroke: group.every(shapeData => shapeData.isStroke)
+        });
+      });
+    });
+
+    console.log(`Merged ${shapes.length} shapes into ${merged.length} per-color outlines`);
+    return merged;
+  }
+
   /**
    * Create 3D model from shapes
    * @param {Array} shapes - Array of shape objects
    * @param {Object} options - 3D model options
+   * @param {Object} options.sizing - Sizing settings, see getScaleFactor
+   * @param {string} options.backing - Backing plate shape ('none', 'rectangle', 'roundedRectangle', 'circle', 'outline')
+   * @param {boolean} options.bevelEnabled - Bevel the extruded edges (bevel sizes are in mm)
    * @returns {Group} - Three.js Group containing the 3D model
    */
   create3DModel(shapes, options = {}) {
-    const { depth = 2, size = 37, curveSegments = 32 } = options;
+    const { depth = 2, sizing = {}, curveSegments = 32, backing = 'none' } = options;
     const group = new Group();
 
+    // Scale and placement follow the artwork outline, so bevels grow the model by their size in mm
+    const artworkBox = this.getArtworkBox(shapes, curveSegments);
+    const bevel = this.getBevelSettings(shapes, { ...options, artworkBox });
+
     shapes.forEach((shapeData) => {
       if (shapeData.depth > 0) {
         // Create extrude geometry matching bekuto3d approach
@@ -274,7 +1167,18 @@ export class SvgTo3DConverter {
           steps: 1
         };
 
+        // The bevel adds its thickness on both faces, so keep the total height at the shape depth
+        if (bevel) {
+          if (bevel.bevelThickness * 2 >= shapeData.depth) {
+            throw new Error(`Bevel too large: bevelThickness (${bevel.bevelThickness}mm) must be less than half the extrusion depth (${shapeData.depth}mm)`);
+          }
+          Object.assign(extrudeSettings, bevel, { depth: shapeData.depth - bevel.bevelThickness * 2 });
+        }
+
         const geometry = new ExtrudeGeometry(shapeData.shape, extrudeSettings);
+        if (bevel) {
+          geometry.translate(0, 0, bevel.bevelThickness);
+        }
         
         // Compute vertex normals for smoother shading
         geometry.computeVertexNormals();
@@ -309,7 +1213,12 @@ export class SvgTo3DConverter {
     console.log(`Total shapes processed: ${shapes.length}`);
 
     // Scale and center the model
-    this.scaleAndCenterModel(group, size);
+    this.scaleAndCenterModel(group, sizing, artworkBox);
+
+    // Plate dimensions are given in mm, so it is built after scaling
+    if (backing && backing !== 'none') {
+      this.addBackingPlate(group, shapes, { ...options, curveSegments });
+    }
 
     // Log final dimensions for verification
     const finalBox = new Box3().setFromObject(group);
@@ -320,22 +1229,294 @@ export class SvgTo3DConverter {
     return group;
   }
 
+  /**
+   * Build a cookie cutter or stamp from the outline of the artwork
+   * @param {Array} shapes - Array of shape objects
+   * @param {Object} options - Tool options
+   * @param {string} options.mode - 'cookieCutter' or 'stamp'
+   * @param {Object} options.sizing - Sizing settings, see getScaleFactor
+   * @param {Object} options.cookieCutter - Options for CookieCutterGenerator.generate
+   * @param {Object} options.stamp - Options for StampGenerator.generate
+   * @returns {Group} - Three.js Group in millimetres
+   */
+  createToolModel(shapes, options = {}) {
+    const { mode, sizing = {}, curveSegments = 32, defaultColor = '#FFA500' } = options;
+
+    // Place the artwork exactly as scaleAndCenterModel would, but bake the placement into the outlines
+    const outlines = shapes.map(({ shape }) => shape.extractPoints(curveSegments));
+    const box = new Box3();
+    outlines.forEach(({ shape: outer }) => outer.forEach(p => box.expandByPoint(new Vector3(p.x, p.y, 0))));
+    const { scaleFactor, offsetX, offsetY } = this.getModelPlacement(box, sizing);
+
+    const toMillimetres = points => points.map(p => new Vector2(p.x * scaleFactor + offsetX, -p.y * scaleFactor + offsetY));
+    const contours = [];
+    outlines.forEach(({ shape: outer, holes }) => {
+      const mmOuter = toMillimetres(outer);
+      contours.push(ShapeUtils.isClockWise(mmOuter) ? mmOuter.reverse() : mmOuter);
+      holes.forEach((hole) => {
+        const mmHole = toMillimetres(hole);
+        contours.push(ShapeUtils.isClockWise(mmHole) ? mmHole : mmHole.reverse());
+      });
+    });
+
+    const parts = mode === 'stamp'
+      ? this.stampGenerator.generate(contours, options.stamp)
+      : this.cookieCutterGenerator.generate(contours, options.cookieCutter);
+
+    const group = new Group();
+    const color = new Color().setStyle(defaultColor);
+    const material = new MeshPhongMaterial({ color, transparent: true, opacity: 1 });
+
+    parts.forEach(({ name, shapes: partShapes, startZ, depth }) => {
+      partShapes.forEach((shape) => {
+        const geometry = new ExtrudeGeometry(shape, {
+          depth,
+          bevelEnabled: false,
+          curveSegments,
+          steps: 1
+        });
+        geometry.computeVertexNormals();
+        geometry.computeBoundingBox();
+        geometry.computeBoundingSphere();
+
+        const mesh = new Mesh(geometry, material);
+        mesh.name = name;
+        mesh.position.z = startZ;
+        mesh.userData = {
+          originalShape: { shape, color, startZ, depth, opacity: 1, polygonOffset: 0 }
+        };
+        group.add(mesh);
+      });
+    });
+
+    const finalBox = new Box3().setFromObject(group);
+    const finalSize = new Vector3();
+    finalBox.getSize(finalSize);
+    console.log(`${mode} model dimensions:`, finalSize.x.toFixed(2), 'x', finalSize.y.toFixed(2), 'x', finalSize.z.toFixed(2), 'mm');
+
+    return group;
+  }
+
+  /**
+   * Bounds of the outer contours of a set of shapes
+   * @param {Array} shapes - Array of shape objects
+   * @param {number} curveSegments - Points used per curve segment
+   * @returns {Box3} - Bounds in SVG units
+   */
+  getArtworkBox(shapes, curveSegments = 32) {
+    const box = new Box3();
+    shapes.forEach(({ shape }) => {
+      shape.extractPoints(curveSegments).shape.forEach(p => box.expandByPoint(new Vector3(p.x, p.y, 0)));
+    });
+    return box;
+  }
+
+  /**
+   * Convert bevel options from millimetres to shape units and reject bevels that would fold the mesh
+   * Inward bevels fold on features thinner than the bevel; outward bevels fold on gaps narrower than it,
+   * inside a shape or between parts of the same color that would grow into each other.
+   * @param {Array} shapes - Array of shape objects
+   * @param {Object} options - 3D model options (sizing, curveSegments, artworkBox and bevel settings)
+   * @returns {Object|null} - ExtrudeGeometry bevel settings, or null when bevels are disabled
+   */
+  getBevelSettings(shapes, options = {}) {
+    const {
+      sizing = {},
+      curveSegments = 32,
+      artworkBox = this.getArtworkBox(shapes, curveSegments),
+      bevelEnabled = false,
+      bevelThickness = 0.5,
+      bevelSize = 0.3,
+      bevelOffset = 0,
+      bevelSegments = 3
+    } = options;
+
+    if (!bevelEnabled || shapes.length === 0) return null;
+
+    // Shapes are extruded in SVG units and scaled afterwards; bevel XY sizes must follow
+    const boxSize = new Vector3();
+    artworkBox.getSize(boxSize);
+    const millimetresPerUnit = this.getScaleFactor(boxSize, sizing);
+    const unitsPerMm = 1 / millimetresPerUnit;
+
+    const settings = {
+      bevelEnabled: true,
+      bevelThickness,
+      bevelSize: bevelSize * unitsPerMm,
+      bevelOffset: bevelOffset * unitsPerMm,
+      bevelSegments: Math.round(bevelSegments)
+    };
+
+    // The outline moves between bevelOffset and bevelSize + bevelOffset
+    const distances = [settings.bevelOffset, settings.bevelSize + settings.bevelOffset].filter(d => d !== 0);
+
+    const outlines = shapes.map(({ shape }) => shape.extractPoints(curveSegments));
+    outlines.forEach(({ shape: outer, holes }, index) => {
+      if (distances.some(distance => naiveOffsetSelfIntersects(outer, holes, distance))) {
+        throw new Error(`Bevel too large: bevelSize ${bevelSize}mm with bevelOffset ${bevelOffset}mm makes shape ${index} self-intersect. Reduce the bevel or increase the model size.`);
+      }
+    });
+
+    const growth = Math.max(bevelSize + bevelOffset, bevelOffset);
+    if (growth > 0) {
+      const collision = this.findBevelCollision(shapes, outlines, { growth, millimetresPerUnit });
+      if (collision) {
+        throw new Error(`Bevel too large: bevelSize ${bevelSize}mm with bevelOffset ${bevelOffset}mm makes shapes ${collision[0]} and ${collision[1]} grow into each other. Reduce the bevel or increase the model size.`);
+      }
+    }
+
+    return settings;
+  }
+
+  /**
+   * Find two separate shapes of the same color and height range that an outward bevel makes overlap
+   * @param {Array} shapes - Array of shape objects
+   * @param {Array<Object>} outlines - Extracted points of each shape ({ shape, holes })
+   * @param {Object} options - { growth: outward bevel distance in mm, millimetresPerUnit }
+   * @returns {Array<number>|null} - Indices of the first colliding pair, or null
+   */
+  findBevelCollision(shapes, outlines, options = {}) {
+    const { growth, millimetresPerUnit } = options;
+
+    const parts = outlines.map(({ shape: outer, holes }, index) => {
+      const toMillimetres = points => points.map(p => new Vector2(p.x * millimetresPerUnit, p.y * millimetresPerUnit));
+      const mmOuter = toMillimetres(outer);
+      const contours = [ShapeUtils.isClockWise(mmOuter) ? mmOuter.reverse() : mmOuter];
+      holes.forEach((hole) => {
+        const mmHole = toMillimetres(hole);
+        contours.push(ShapeUtils.isClockWise(mmHole) ? mmHole : mmHole.reverse());
+      });
+
+      const { color, startZ = 0, depth = 0 } = shapes[index];
+      const grown = offsetPolygons(contours, growth, 'miter');
+      const box = new Box3();
+      grown.forEach(points => points.forEach(p => box.expandByPoint(new Vector3(p.x, p.y, 0))));
+
+      return { index, contours, grown, box, colorKey: color?.getHexString(), startZ, endZ: startZ + depth };
+    });
+
+    const area = contours => contours.reduce((sum, points) => sum + polygonArea(points), 0);
+    const tolerance = growth * growth * 1e-3;
+
+    for (let i = 0; i < parts.length; i++) {
+      for (let j = i + 1; j < parts.length; j++) {
+        const a = parts[i];
+        const b = parts[j];
+        if (a.colorKey !== b.colorKey || a.startZ >= b.endZ || b.startZ >= a.endZ || !a.box.intersectsBox(b.box)) continue;
+
+        // Shapes that already overlap are one solid anyway; only a gap the bevel closes folds the walls
+        const scale = getClipperScale([...a.grown, ...b.grown]);
+        if (area(booleanPolygons(a.contours, b.contours, 'intersection', 'nonzero', scale)) > tolerance) continue;
+        if (area(booleanPolygons(a.grown, b.grown, 'intersection', 'nonzero', scale)) > tolerance) {
+          return [a.index, b.index];
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Add a solid backing plate under the artwork and lift the artwork onto it
+   * @param {Group} group - Scaled and centered model group
+   * @param {Array} shapes - Array of shape objects used to build the group
+   * @param {Object} options - Backing options
+   */
+  addBackingPlate(group, shapes, options = {}) {
+    const {
+      backing = 'rectangle',
+      backingThickness = 2,
+      backingMargin = 3,
+      backingCornerRadius = 3,
+      backingColor = '#FFFFFF',
+      holeAnchor = 'none',
+      holeDiameter = 4,
+      holeMargin = 2,
+      curveSegments = 32
+    } = options;
+
+    group.updateMatrix();
+    const toMillimetres = group.matrix.clone();
+    const toLocal = toMillimetres.clone().invert();
+    const point = new Vector3();
+
+    // Outer artwork contours in final millimetre coordinates
+    const contours = shapes.map(({ shape }) => shape.getPoints(curveSegments).map((p) => {
+      point.set(p.x, p.y, 0).applyMatrix4(toMillimetres);
+      return new Vector2(point.x, point.y);
+    }));
+
+    const plateShapes = this.backingPlateGenerator.generate(contours, {
+      shape: backing,
+      margin: backingMargin,
+      cornerRadius: backingCornerRadius,
+      holeAnchor,
+      holeDiameter,
+      holeMargin
+    });
+
+    // Artwork sits on top of the plate so both print as one part
+    group.children.forEach((child) => {
+      child.position.z += backingThickness;
+    });
+
+    const material = new MeshPhongMaterial({
+      color: new Color().setStyle(backingColor),
+      transparent: true,
+      opacity: 1
+    });
+
+    // Plate outlines are in millimetres; map them into the group's scaled space before extruding
+    const toLocalPoints = points => points.map((p) => {
+      point.set(p.x, p.y, 0).applyMatrix4(toLocal);
+      return new Vector2(point.x, point.y);
+    });
+
+    plateShapes.forEach((plateShape) => {
+      const { shape: outer, holes } = plateShape.extractPoints(curveSegments);
+      const localShape = new Shape(toLocalPoints(outer));
+      holes.forEach(hole => localShape.holes.push(new Path(toLocalPoints(hole))));
+
+      const geometry = new ExtrudeGeometry(localShape, {
+        depth: backingThickness,
+        bevelEnabled: false,
+        curveSegments,
+        steps: 1
+      });
+      geometry.computeVertexNormals();
+      geometry.computeBoundingBox();
+      geometry.computeBoundingSphere();
+
+      const mesh = new Mesh(geometry, material);
+      mesh.name = 'backing_plate';
+      mesh.userData = {
+        isBacking: true,
+        originalShape: {
+          shape: localShape,
+          color: material.color,
+          startZ: 0,
+          depth: backingThickness,
+          opacity: 1,
+          polygonOffset: 0
+        }
+      };
+      group.add(mesh);
+    });
+
+    console.log(`Backing plate added: ${backing}, ${plateShapes.length} part(s), ${backingThickness}mm thick`);
+  }
+
   /**
    * Scale and center the 3D model (only X and Y dimensions, preserve Z-depth)
    * @param {Group} modelGroup - The 3D model group
-   * @param {number} targetSize - Target size in mm for X and Y dimensions
+   * @param {Object} sizing - Sizing settings, see getScaleFactor
+   * @param {Box3} artworkBox - Bounds of the artwork outline in SVG units; defaults to the bounds of the meshes
    */
-  scaleAndCenterModel(modelGroup, targetSize) {
+  scaleAndCenterModel(modelGroup, sizing, artworkBox = null) {
     if (modelGroup.children.length === 0) return;
 
-    // Calculate bounding box
-    const box = new Box3().setFromObject(modelGroup);
-    const size = new Vector3();
-    box.getSize(size);
-
-    // Calculate scale factor based only on X and Y dimensions (preserve Z-depth)
-    const maxDimension = Math.max(size.x, size.y);
-    const scaleFactor = targetSize / maxDimension;
+    const box = artworkBox && !artworkBox.isEmpty() ? artworkBox : new Box3().setFromObject(modelGroup);
+    const { scaleFactor, offsetX, offsetY } = this.getModelPlacement(box, sizing);
 
     // Apply scaling only to X and Y dimensions
     modelGroup.scale.set(scaleFactor, scaleFactor, 1);
@@ -343,45 +1524,164 @@ export class SvgTo3DConverter {
     // Fix orientation: flip Y-axis to match SVG coordinate system (like bekuto3d demo)
     modelGroup.scale.y *= -1;
 
+    // Only center X and Y, preserve Z positioning
+    modelGroup.position.set(offsetX, offsetY, modelGroup.position.z);
+  }
+
+  /**
+   * Scale and offset scaleAndCenterModel gives artwork with the given bounds
+   * A point (x, y) in SVG units ends up at (x * scaleFactor + offsetX, -y * scaleFactor + offsetY) mm.
+   * @param {Box3} box - Bounds of the artwork in SVG units
+   * @param {Object} sizing - Sizing settings, see getScaleFactor
+   * @returns {Object} - { scaleFactor, offsetX, offsetY }
+   */
+  getModelPlacement(box, sizing) {
+    const size = new Vector3();
+    box.getSize(size);
+
+    // Calculate scale factor based only on X and Y dimensions (preserve Z-depth)
+    const scaleFactor = this.getScaleFactor(size, sizing);
+
     // Center the model
     const center = new Vector3();
     box.getCenter(center);
-    // Only center X and Y, preserve Z positioning
-    modelGroup.position.set(
-      -center.x * scaleFactor,
-      -center.y * scaleFactor,
-      modelGroup.position.z
-    );
+
+    // Y is flipped, so the centre moves to -center.y * scaleFactor and is offset by the opposite
+    return {
+      scaleFactor,
+      offsetX: -center.x * scaleFactor,
+      offsetY: center.y * scaleFactor
+    };
+  }
+
+  /**
+   * Place a finished model for export: mirror, rotate about Z, convert the up axis and move the origin
+   * The model itself is left in print orientation (Z up, in mm) and wrapped in a transformed group.
+   * @param {Group} modelGroup - The 3D model group
+   * @param {string} format - Export format, whose upAxis and origin are the 'auto' defaults
+   * @param {Object} options - Orientation options
+   * @param {string} options.upAxis - 'z', 'y' or 'auto'
+   * @param {string} options.origin - 'center', 'bottomLeft', 'buildPlate' or 'auto'
+   * @param {string} options.mirror - Axes to mirror in print orientation, e.g. 'x' or 'xz', or 'none'
+   * @param {number} options.rotateZ - Rotation about the print Z axis in degrees, counter-clockwise
+   * @returns {Object} - { group: Group to export, transform: { upAxis, origin, mirror, rotateZ, translation, matrix } }
+   */
+  orientModel(modelGroup, format, options = {}) {
+    const { upAxis = 'auto', origin = 'auto', mirror = 'none', rotateZ = 0 } = options;
+    const formatConfig = this.supportedFormats[format] || {};
+    const resolvedUpAxis = upAxis === 'auto' ? formatConfig.upAxis || 'z' : upAxis;
+    const resolvedOrigin = origin === 'auto' ? formatConfig.origin || 'buildPlate' : origin;
+    const mirrorAxes = mirror === 'none' ? [] : [...new Set(mirror)].sort();
+
+    // Object3D applies scale, then rotation (Z before X in 'XYZ' order), then position
+    const group = new Group();
+    group.add(modelGroup);
+    group.scale.set(mirrorAxes.includes('x') ? -1 : 1, mirrorAxes.includes('y') ? -1 : 1, mirrorAxes.includes('z') ? -1 : 1);
+    // Y-up turns print Z into Y and the print front (-Y) towards the viewer (+Z)
+    group.rotation.set(resolvedUpAxis === 'y' ? -Math.PI / 2 : 0, 0, MathUtils.degToRad(rotateZ));
+    group.updateMatrixWorld(true);
+
+    const box = new Box3().setFromObject(group, true);
+    if (!box.isEmpty()) {
+      const center = new Vector3();
+      box.getCenter(center);
+      const upIndex = resolvedUpAxis === 'y' ? 1 : 2;
+
+      if (resolvedOrigin === 'center') {
+        group.position.copy(center).negate();
+      } else if (resolvedOrigin === 'bottomLeft') {
+        group.position.copy(box.min).negate();
+      } else {
+        // On the build plate: centred on the plate, lowest point at 0 on the up axis
+        group.position.copy(center).negate().setComponent(upIndex, -box.min.getComponent(upIndex));
+      }
+      group.updateMatrixWorld(true);
+    }
+
+    const round = value => Number(value.toFixed(4)) + 0;
+    return {
+      group,
+      transform: {
+        upAxis: resolvedUpAxis,
+        origin: resolvedOrigin,
+        mirror: mirrorAxes,
+        rotateZ,
+        translation: group.position.toArray().map(round),
+        matrix: group.matrix.elements.map(round)
+      }
+    };
+  }
+
+  /**
+   * Millimetres per SVG unit for artwork of the given size
+   * fit, fitWidth and fitHeight stretch the artwork to size; exact keeps the physical size the SVG
+   * declares through width, height and viewBox, and scale multiplies that physical size.
+   * @param {Vector3} boxSize - Artwork size in SVG units
+   * @param {Object} sizing - { scaleMode, size: target mm, scale: factor for 'scale', unitScale: mm per SVG unit }
+   * @returns {number} - Scale factor from SVG units to mm
+   */
+  getScaleFactor(boxSize, sizing = {}) {
+    const { scaleMode = 'fit', size = 37, scale = 1, unitScale = 25.4 / 96 } = sizing;
+    const maxDimension = Math.max(boxSize.x, boxSize.y);
+
+    switch (scaleMode) {
+      case 'fitWidth':
+        return size / (boxSize.x > 0 ? boxSize.x : maxDimension);
+      case 'fitHeight':
+        return size / (boxSize.y > 0 ? boxSize.y : maxDimension);
+      case 'exact':
+        return unitScale;
+      case 'scale':
+        return unitScale * scale;
+      default:
+        return size / maxDimension;
+    }
   }
 
   /**
    * Export 3D model to specified format using exportHandlers pattern
    * @param {Group} modelGroup - The 3D model group
-   * @param {string} format - Export format (stl, gltf)
+   * @param {string} format - Export format (stl, gltf, 3mf, obj)
+   * @param {Object} options - Export options
+   * @param {string} options.fileName - Base file name used inside bundled formats
+   * @param {string} options.units - Output units, 'mm' or 'in'
    * @returns {Promise<Buffer>} - Exported model data
    */
-  async exportModel(modelGroup, format) {
+  async exportModel(modelGroup, format, options = {}) {
+    const { fileName = 'model', units = 'mm' } = options;
     const formatConfig = this.supportedFormats[format];
     
     if (!formatConfig) {
       throw new Error(`Unsupported format: ${format}`);
     }
 
+    // The model is built in millimetres; inch output scales the finished model as a whole
+    const sourceGroup = modelGroup;
+    if (units === 'in' && modelGroup) {
+      modelGroup = new Group();
+      modelGroup.scale.setScalar(1 / 25.4);
+      modelGroup.add(sourceGroup);
+    }
+
     // Use exportHandlers pattern similar to ModelExporter
     const exportHandlers = {
       async stl() {
         if (!modelGroup) return null;
         this.exporters.stl ||= new STLExporter();
+
+        // STLExporter derives facet normals from world-space winding, which the Y flip reverses
+        const worldGroup = bakeWorldGroup(modelGroup);
         
         // Use binary export for smaller file size (matching bekuto3d approach)
-        const binaryResult = this.exporters.stl.parse(modelGroup, { binary: true });
+        const binaryResult = this.exporters.stl.parse(worldGroup, { binary: true });
         
         if (!binaryResult) {
           throw new Error('STL export failed - no result returned');
         }
         
         // Optional: Compare with text format for size analysis
-        const textResult = this.exporters.stl.parse(modelGroup, { binary: false });
+        const textResult = this.exporters.stl.parse(worldGroup, { binary: false });
+        worldGroup.children.forEach(child => child.geometry.dispose());
         const binarySize = binaryResult ? (binaryResult.byteLength || binaryResult.length) : 0;
         const sizeReduction = textResult && binarySize ? 
           ((textResult.length - binarySize) / textResult.length * 100).toFixed(1) : 0;
@@ -425,6 +1725,28 @@ export class SvgTo3DConverter {
             reject(new Error(`GLTF export failed: ${error.message}`));
           }, { binary: true });
         });
+      },
+
+      async '3mf'() {
+        if (!modelGroup) return null;
+        this.exporters['3mf'] ||= new ThreeMFExporter();
+
+        // One object and base material per distinct fill color, in the requested unit
+        const buffer = await this.exporters['3mf'].parse(modelGroup, { unit: units === 'in' ? 'inch' : 'millimeter' });
+
+        console.log('3MF export successful:', buffer.length, 'bytes');
+        return buffer;
+      },
+
+      async obj() {
+        if (!modelGroup) return null;
+        this.exporters.obj ||= new ObjMtlExporter();
+
+        // .obj and .mtl are zipped together so a single download carries both
+        const buffer = await this.exporters.obj.parse(modelGroup, { baseName: fileName, unit: units === 'in' ? 'inches' : 'millimetres' });
+
+        console.log('OBJ export successful:', buffer.length, 'bytes');
+        return buffer;
       }
     };
 
@@ -433,7 +1755,13 @@ export class SvgTo3DConverter {
       throw new Error(`Export format ${format} not implemented`);
     }
 
-    return await handler.call(this);
+    try {
+      return await handler.call(this);
+    } finally {
+      if (modelGroup !== sourceGroup) {
+        modelGroup.remove(sourceGroup);
+      }
+    }
   }
 
   /**
@@ -0,0 +1,415 @@
+import fs from 'fs';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+
+// Typeface fonts bundled with three.js, as paths below three/examples/fonts
+const FONTS = {
+  helvetiker: { regular: 'helvetiker_regular', bold: 'helvetiker_bold' },
+  optimer: { regular: 'optimer_regular', bold: 'optimer_bold' },
+  gentilis: { regular: 'gentilis_regular', bold: 'gentilis_bold' },
+  droidSans: { regular: 'droid/droid_sans_regular', bold: 'droid/droid_sans_bold' },
+  droidSerif: { regular: 'droid/droid_serif_regular', bold: 'droid/droid_serif_bold' },
+  droidSansMono: { regular: 'droid/droid_sans_mono_regular' }
+};
+
+// CSS font-family names mapped onto the closest bundled font
+const FAMILY_ALIASES = {
+  'sans-serif': 'helvetiker',
+  helvetica: 'helvetiker',
+  arial: 'helvetiker',
+  verdana: 'droidSans',
+  'droid sans': 'droidSans',
+  'open sans': 'droidSans',
+  roboto: 'droidSans',
+  serif: 'droidSerif',
+  times: 'droidSerif',
+  'times new roman': 'droidSerif',
+  georgia: 'droidSerif',
+  'droid serif': 'droidSerif',
+  monospace: 'droidSansMono',
+  courier: 'droidSansMono',
+  'courier new': 'droidSansMono',
+  'droid sans mono': 'droidSansMono',
+  optima: 'optimer'
+};
+
+const FONT_SIZE_KEYWORDS = {
+  'xx-small': 9,
+  'x-small': 10,
+  small: 13,
+  medium: 16,
+  large: 18,
+  'x-large': 24,
+  'xx-large': 32
+};
+
+// Attributes that position text and mean nothing on the groups and paths that replace it
+const POSITION_ATTRIBUTES = ['x', 'y', 'dx', 'dy', 'rotate', 'textLength', 'lengthAdjust'];
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+export class TextRenderer {
+  constructor() {
+    this.fonts = Object.keys(FONTS);
+    this.fontCache = new Map();
+  }
+
+  /**
+   * Replace every <text> element with glyph outline paths, which SVGLoader can parse
+   * <text> and <tspan> become groups that keep their attributes, so fill, stroke, transforms
+   * and classes still apply. Text on a path is left alone.
+   * @param {string} svgData - SVG content
+   * @returns {string} - SVG content without <text> elements
+   */
+  convertTextToPaths(svgData) {
+    if (!/<text[\s>]/.test(svgData)) return svgData;
+
+    const doc = new DOMParser().parseFromString(svgData, 'image/svg+xml');
+    if (doc.querySelector('parsererror')) return svgData;
+
+    let converted = 0;
+    doc.querySelectorAll('text').forEach((textElement) => {
+      if (textElement.querySelector('textPath')) return;
+
+      this.renderTextElement(doc, textElement);
+      converted++;
+    });
+
+    if (converted === 0) return svgData;
+
+    console.log(`Converted ${converted} text element(s) to outlines`);
+    return new XMLSerializer().serializeToString(doc);
+  }
+
+  /**
+   * Lay out one <text> element and swap it (and its tspans) for groups of glyph paths
+   * @param {Document} doc - Parsed SVG document
+   * @param {Element} textElement - <text> element
+   */
+  renderTextElement(doc, textElement) {
+    const runs = this.collectRuns(textElement);
+    const chunks = [];
+    let cursorX = 0;
+    let cursorY = 0;
+
+    // Position runs; every absolute x starts a new chunk, which text-anchor aligns as a whole
+    runs.forEach((run) => {
+      const { position } = run;
+      if (position.x !== undefined || chunks.length === 0) {
+        chunks.push({ anchor: this.getInheritedStyle(run.element, 'text-anchor') || 'start', runs: [], width: 0 });
+      }
+      if (position.x !== undefined) cursorX = position.x;
+      if (position.y !== undefined) cursorY = position.y;
+      cursorX += position.dx;
+      cursorY += position.dy;
+
+      const chunk = chunks[chunks.length - 1];
+      const font = this.getFont(this.getInheritedStyle(run.element, 'font-family'), this.getInheritedStyle(run.element, 'font-weight'));
+      const fontSize = this.getFontSize(run.element);
+      const width = this.measureText(run.text, font, fontSize);
+
+      Object.assign(run, { font, fontSize, x: cursorX, y: cursorY });
+      chunk.runs.push(run);
+      chunk.width += width;
+      cursorX += width;
+    });
+
+    chunks.forEach(({ anchor, runs: chunkRuns, width }) => {
+      const shift = anchor === 'middle' ? -width / 2 : anchor === 'end' ? -width : 0;
+
+      chunkRuns.forEach((run) => {
+        const d = this.getTextPathData(run.text, run.font, run.fontSize, run.x + shift, run.y);
+        if (!d) {
+          run.node.remove();
+          return;
+        }
+
+        const path = doc.createElementNS(SVG_NAMESPACE, 'path');
+        path.setAttribute('d', d);
+        run.node.replaceWith(path);
+      });
+    });
+
+    // Innermost first, so every element is still in place when its parent is swapped
+    [...textElement.querySelectorAll('tspan')].reverse().forEach(tspan => this.replaceWithGroup(doc, tspan));
+    this.replaceWithGroup(doc, textElement);
+  }
+
+  /**
+   * Collect the text nodes of a <text> element with the positions that apply to them
+   * White space is collapsed as CSS does for the default white-space: normal.
+   * @param {Element} textElement - <text> element
+   * @returns {Array<Object>} - Runs as { node, element, text, position: { x, y, dx, dy } }
+   */
+  collectRuns(textElement) {
+    const runs = [];
+    let pending = { dx: 0, dy: 0 };
+    let previousEndsWithSpace = true;
+
+    const visit = (element) => {
+      const first = value => (value ? parseFloat(value.trim().split(/[\s,]+/)[0]) : undefined);
+      const x = first(element.getAttribute('x'));
+      const y = first(element.getAttribute('y'));
+      if (!Number.isNaN(x) && x !== undefined) pending.x = x;
+      if (!Number.isNaN(y) && y !== undefined) pending.y = y;
+      pending.dx += first(element.getAttribute('dx')) || 0;
+      pending.dy += first(element.getAttribute('dy')) || 0;
+
+      [...element.childNodes].forEach((child) => {
+        if (child.nodeType === 3) {
+          let text = child.textContent.replace(/[\s]+/g, ' ');
+          if (previousEndsWithSpace) text = text.replace(/^ /, '');
+          if (text === '') {
+            child.remove();
+            return;
+          }
+
+          previousEndsWithSpace = text.endsWith(' ');
+          runs.push({ node: child, element, text, position: pending });
+          pending = { dx: 0, dy: 0 };
+        } else if (child.localName === 'tspan') {
+          visit(child);
+        } else if (child.nodeType === 1) {
+          child.remove();
+        }
+      });
+    };
+
+    visit(textElement);
+
+    // Trailing white space is not rendered
+    if (runs.length > 0) {
+      const last = runs[runs.length - 1];
+      last.text = last.text.replace(/ $/, '');
+    }
+
+    return runs;
+  }
+
+  /**
+   * Replace a <text> or <tspan> with a <g> carrying the same presentation attributes
+   * @param {Document} doc - Parsed SVG document
+   * @param {Element} element - Element to replace
+   */
+  replaceWithGroup(doc, element) {
+    const group = doc.createElementNS(SVG_NAMESPACE, 'g');
+
+    [...element.attributes].forEach(({ name, value }) => {
+      if (!POSITION_ATTRIBUTES.includes(name)) group.setAttribute(name, value);
+    });
+
+    while (element.firstChild) group.appendChild(element.firstChild);
+    element.replaceWith(group);
+  }
+
+  /**
+   * Build the SVG path data of a line of text
+   * @param {string} text - Text to draw
+   * @param {Object} font - Typeface font data
+   * @param {number} fontSize - Font size in SVG units
+   * @param {number} x - Start of the baseline
+   * @param {number} y - Baseline position (SVG Y points down)
+   * @returns {string} - Path data, empty for blank text
+   */
+  getTextPathData(text, font, fontSize, x, y) {
+    const scale = fontSize / font.resolution;
+    const commands = [];
+    const point = (gx, gy) => `${this.round(x + gx * scale)} ${this.round(y - gy * scale)}`;
+
+    Array.from(text).forEach((char) => {
+      const glyph = this.getGlyph(font, char);
+      if (!glyph) return;
+
+      const outline = glyph.o ? glyph.o.trim().split(/\s+/) : [];
+      for (let i = 0; i < outline.length;) {
+        const action = outline[i++];
+        const next = () => Number(outline[i++]);
+
+        switch (action) {
+          case 'm':
+            if (commands.length > 0) commands.push('Z');
+            commands.push(`M ${point(next(), next())}`);
+            break;
+          case 'l':
+            commands.push(`L ${point(next(), next())}`);
+            break;
+          case 'q': {
+            // Typeface outlines list the end point before the control point
+            const end = point(next(), next());
+            commands.push(`Q ${point(next(), next())} ${end}`);
+            break;
+          }
+          case 'b': {
+            const end = point(next(), next());
+            const control1 = point(next(), next());
+            commands.push(`C ${control1} ${point(next(), next())} ${end}`);
+            break;
+          }
+          default:
+            break;
+        }
+      }
+
+      x += glyph.ha * scale;
+    });
+
+    if (commands.length > 0) commands.push('Z');
+    return commands.join(' ');
+  }
+
+  /**
+   * Width of a line of text, from the glyph advances
+   * @param {string} text - Text to measure
+   * @param {Object} font - Typeface font data
+   * @param {number} fontSize - Font size in SVG units
+   * @returns {number} - Advance width in SVG units
+   */
+  measureText(text, font, fontSize) {
+    const scale = fontSize / font.resolution;
+    return Array.from(text).reduce((width, char) => width + (this.getGlyph(font, char)?.ha || 0) * scale, 0);
+  }
+
+  /**
+   * Glyph for a character, falling back to '?' for characters the font lacks
+   * @param {Object} font - Typeface font data
+   * @param {string} char - Character
+   * @returns {Object|null} - Glyph data
+   */
+  getGlyph(font, char) {
+    const glyph = font.glyphs[char];
+    if (glyph) return glyph;
+
+    console.warn(`Character "${char}" is missing from font ${font.familyName}`);
+    return font.glyphs['?'] || null;
+  }
+
+  /**
+   * Load the bundled font that best matches a CSS font-family list and weight
+   * @param {string} fontFamily - CSS font-family value, or a bundled font name
+   * @param {string|number} fontWeight - CSS font-weight value
+   * @returns {Object} - Typeface font data
+   */
+  getFont(fontFamily, fontWeight) {
+    const families = (fontFamily || '').split(',').map(family => family.trim().replace(/^["']|["']$/g, ''));
+    const name = families
+      .map(family => (FONTS[family] ? family : FAMILY_ALIASES[family.toLowerCase()]))
+      .find(Boolean) || 'helvetiker';
+
+    const weight = String(fontWeight || 'normal');
+    const bold = weight === 'bold' || weight === 'bolder' || parseInt(weight) >= 600;
+    const file = (bold && FONTS[name].bold) || FONTS[name].regular;
+
+    if (!this.fontCache.has(file)) {
+      const fontPath = require.resolve(`three/examples/fonts/${file}.typeface.json`);
+      this.fontCache.set(file, JSON.parse(fs.readFileSync(fontPath, 'utf-8')));
+    }
+
+    return this.fontCache.get(file);
+  }
+
+  /**
+   * Computed font size of an element, resolving em, % and pt against its ancestors
+   * @param {Element} element - SVG element
+   * @returns {number} - Font size in SVG units
+   */
+  getFontSize(element) {
+    const parentSize = element.parentElement ? this.getFontSize(element.parentElement) : 16;
+    const value = this.getOwnStyle(element, 'font-size');
+    if (!value) return parentSize;
+
+    const keyword = FONT_SIZE_KEYWORDS[value.toLowerCase()];
+    if (keyword) return keyword;
+
+    const size = parseFloat(value);
+    if (Number.isNaN(size)) return parentSize;
+    if (value.endsWith('em')) return size * parentSize;
+    if (value.endsWith('%')) return (size / 100) * parentSize;
+    if (value.endsWith('pt')) return (size * 4) / 3;
+    return size;
+  }
+
+  /**
+   * Value of a style property set on an element or inherited from its ancestors
+   * @param {Element} element - SVG element
+   * @param {string} property - CSS property name
+   * @returns {string|undefined} - Property value
+   */
+  getInheritedStyle(element, property) {
+    for (let node = element; node && node.nodeType === 1; node = node.parentElement) {
+      const value = this.getOwnStyle(node, property);
+      if (value) return value;
+    }
+    return undefined;
+  }
+
+  /**
+   * Value of a style property set on the element itself; the style attribute wins over presentation attributes
+   * @param {Element} element - SVG element
+   * @param {string} property - CSS property name
+   * @returns {string|undefined} - Property value
+   */
+  getOwnStyle(element, property) {
+    const declaration = (element.getAttribute('style') || '')
+      .split(';')
+      .map(part => part.split(':'))
+      .find(([name]) => name && name.trim() === property);
+
+    const value = declaration ? declaration.slice(1).join(':').trim() : element.getAttribute(property)?.trim();
+    return value && value !== 'inherit' ? value : undefined;
+  }
+
+  /**
+   * Build an SVG of plain text lines, e.g. for name tags
+   * @param {string} text - Text, with newlines between lines
+   * @param {Object} options - Text options
+   * @param {string} options.font - Bundled font name
+   * @param {string} options.fontWeight - 'normal' or 'bold'
+   * @param {string} options.textAlign - 'left', 'center' or 'right'
+   * @param {number} options.lineSpacing - Baseline distance as a multiple of the font size
+   * @param {string} options.color - Fill color
+   * @returns {string} - SVG content with one <text> element per line
+   */
+  createTextSvg(text, options = {}) {
+    const {
+      font = 'helvetiker',
+      fontWeight = 'normal',
+      textAlign = 'center',
+      lineSpacing = 1.2,
+      color = '#FFA500'
+    } = options;
+
+    const fontSize = 100;
+    const fontData = this.getFont(font, fontWeight);
+    const lines = text.split(/\r?\n/);
+    const width = Math.max(...lines.map(line => this.measureText(line.trim(), fontData, fontSize)), 1);
+    const ascent = (fontData.ascender / fontData.resolution) * fontSize;
+    const descent = (-fontData.descender / fontData.resolution) * fontSize;
+    const height = ascent + descent + (lines.length - 1) * fontSize * lineSpacing;
+
+    const anchor = { left: 'start', center: 'middle', right: 'end' }[textAlign] || 'middle';
+    const minX = textAlign === 'left' ? 0 : textAlign === 'right' ? -width : -width / 2;
+    const escape = value => String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+
+    const elements = lines.map((line, index) => `  <text x="0" y="${this.round(ascent + index * fontSize * lineSpacing)}">${escape(line)}</text>`);
+
+    return `<svg xmlns="${SVG_NAMESPACE}" viewBox="${this.round(minX)} 0 ${this.round(width)} ${this.round(height)}" width="${this.round(width)}" height="${this.round(height)}">
+<g font-family="${font}" font-weight="${fontWeight}" font-size="${fontSize}" text-anchor="${anchor}" fill="${escape(color)}">
+${elements.join('\n')}
+</g>
+</svg>`;
+  }
+
+  /**
+   * Round a coordinate for compact path data
+   * @param {number} value - Coordinate
+   * @returns {number} - Value rounded to 3 decimals
+   */
+  round(value) {
+    return Math.round(value * 1000) / 1000;
+  }
+}
@@ -0,0 +1,123 @@
+import JSZip from 'jszip';
+import { collectColorGroups, formatNumber } from '../../utils/meshUtils.js';
+
+/**
+ * Exports a Three.js group as an OBJ file with a companion MTL file, bundled in a zip
+ */
+export class ObjMtlExporter {
+  /**
+   * Build the OBJ/MTL zip for a model group
+   * @param {Group} modelGroup - The 3D model group (already scaled to the output unit)
+   * @param {Object} options - Export options
+   * @param {string} options.baseName - File name (without extension) used inside the zip
+   * @param {string} options.unit - Unit of the coordinates named in the OBJ header ('millimetres' or 'inches')
+   * @returns {Promise<Buffer>} - Zip containing <baseName>.obj and <baseName>.mtl
+   */
+  async parse(modelGroup, options = {}) {
+    const baseName = this.sanitizeName(options.baseName || 'model');
+    const unit = options.unit || 'millimetres';
+    const meshGroups = collectColorGroups(modelGroup, { groupBy: 'mesh' });
+
+    if (meshGroups.length === 0) {
+      throw new Error('OBJ export failed - model contains no geometry');
+    }
+
+    // One material per distinct color/opacity pair, shared by all meshes using it
+    const materials = new Map();
+    meshGroups.forEach((group) => {
+      const materialKey = `${group.colorKey}_${Math.round((group.opacity ?? 1) * 100)}`;
+      if (!materials.has(materialKey)) {
+        materials.set(materialKey, {
+          name: `material_${materials.size + 1}_${group.colorKey}`,
+          color: group.color,
+          opacity: group.opacity ?? 1
+        });
+      }
+      group.materialName = materials.get(materialKey).name;
+    });
+
+    const zip = new JSZip();
+    zip.file(`${baseName}.obj`, this.buildObj(meshGroups, baseName, unit));
+    zip.file(`${baseName}.mtl`, this.buildMtl(Array.from(materials.values())));
+
+    return zip.generateAsync({
+      type: 'nodebuffer',
+      compression: 'DEFLATE',
+      compressionOptions: { level: 6 }
+    });
+  }
+
+  /**
+   * Build the OBJ document with one named group per mesh
+   * @param {Array} meshGroups - Mesh groups from collectColorGroups
+   * @param {string} baseName - Base file name, used for the mtllib reference
+   * @param {string} unit - Unit of the coordinates, recorded in a comment since OBJ has no unit field
+   * @returns {string} - OBJ content
+   */
+  buildObj(meshGroups, baseName, unit = 'millimetres') {
+    const lines = [
+      '# svg-to-3d-api OBJ export',
+      `# Units: ${unit}`,
+      `mtllib ${baseName}.mtl`
+    ];
+
+    // OBJ indices are 1-based and global across the file
+    let vertexOffset = 1;
+
+    meshGroups.forEach((group, index) => {
+      const groupName = this.sanitizeName(group.name || `shape_${index + 1}_${group.colorKey}`);
+
+      lines.push('', `o ${groupName}`, `g ${groupName}`, `usemtl ${group.materialName}`);
+
+      for (let i = 0; i < group.vertices.length; i += 3) {
+        lines.push(`v ${formatNumber(group.vertices[i])} ${formatNumber(group.vertices[i + 1])} ${formatNumber(group.vertices[i + 2])}`);
+      }
+
+      for (let i = 0; i < group.triangles.length; i += 3) {
+        lines.push(`f ${group.triangles[i] + vertexOffset} ${group.triangles[i + 1] + vertexOffset} ${group.triangles[i + 2] + vertexOffset}`);
+      }
+
+      vertexOffset += group.vertices.length / 3;
+    });
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Build the MTL document
+   * @param {Array} materials - Array of { name, color, opacity }
+   * @returns {string} - MTL content
+   */
+  buildMtl(materials) {
+    const lines = ['# svg-to-3d-api MTL export'];
+
+    materials.forEach(({ name, color, opacity }) => {
+      // Color stores linear components; MTL viewers expect sRGB values
+      const srgb = color ? color.clone().convertLinearToSRGB() : { r: 1, g: 0.647, b: 0 };
+      const diffuse = `${formatNumber(srgb.r, 4)} ${formatNumber(srgb.g, 4)} ${formatNumber(srgb.b, 4)}`;
+
+      lines.push(
+        '',
+        `newmtl ${name}`,
+        `Ka ${diffuse}`,
+        `Kd ${diffuse}`,
+        'Ks 0.1 0.1 0.1',
+        'Ns 30',
+        `d ${formatNumber(opacity, 4)}`,
+        `Tr ${formatNumber(1 - opacity, 4)}`,
+        'illum 2'
+      );
+    });
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Make a name safe for OBJ/MTL statements and zip entries
+   * @param {string} name - Raw name
+   * @returns {string} - Sanitized name
+   */
+  sanitizeName(name) {
+    return String(name).replace(/[^A-Za-z0-9_.-]+/g, '_') || 'model';
+  }
+}
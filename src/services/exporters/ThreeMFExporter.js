@@ -0,0 +1,132 @@
+import JSZip from 'jszip';
+import { collectColorGroups, formatNumber } from '../../utils/meshUtils.js';
+
+const CORE_NAMESPACE = 'http://schemas.microsoft.com/3dmanufacturing/core/2015/02';
+
+const CONTENT_TYPES = `<?xml version="1.0" encoding="UTF-8"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+  <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+  <Default Extension="model" ContentType="application/vnd.ms-package.3dmanufacturing-3dmodel+xml"/>
+</Types>`;
+
+const RELATIONSHIPS = `<?xml version="1.0" encoding="UTF-8"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Target="/3D/3dmodel.model" Id="rel0" Type="http://schemas.microsoft.com/3dmanufacturing/2013/01/3dmodel"/>
+</Relationships>`;
+
+/**
+ * Exports a Three.js group as a 3MF package with one object and material per color
+ */
+export class ThreeMFExporter {
+  /**
+   * Build the 3MF package for a model group
+   * @param {Group} modelGroup - The 3D model group (already scaled to the output unit)
+   * @param {Object} options - Export options
+   * @param {string} options.unit - 3MF unit of the coordinates ('millimeter' or 'inch')
+   * @returns {Promise<Buffer>} - Zipped 3MF package
+   */
+  async parse(modelGroup, options = {}) {
+    const { unit = 'millimeter' } = options;
+    const colorGroups = collectColorGroups(modelGroup);
+
+    if (colorGroups.length === 0) {
+      throw new Error('3MF export failed - model contains no geometry');
+    }
+
+    const zip = new JSZip();
+    zip.file('[Content_Types].xml', CONTENT_TYPES);
+    zip.file('_rels/.rels', RELATIONSHIPS);
+    zip.file('3D/3dmodel.model', this.buildModelXml(colorGroups, unit));
+
+    return zip.generateAsync({
+      type: 'nodebuffer',
+      compression: 'DEFLATE',
+      compressionOptions: { level: 6 }
+    });
+  }
+
+  /**
+   * Build the 3D/3dmodel.model document
+   * @param {Array} colorGroups - Color groups from collectColorGroups
+   * @param {string} unit - 3MF unit of the coordinates
+   * @returns {string} - Model XML
+   */
+  buildModelXml(colorGroups, unit = 'millimeter') {
+    const baseMaterialsId = 1;
+    const firstObjectId = 2;
+
+    const displayColors = colorGroups.map(group => this.toDisplayColor(group));
+
+    const baseMaterials = displayColors
+      .map((displayColor, index) => `      <base name="Color ${index + 1} (${displayColor.slice(0, 7)})" displaycolor="${displayColor}"/>`)
+      .join('\n');
+
+    const objects = colorGroups
+      .map((group, index) => this.buildObjectXml(group, firstObjectId + index, baseMaterialsId, index))
+      .join('\n');
+
+    const items = colorGroups
+      .map((group, index) => `    <item objectid="${firstObjectId + index}"/>`)
+      .join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<model unit="${unit}" xml:lang="en-US" xmlns="${CORE_NAMESPACE}">
+  <metadata name="Application">svg-to-3d-api</metadata>
+  <resources>
+    <basematerials id="${baseMaterialsId}">
+${baseMaterials}
+    </basematerials>
+${objects}
+  </resources>
+  <build>
+${items}
+  </build>
+</model>`;
+  }
+
+  /**
+   * Build a single mesh object
+   * @param {Object} group - Color group
+   * @param {number} objectId - Resource id of the object
+   * @param {number} materialId - Resource id of the base materials
+   * @param {number} materialIndex - Index of the object's material
+   * @returns {string} - Object XML
+   */
+  buildObjectXml(group, objectId, materialId, materialIndex) {
+    const vertices = [];
+    for (let i = 0; i < group.vertices.length; i += 3) {
+      vertices.push(`          <vertex x="${formatNumber(group.vertices[i])}" y="${formatNumber(group.vertices[i + 1])}" z="${formatNumber(group.vertices[i + 2])}"/>`);
+    }
+
+    const triangles = [];
+    for (let i = 0; i < group.triangles.length; i += 3) {
+      triangles.push(`          <triangle v1="${group.triangles[i]}" v2="${group.triangles[i + 1]}" v3="${group.triangles[i + 2]}"/>`);
+    }
+
+    return `    <object id="${objectId}" type="model" name="Color #${group.colorKey}" pid="${materialId}" pindex="${materialIndex}">
+      <mesh>
+        <vertices>
+${vertices.join('\n')}
+        </vertices>
+        <triangles>
+${triangles.join('\n')}
+        </triangles>
+      </mesh>
+    </object>`;
+  }
+
+  /**
+   * Convert a color group to a 3MF #RRGGBBAA display color
+   * @param {Object} group - Color group
+   * @returns {string} - Display color
+   */
+  toDisplayColor(group) {
+    const rgb = group.color ? group.color.getHexString().toUpperCase() : 'FFA500';
+    const alpha = Math.round(Math.min(Math.max(group.opacity ?? 1, 0), 1) * 255)
+      .toString(16)
+      .padStart(2, '0')
+      .toUpperCase();
+
+    return `#${rgb}${alpha}`;
+  }
+}
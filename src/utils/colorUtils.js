@@ -0,0 +1,72 @@
+import { Color } from 'three';
+
+// Color formats Color.setStyle understands, besides the keywords in Color.NAMES
+const COLOR_PATTERNS = [
+  /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i,
+  /^rgba?\(\s*\d+\s*,\s*\d+\s*,\s*\d+\s*(?:,\s*\d*\.?\d+\s*)?\)$/,
+  /^rgba?\(\s*\d+%\s*,\s*\d+%\s*,\s*\d+%\s*(?:,\s*\d*\.?\d+\s*)?\)$/,
+  /^hsla?\(\s*\d*\.?\d+\s*,\s*\d*\.?\d+%\s*,\s*\d*\.?\d+%\s*(?:,\s*\d*\.?\d+\s*)?\)$/
+];
+
+/**
+ * Parse a CSS color string (hex, rgb(), hsl(), named color)
+ * @param {string} value - CSS color
+ * @returns {Color|null} - Parsed color, or null when it cannot be parsed
+ */
+export function parseColor(value) {
+  if (typeof value !== 'string' || value.trim() === '') return null;
+
+  // Color.setStyle only warns on unknown values, so check the syntax up front
+  const style = value.trim();
+  const known = Object.prototype.hasOwnProperty.call(Color.NAMES, style.toLowerCase())
+    || COLOR_PATTERNS.some(pattern => pattern.test(style));
+
+  return known ? new Color().setStyle(style) : null;
+}
+
+/**
+ * Distance between two colors in 8-bit sRGB space
+ * @param {Color} a - First color
+ * @param {Color} b - Second color
+ * @returns {number} - Euclidean distance (0-441)
+ */
+export function colorDistance(a, b) {
+  const ca = a.clone().convertLinearToSRGB();
+  const cb = b.clone().convertLinearToSRGB();
+
+  return Math.sqrt(
+    ((ca.r - cb.r) * 255) ** 2 +
+    ((ca.g - cb.g) * 255) ** 2 +
+    ((ca.b - cb.b) * 255) ** 2
+  );
+}
+
+/**
+ * Relative luminance of a color (0 = black, 1 = white)
+ * @param {Color} color - Three.js color (stored with linear components)
+ * @returns {number} - Relative luminance
+ */
+export function getLuminance(color) {
+  return 0.2126 * color.r + 0.7152 * color.g + 0.0722 * color.b;
+}
+
+/**
+ * Read a list of CSS colors from an array, a JSON array string or a comma-separated string
+ * @param {Array<string>|string} value - Color list as sent in a request
+ * @returns {Array<string>|null} - Trimmed color strings, or null when no list was given
+ */
+export function parseColorList(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  let list = value;
+  if (typeof value === 'string') {
+    // Commas inside rgb()/hsl() belong to the color, not the list
+    list = value.trim().startsWith('[') ? JSON.parse(value) : value.split(/,(?![^(]*\))/);
+  }
+
+  if (!Array.isArray(list)) {
+    throw new Error('Color list must be an array of CSS colors');
+  }
+
+  return list.map(color => String(color).trim()).filter(Boolean);
+}
@@ -0,0 +1,137 @@
+/**
+ * Number of straight segments needed to keep a curve within a chordal tolerance
+ * Bézier bounds use the second derivative (the chord error of a segment of parameter
+ * length h is at most max|B''| h² / 8); elliptical arcs use the sagitta of the larger radius.
+ * @param {Curve} curve - Curve from a parsed SVG path
+ * @param {number} tolerance - Maximum distance between curve and chord, in curve units
+ * @param {number} fallbackDivisions - Divisions for curve types without a bound
+ * @returns {number} - Number of segments (at least 1)
+ */
+export function getCurveDivisions(curve, tolerance, fallbackDivisions = 12) {
+  if (curve.isLineCurve || curve.isLineCurve3) return 1;
+
+  if (curve.isQuadraticBezierCurve) {
+    const { v0, v1, v2 } = curve;
+    const d = Math.hypot(v0.x - 2 * v1.x + v2.x, v0.y - 2 * v1.y + v2.y);
+    return Math.max(Math.ceil(Math.sqrt(d / (4 * tolerance))), 1);
+  }
+
+  if (curve.isCubicBezierCurve) {
+    const { v0, v1, v2, v3 } = curve;
+    const d = Math.max(
+      Math.hypot(v0.x - 2 * v1.x + v2.x, v0.y - 2 * v1.y + v2.y),
+      Math.hypot(v1.x - 2 * v2.x + v3.x, v1.y - 2 * v2.y + v3.y)
+    );
+    return Math.max(Math.ceil(Math.sqrt((3 * d) / (4 * tolerance))), 1);
+  }
+
+  if (curve.isEllipseCurve) {
+    const radius = Math.max(Math.abs(curve.xRadius), Math.abs(curve.yRadius));
+    const span = getEllipseSpan(curve);
+    if (radius === 0 || span === 0) return 1;
+
+    const maxStep = tolerance >= radius ? Math.PI : 2 * Math.acos(1 - tolerance / radius);
+    // At least one segment per quarter turn so tiny dots keep their shape
+    return Math.max(Math.ceil(span / maxStep), Math.ceil(span / (Math.PI / 2)), 1);
+  }
+
+  if (curve.isSplineCurve) {
+    return fallbackDivisions * curve.points.length;
+  }
+
+  return fallbackDivisions;
+}
+
+/**
+ * Angle swept by an ellipse curve, following EllipseCurve.getPoint
+ * @param {EllipseCurve} curve - Ellipse curve
+ * @returns {number} - Swept angle in radians (0 to 2π)
+ */
+function getEllipseSpan(curve) {
+  const twoPi = Math.PI * 2;
+  let delta = curve.aEndAngle - curve.aStartAngle;
+  const samePoints = Math.abs(delta) < Number.EPSILON;
+
+  while (delta < 0) delta += twoPi;
+  while (delta > twoPi) delta -= twoPi;
+
+  if (delta < Number.EPSILON) {
+    delta = samePoints ? 0 : twoPi;
+  }
+
+  if (curve.aClockwise && !samePoints) {
+    delta = delta === twoPi ? twoPi : twoPi - delta;
+  }
+
+  return delta;
+}
+
+/**
+ * Plan the divisions of every curve in a set of subpaths for a chordal tolerance
+ * When the plan exceeds the vertex budget, every curve is coarsened proportionally.
+ * @param {Array<Path>} subPaths - Subpaths of all parsed SVG paths
+ * @param {Object} options - Tessellation options
+ * @param {number} options.tolerance - Chordal tolerance in curve units
+ * @param {number} options.maxVertices - Vertex budget across all subpaths
+ * @param {number} options.fallbackDivisions - Divisions for curve types without a bound
+ * @returns {Object} - { divisions: Map<Curve, number>, vertexCount, limited }
+ */
+export function planCurveDivisions(subPaths, options = {}) {
+  const { tolerance, maxVertices = Infinity, fallbackDivisions = 12 } = options;
+  const divisions = new Map();
+  let curvedVertices = 0;
+  let lineVertices = 0;
+
+  subPaths.forEach(subPath => subPath.curves.forEach((curve) => {
+    const count = getCurveDivisions(curve, tolerance, fallbackDivisions);
+    divisions.set(curve, count);
+    if (curve.isLineCurve || curve.isLineCurve3) lineVertices += count;
+    else curvedVertices += count;
+  }));
+
+  const budget = maxVertices - lineVertices;
+  const limited = curvedVertices > 0 && curvedVertices > budget;
+
+  if (limited) {
+    const factor = Math.max(budget, 0) / curvedVertices;
+    divisions.forEach((count, curve) => {
+      if (!curve.isLineCurve && !curve.isLineCurve3) {
+        divisions.set(curve, Math.max(Math.floor(count * factor), curve.isEllipseCurve ? 4 : 1));
+      }
+    });
+  }
+
+  let vertexCount = 0;
+  divisions.forEach((count) => { vertexCount += count; });
+
+  return { divisions, vertexCount, limited };
+}
+
+/**
+ * Sample a subpath with planned per-curve divisions, mirroring CurvePath.getPoints
+ * @param {Path} subPath - Subpath of a parsed SVG path
+ * @param {Map<Curve, number>} divisions - Planned divisions per curve
+ * @param {number} fallbackDivisions - Divisions for curves missing from the plan
+ * @returns {Array<Vector2>} - Points along the subpath
+ */
+export function getSubPathPoints(subPath, divisions, fallbackDivisions = 12) {
+  const points = [];
+  let last;
+
+  subPath.curves.forEach((curve) => {
+    const count = divisions.get(curve) ?? getCurveDivisions(curve, Infinity, fallbackDivisions);
+
+    curve.getPoints(count).forEach((point) => {
+      // Skip consecutive duplicates where curves join
+      if (last && last.equals(point)) return;
+      points.push(point);
+      last = point;
+    });
+  });
+
+  if (subPath.autoClose && points.length > 1 && !points[points.length - 1].equals(points[0])) {
+    points.push(points[0]);
+  }
+
+  return points;
+}
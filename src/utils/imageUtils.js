@@ -0,0 +1,24 @@
+import Jimp from 'jimp';
+import sharp from 'sharp';
+
+/**
+ * Check for the RIFF/WEBP signature of a WebP file
+ * @param {Buffer} buffer - Image data
+ * @returns {boolean} - Whether the data is a WebP image
+ */
+export function isWebp(buffer) {
+  return buffer.length >= 12
+    && buffer.toString('ascii', 0, 4) === 'RIFF'
+    && buffer.toString('ascii', 8, 12) === 'WEBP';
+}
+
+/**
+ * Read a bitmap into a Jimp image
+ * jimp 0.14 only decodes PNG, JPEG, GIF, BMP and TIFF, so WebP is converted to PNG with sharp first.
+ * @param {Buffer} buffer - Image data
+ * @returns {Promise<Jimp>} - Decoded image
+ */
+export async function readImage(buffer) {
+  const data = isWebp(buffer) ? await sharp(buffer).png().toBuffer() : buffer;
+  return Jimp.read(data);
+}
@@ -0,0 +1,160 @@
+import { Group, Mesh, Vector3 } from 'three';
+
+/**
+ * Collect the world-space triangles of every mesh in a group, merged per material color.
+ * Vertices are welded so that each color group forms a shared, indexed mesh.
+ * @param {Object3D} modelGroup - Three.js group containing the model meshes
+ * @param {Object} options - Collection options
+ * @param {number} options.precision - Weld tolerance in model units
+ * @param {string} options.groupBy - 'color' to merge meshes per color, 'mesh' to keep each mesh separate
+ * @returns {Array} - Array of { key, color, opacity, vertices, triangles } entries
+ */
+export function collectColorGroups(modelGroup, options = {}) {
+  const { precision = 1e-4, groupBy = 'color' } = options;
+  const groups = new Map();
+  const vertex = new Vector3();
+
+  modelGroup.updateMatrixWorld(true);
+
+  modelGroup.traverse((child) => {
+    if (!child.isMesh || !child.geometry?.attributes?.position) return;
+
+    const material = Array.isArray(child.material) ? child.material[0] : child.material;
+    const color = material?.color ? material.color.clone() : null;
+    const colorKey = color ? color.getHexString() : 'default';
+    const key = groupBy === 'mesh' ? child.uuid : colorKey;
+
+    if (!groups.has(key)) {
+      groups.set(key, {
+        key,
+        colorKey,
+        name: child.name || null,
+        color,
+        opacity: material?.opacity ?? 1,
+        vertices: [],
+        triangles: [],
+        collapsedTriangles: 0,
+        lookup: new Map()
+      });
+    }
+
+    const group = groups.get(key);
+    const position = child.geometry.attributes.position;
+    const index = child.geometry.index;
+    const triangleCount = index ? index.count / 3 : position.count / 3;
+
+    // Mirrored transforms (such as the SVG Y flip) reverse triangle winding
+    const flipWinding = child.matrixWorld.determinant() < 0;
+
+    // Map every source vertex to a welded vertex of the color group
+    const remap = new Array(position.count);
+    for (let i = 0; i < position.count; i++) {
+      vertex.fromBufferAttribute(position, i).applyMatrix4(child.matrixWorld);
+      const weldKey = `${Math.round(vertex.x / precision)},${Math.round(vertex.y / precision)},${Math.round(vertex.z / precision)}`;
+
+      let welded = group.lookup.get(weldKey);
+      if (welded === undefined) {
+        welded = group.vertices.length / 3;
+        group.vertices.push(vertex.x, vertex.y, vertex.z);
+        group.lookup.set(weldKey, welded);
+      }
+      remap[i] = welded;
+    }
+
+    for (let t = 0; t < triangleCount; t++) {
+      const a = remap[index ? index.getX(t * 3) : t * 3];
+      const b = remap[index ? index.getX(t * 3 + 1) : t * 3 + 1];
+      const c = remap[index ? index.getX(t * 3 + 2) : t * 3 + 2];
+
+      // Skip triangles that collapsed during welding
+      if (a === b || b === c || a === c) {
+        group.collapsedTriangles++;
+        continue;
+      }
+
+      if (flipWinding) {
+        group.triangles.push(a, c, b);
+      } else {
+        group.triangles.push(a, b, c);
+      }
+    }
+  });
+
+  return Array.from(groups.values())
+    .filter(group => group.triangles.length > 0)
+    .map(({ lookup, ...group }) => group);
+}
+
+/**
+ * Format a number for text-based model files
+ * @param {number} value - Numeric value
+ * @param {number} digits - Maximum number of decimals
+ * @returns {string} - Compact numeric string
+ */
+export function formatNumber(value, digits = 5) {
+  const rounded = Number(value.toFixed(digits));
+  return Object.is(rounded, -0) ? '0' : String(rounded);
+}
+
+/**
+ * Reverse the triangle winding of a geometry in place
+ * Needed after applying a mirroring matrix, which turns faces inside out.
+ * @param {BufferGeometry} geometry - Geometry to flip
+ * @returns {BufferGeometry} - The same geometry
+ */
+export function flipGeometryWinding(geometry) {
+  if (geometry.index) {
+    const index = geometry.index;
+    for (let i = 0; i < index.count; i += 3) {
+      const b = index.getX(i + 1);
+      index.setX(i + 1, index.getX(i + 2));
+      index.setX(i + 2, b);
+    }
+    index.needsUpdate = true;
+    return geometry;
+  }
+
+  Object.values(geometry.attributes).forEach((attribute) => {
+    const { itemSize, array } = attribute;
+    for (let i = 0; i < attribute.count; i += 3) {
+      for (let k = 0; k < itemSize; k++) {
+        const b = array[(i + 1) * itemSize + k];
+        array[(i + 1) * itemSize + k] = array[(i + 2) * itemSize + k];
+        array[(i + 2) * itemSize + k] = b;
+      }
+    }
+    attribute.needsUpdate = true;
+  });
+
+  return geometry;
+}
+
+/**
+ * Create a copy of a model with every mesh transformed into world space
+ * Exporters that ignore the transform's handedness (such as STL) would otherwise
+ * write mirrored meshes inside out.
+ * @param {Object3D} modelGroup - Three.js group containing the model meshes
+ * @returns {Group} - Flat group of world-space meshes sharing the original materials
+ */
+export function bakeWorldGroup(modelGroup) {
+  const baked = new Group();
+
+  modelGroup.updateMatrixWorld(true);
+
+  modelGroup.traverse((child) => {
+    if (!child.isMesh || !child.geometry) return;
+
+    const geometry = child.geometry.clone().applyMatrix4(child.matrixWorld);
+    if (child.matrixWorld.determinant() < 0) {
+      flipGeometryWinding(geometry);
+      geometry.computeVertexNormals();
+    }
+
+    const mesh = new Mesh(geometry, child.material);
+    mesh.name = child.name;
+    mesh.userData = child.userData;
+    baked.add(mesh);
+  });
+
+  return baked;
+}
@@ -0,0 +1,398 @@
+import ClipperLib from 'clipper-lib';
+import { Shape, Path, Vector2 } from 'three';
+
+/**
+ * Clipper works on integer coordinates, so SVG units are multiplied by this factor
+ */
+export const CLIPPER_SCALE = 1000;
+
+const JOIN_TYPES = {
+  miter: ClipperLib.JoinType.jtMiter,
+  'miter-clip': ClipperLib.JoinType.jtMiter,
+  arcs: ClipperLib.JoinType.jtRound,
+  round: ClipperLib.JoinType.jtRound,
+  bevel: ClipperLib.JoinType.jtSquare
+};
+
+const OPEN_END_TYPES = {
+  butt: ClipperLib.EndType.etOpenButt,
+  round: ClipperLib.EndType.etOpenRound,
+  square: ClipperLib.EndType.etOpenSquare
+};
+
+/**
+ * Convert Three.js points to a Clipper integer path
+ * @param {Array<Vector2>} points - Points in model units
+ * @param {number} scale - Integer scale factor
+ * @returns {Array} - Clipper path of { X, Y } points
+ */
+export function toClipperPath(points, scale = CLIPPER_SCALE) {
+  const path = [];
+
+  points.forEach((point) => {
+    const X = Math.round(point.x * scale);
+    const Y = Math.round(point.y * scale);
+    const last = path[path.length - 1];
+
+    // Drop consecutive duplicates, which upset the offset engine
+    if (!last || last.X !== X || last.Y !== Y) {
+      path.push({ X, Y });
+    }
+  });
+
+  return path;
+}
+
+/**
+ * Convert a Clipper integer path back to Three.js points
+ * @param {Array} path - Clipper path
+ * @param {number} scale - Integer scale factor
+ * @returns {Array<Vector2>} - Points in model units
+ */
+export function fromClipperPath(path, scale = CLIPPER_SCALE) {
+  return path.map(point => new Vector2(point.X / scale, point.Y / scale));
+}
+
+/**
+ * Convert a Clipper PolyTree into Three.js shapes with holes
+ * @param {ClipperLib.PolyTree} polyTree - Clipper result tree
+ * @param {number} scale - Integer scale factor
+ * @returns {Array<Shape>} - Shapes, one per outer contour
+ */
+export function polyTreeToShapes(polyTree, scale = CLIPPER_SCALE) {
+  const shapes = [];
+
+  const addOuter = (node) => {
+    const contour = node.Contour();
+    if (contour.length < 3) return;
+
+    const shape = new Shape(fromClipperPath(contour, scale));
+
+    node.Childs().forEach((holeNode) => {
+      const holeContour = holeNode.Contour();
+      if (holeContour.length >= 3) {
+        shape.holes.push(new Path(fromClipperPath(holeContour, scale)));
+      }
+
+      // Islands inside a hole become shapes of their own
+      holeNode.Childs().forEach(addOuter);
+    });
+
+    shapes.push(shape);
+  };
+
+  polyTree.Childs().forEach(addOuter);
+
+  return shapes;
+}
+
+/**
+ * Outline open or closed polylines the way an SVG stroke is painted
+ * @param {Array<Object>} polylines - Array of { points, closed }
+ * @param {Object} style - Stroke style
+ * @param {number} style.width - Stroke width in model units
+ * @param {string} style.lineJoin - SVG stroke-linejoin
+ * @param {string} style.lineCap - SVG stroke-linecap
+ * @param {number} style.miterLimit - SVG stroke-miterlimit
+ * @returns {Array<Shape>} - Solid outline shapes
+ */
+export function strokeToShapes(polylines, style) {
+  const { width, lineJoin = 'miter', lineCap = 'butt', miterLimit = 4 } = style;
+
+  if (!(width > 0)) return [];
+
+  // Leave room for the outline to grow by half the stroke width
+  const scale = getClipperScale(polylines.map(({ points }) => points), width);
+  const delta = (width / 2) * scale;
+
+  // SVG and Clipper both express the miter limit relative to half the stroke width
+  const offset = new ClipperLib.ClipperOffset(
+    Math.max(miterLimit, 1),
+    Math.max(delta * 0.01, 0.25)
+  );
+
+  const joinType = JOIN_TYPES[lineJoin] ?? ClipperLib.JoinType.jtMiter;
+
+  polylines.forEach(({ points, closed }) => {
+    const path = toClipperPath(points, scale);
+
+    if (closed && path.length > 2) {
+      const first = path[0];
+      const last = path[path.length - 1];
+      if (first.X === last.X && first.Y === last.Y) path.pop();
+      offset.AddPath(path, joinType, ClipperLib.EndType.etClosedLine);
+    } else if (path.length > 0) {
+      offset.AddPath(path, joinType, OPEN_END_TYPES[lineCap] ?? ClipperLib.EndType.etOpenButt);
+    }
+  });
+
+  const polyTree = new ClipperLib.PolyTree();
+  offset.Execute(polyTree, delta);
+
+  return polyTreeToShapes(polyTree, scale);
+}
+
+/**
+ * Run a boolean operation on two sets of polygon contours
+ * @param {Array<Array<Vector2>>} subject - Subject contours
+ * @param {Array<Array<Vector2>>} clip - Clip contours
+ * @param {string} operation - 'union', 'difference', 'intersection' or 'xor'
+ * @param {string} fillRule - 'nonzero' or 'evenodd', used to resolve overlapping input contours
+ * @param {number} scale - Integer scale factor
+ * @returns {Array<Array<Vector2>>} - Resulting contours (outer contours and holes)
+ */
+export function booleanPolygons(subject, clip = [], operation = 'union', fillRule = 'nonzero', scale = CLIPPER_SCALE) {
+  const clipTypes = {
+    union: ClipperLib.ClipType.ctUnion,
+    difference: ClipperLib.ClipType.ctDifference,
+    intersection: ClipperLib.ClipType.ctIntersection,
+    xor: ClipperLib.ClipType.ctXor
+  };
+  const polyFillType = fillRule === 'evenodd'
+    ? ClipperLib.PolyFillType.pftEvenOdd
+    : ClipperLib.PolyFillType.pftNonZero;
+
+  const clipper = new ClipperLib.Clipper();
+  clipper.AddPaths(subject.map(points => toClipperPath(points, scale)), ClipperLib.PolyType.ptSubject, true);
+  clipper.AddPaths(clip.map(points => toClipperPath(points, scale)), ClipperLib.PolyType.ptClip, true);
+
+  const solution = [];
+  clipper.Execute(clipTypes[operation] ?? ClipperLib.ClipType.ctUnion, solution, polyFillType, polyFillType);
+
+  return solution.map(path => fromClipperPath(path, scale));
+}
+
+/**
+ * Offset closed polygon contours outward (positive delta) or inward (negative delta)
+ * @param {Array<Array<Vector2>>} polygons - Contours in model units
+ * @param {number} delta - Offset distance in model units
+ * @param {string} lineJoin - 'round', 'miter' or 'bevel'
+ * @param {number} miterLimit - Miter limit, as a multiple of delta
+ * @returns {Array<Array<Vector2>>} - Offset contours
+ */
+export function offsetPolygons(polygons, delta, lineJoin = 'round', miterLimit = 2) {
+  const scale = CLIPPER_SCALE;
+  const offset = new ClipperLib.ClipperOffset(miterLimit, Math.max(Math.abs(delta) * scale * 0.002, 0.25));
+
+  polygons.forEach((points) => {
+    const path = toClipperPath(points, scale);
+    if (path.length > 2) {
+      offset.AddPath(path, JOIN_TYPES[lineJoin] ?? ClipperLib.JoinType.jtRound, ClipperLib.EndType.etClosedPolygon);
+    }
+  });
+
+  const solution = [];
+  offset.Execute(solution, delta * scale);
+
+  return solution.map(path => fromClipperPath(path, scale));
+}
+
+/**
+ * Convert polygon contours (outer contours and holes) into Three.js shapes
+ * The fill rule decides which regions are solid, exactly as SVG paints them,
+ * regardless of how consistently the contours are wound.
+ * @param {Array<Array<Vector2>>} polygons - Contours in model units
+ * @param {string} fillRule - 'nonzero' or 'evenodd'
+ * @param {number} scale - Integer scale factor
+ * @returns {Array<Shape>} - Shapes with holes
+ */
+export function polygonsToShapes(polygons, fillRule = 'nonzero', scale = CLIPPER_SCALE) {
+  const polyFillType = fillRule === 'evenodd'
+    ? ClipperLib.PolyFillType.pftEvenOdd
+    : ClipperLib.PolyFillType.pftNonZero;
+
+  const clipper = new ClipperLib.Clipper();
+  clipper.AddPaths(polygons.map(points => toClipperPath(points, scale)), ClipperLib.PolyType.ptSubject, true);
+
+  const polyTree = new ClipperLib.PolyTree();
+  clipper.Execute(ClipperLib.ClipType.ctUnion, polyTree, polyFillType, polyFillType);
+
+  return polyTreeToShapes(polyTree, scale);
+}
+
+/**
+ * Pick an integer scale that keeps coordinates precise but inside Clipper's fast integer range
+ * @param {Array<Array<Vector2>>} polygons - Contours in model units
+ * @param {number} growth - How far results may extend beyond the input, in model units
+ * @returns {number} - Integer scale factor
+ */
+export function getClipperScale(polygons, growth = 0) {
+  let maxAbs = 0;
+  polygons.forEach(points => points.forEach((point) => {
+    maxAbs = Math.max(maxAbs, Math.abs(point.x), Math.abs(point.y));
+  }));
+  maxAbs += Math.abs(growth);
+
+  if (maxAbs === 0) return CLIPPER_SCALE;
+
+  // Clipper switches to slow 128-bit math above ~4.7e7
+  return Math.min(Math.max(1e7 / maxAbs, 1), 1e7);
+}
+
+/**
+ * Build a circular polygon
+ * @param {number} cx - Center X
+ * @param {number} cy - Center Y
+ * @param {number} radius - Radius
+ * @param {number} segments - Number of segments
+ * @returns {Array<Vector2>} - Counter-clockwise contour
+ */
+export function circlePolygon(cx, cy, radius, segments = 64) {
+  const points = [];
+  for (let i = 0; i < segments; i++) {
+    const angle = (i / segments) * Math.PI * 2;
+    points.push(new Vector2(cx + Math.cos(angle) * radius, cy + Math.sin(angle) * radius));
+  }
+  return points;
+}
+
+/**
+ * Build a rectangular polygon
+ * @param {number} minX - Left edge
+ * @param {number} minY - Bottom edge
+ * @param {number} maxX - Right edge
+ * @param {number} maxY - Top edge
+ * @returns {Array<Vector2>} - Counter-clockwise contour
+ */
+export function rectanglePolygon(minX, minY, maxX, maxY) {
+  return [
+    new Vector2(minX, minY),
+    new Vector2(maxX, minY),
+    new Vector2(maxX, maxY),
+    new Vector2(minX, maxY)
+  ];
+}
+
+/**
+ * Signed area of a contour (positive when counter-clockwise)
+ * @param {Array<Vector2>} points - Contour points
+ * @returns {number} - Signed area
+ */
+export function polygonArea(points) {
+  let area = 0;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    area += (points[j].x - points[i].x) * (points[j].y + points[i].y);
+  }
+  return area / 2;
+}
+
+/**
+ * Check whether moving every vertex along its miter vector, the way ExtrudeGeometry
+ * builds bevels, makes a shape fold over itself
+ * @param {Array<Vector2>} outer - Outer contour
+ * @param {Array<Array<Vector2>>} holes - Hole contours
+ * @param {number} distance - Offset distance in model units (positive grows the shape)
+ * @returns {boolean} - True when the offset outline self-intersects or collapses
+ */
+export function naiveOffsetSelfIntersects(outer, holes, distance) {
+  if (distance === 0 || outer.length < 3) return false;
+
+  // Outer contour counter-clockwise, holes clockwise, so "right" is always outward
+  const orient = (points, ccw) => ((polygonArea(points) > 0) === ccw ? points : points.slice().reverse());
+  const contours = [orient(outer, true), ...holes.filter(h => h.length > 2).map(h => orient(h, false))];
+
+  let naiveArea = 0;
+  let folded = false;
+
+  contours.forEach((points) => {
+    const count = points.length;
+    const moved = points.map((point, i) => {
+      const prev = points[(i - 1 + count) % count];
+      const next = points[(i + 1) % count];
+      const d1 = point.clone().sub(prev).normalize();
+      const d2 = next.clone().sub(point).normalize();
+      const n1 = new Vector2(d1.y, -d1.x);
+      const n2 = new Vector2(d2.y, -d2.x);
+      const miter = n1.clone().add(n2).divideScalar(Math.max(1 + n1.dot(n2), 1e-9));
+
+      // ExtrudeGeometry limits the miter length to sqrt(2) to avoid spikes
+      if (miter.lengthSq() > 2) miter.setLength(Math.SQRT2);
+
+      return point.clone().add(miter.multiplyScalar(distance));
+    });
+
+    // An edge that reverses direction means the feature is thinner than the bevel
+    for (let i = 0; i < count; i++) {
+      const j = (i + 1) % count;
+      const original = points[j].clone().sub(points[i]);
+      const shifted = moved[j].clone().sub(moved[i]);
+      if (original.lengthSq() > 1e-12 && original.dot(shifted) < 0) {
+        folded = true;
+      }
+    }
+
+    naiveArea += polygonArea(moved);
+  });
+
+  if (folded) return true;
+
+  // Overlapping parts of a folded outline are counted twice by the shoelace formula
+  const trueArea = offsetPolygons(contours, distance, 'miter', 100)
+    .reduce((sum, points) => sum + polygonArea(points), 0);
+
+  if (trueArea <= 0) return true;
+
+  return naiveArea > trueArea * 1.002 + 1e-6;
+}
+
+/**
+ * Simplify a closed contour with the Douglas-Peucker algorithm
+ * Every dropped point lies within tolerance of the simplified outline.
+ * @param {Array<Vector2>} points - Closed contour, without a repeated end point
+ * @param {number} tolerance - Maximum deviation in model units
+ * @returns {Array<Vector2>} - Kept points in their original order, or the input when fewer than 3 would remain
+ */
+export function simplifyContour(points, tolerance) {
+  const count = points.length;
+  if (count <= 3) return points;
+
+  // Split the loop at the point farthest from the first one and simplify both halves
+  let far = 0;
+  points.forEach((point, i) => {
+    if (point.distanceToSquared(points[0]) > points[far].distanceToSquared(points[0])) far = i;
+  });
+  if (far === 0) return points;
+
+  const keep = new Uint8Array(count);
+  keep[0] = 1;
+  keep[far] = 1;
+
+  // Index count stands for the first point again, closing the loop
+  const stack = [[0, far], [far, count]];
+  while (stack.length > 0) {
+    const [start, end] = stack.pop();
+    let maxDistance = tolerance;
+    let index = -1;
+
+    for (let i = start + 1; i < end; i++) {
+      const distance = distanceToSegment(points[i], points[start], points[end % count]);
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        index = i;
+      }
+    }
+
+    if (index !== -1) {
+      keep[index] = 1;
+      stack.push([start, index], [index, end]);
+    }
+  }
+
+  const simplified = points.filter((point, i) => keep[i]);
+  return simplified.length >= 3 ? simplified : points;
+}
+
+/**
+ * Distance from a point to a line segment
+ * @param {Vector2} point - Point
+ * @param {Vector2} a - Segment start
+ * @param {Vector2} b - Segment end
+ * @returns {number} - Distance
+ */
+function distanceToSegment(point, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq > 0 ? Math.min(Math.max(((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSq, 0), 1) : 0;
+  return Math.hypot(point.x - (a.x + t * dx), point.y - (a.y + t * dy));
+}
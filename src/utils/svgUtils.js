@@ -0,0 +1,286 @@
+/**
+ * Parse an SVG transform attribute into a 2D affine matrix [a, b, c, d, e, f]
+ * @param {string} transform - Value of a transform attribute
+ * @returns {Array<number>} - Affine matrix
+ */
+export function parseTransform(transform) {
+  let matrix = [1, 0, 0, 1, 0, 0];
+
+  if (!transform) return matrix;
+
+  const commands = transform.matchAll(/(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g);
+
+  for (const [, command, rawArgs] of commands) {
+    const args = rawArgs.trim().split(/[\s,]+/).filter(Boolean).map(parseFloat);
+    let next;
+
+    switch (command) {
+      case 'matrix':
+        next = args.length === 6 ? args : [1, 0, 0, 1, 0, 0];
+        break;
+      case 'translate':
+        next = [1, 0, 0, 1, args[0] || 0, args[1] || 0];
+        break;
+      case 'scale':
+        next = [args[0] ?? 1, 0, 0, args[1] ?? args[0] ?? 1, 0, 0];
+        break;
+      case 'rotate': {
+        const angle = ((args[0] || 0) * Math.PI) / 180;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const cx = args[1] || 0;
+        const cy = args[2] || 0;
+        next = [cos, sin, -sin, cos, cx - cos * cx + sin * cy, cy - sin * cx - cos * cy];
+        break;
+      }
+      case 'skewX':
+        next = [1, 0, Math.tan(((args[0] || 0) * Math.PI) / 180), 1, 0, 0];
+        break;
+      case 'skewY':
+        next = [1, Math.tan(((args[0] || 0) * Math.PI) / 180), 0, 1, 0, 0];
+        break;
+      default:
+        next = [1, 0, 0, 1, 0, 0];
+    }
+
+    matrix = multiplyTransforms(matrix, next);
+  }
+
+  return matrix;
+}
+
+/**
+ * Multiply two affine matrices (m1 applied after m2)
+ * @param {Array<number>} m1 - Outer matrix
+ * @param {Array<number>} m2 - Inner matrix
+ * @returns {Array<number>} - Product matrix
+ */
+export function multiplyTransforms(m1, m2) {
+  const [a1, b1, c1, d1, e1, f1] = m1;
+  const [a2, b2, c2, d2, e2, f2] = m2;
+
+  return [
+    a1 * a2 + c1 * b2,
+    b1 * a2 + d1 * b2,
+    a1 * c2 + c1 * d2,
+    b1 * c2 + d1 * d2,
+    a1 * e2 + c1 * f2 + e1,
+    b1 * e2 + d1 * f2 + f1
+  ];
+}
+
+/**
+ * Get the accumulated transform of a DOM node, including all ancestor transforms
+ * @param {Element} node - SVG element
+ * @returns {Array<number>} - Affine matrix from element space to root SVG space
+ */
+export function getNodeTransform(node) {
+  let matrix = [1, 0, 0, 1, 0, 0];
+  let current = node;
+
+  while (current && current.getAttribute) {
+    matrix = multiplyTransforms(parseTransform(current.getAttribute('transform')), matrix);
+    current = current.parentNode;
+  }
+
+  return matrix;
+}
+
+/**
+ * Get the uniform scale a node's transforms apply to lengths such as stroke widths
+ * @param {Element} node - SVG element
+ * @returns {number} - Scale factor
+ */
+export function getNodeTransformScale(node) {
+  const [a, b, c, d] = getNodeTransform(node);
+  return Math.sqrt(Math.abs(a * d - b * c)) || 1;
+}
+
+// Elements SVGLoader turns into paths, or walks into for their children
+const RENDERED_ELEMENTS = new Set([
+  'svg', 'g', 'a', 'switch', 'use', 'path', 'rect', 'polygon', 'polyline', 'circle', 'ellipse', 'line'
+]);
+
+// Elements that never paint anything on their own
+const NON_RENDERING_ELEMENTS = new Set([
+  'defs', 'style', 'title', 'desc', 'metadata', 'script', 'symbol', 'marker', 'filter',
+  'linearGradient', 'radialGradient', 'stop', 'pattern', 'clipPath', 'mask'
+]);
+
+/**
+ * List painted element types that SVGLoader ignores (text on a path, images, embedded HTML, ...)
+ * @param {string} svgData - SVG content
+ * @returns {Array<Object>} - { element, count } for each skipped element type, most frequent first
+ */
+export function findUnsupportedElements(svgData) {
+  const doc = new DOMParser().parseFromString(svgData, 'image/svg+xml');
+  const counts = new Map();
+
+  if (doc.querySelector('parsererror')) return [];
+
+  doc.querySelectorAll('*').forEach((node) => {
+    const name = node.localName;
+    // Editor namespaces (sodipodi:, inkscape:) and filter primitives carry no geometry
+    if (node.prefix || name.startsWith('fe') || RENDERED_ELEMENTS.has(name) || NON_RENDERING_ELEMENTS.has(name)) {
+      return;
+    }
+    // Children of text and foreignObject belong to that element; report it only once
+    if (node.parentElement?.closest('text, foreignObject')) return;
+
+    counts.set(name, (counts.get(name) || 0) + 1);
+  });
+
+  return [...counts.entries()]
+    .map(([element, count]) => ({ element, count }))
+    .sort((a, b) => b.count - a.count);
+}
+
+// Numbers each path command consumes per node it draws
+const PATH_COMMAND_ARGUMENTS = { m: 2, l: 2, h: 1, v: 1, c: 6, s: 4, q: 4, t: 2, a: 7, z: 0 };
+
+/**
+ * Count the paths, subpaths and nodes (segment end points) of an SVG
+ * @param {string} svgData - SVG content
+ * @returns {Object} - { pathCount, subpathCount, nodeCount }
+ */
+export function getPathStats(svgData) {
+  const doc = new DOMParser().parseFromString(svgData, 'image/svg+xml');
+  const stats = { pathCount: 0, subpathCount: 0, nodeCount: 0 };
+
+  if (doc.querySelector('parsererror')) return stats;
+
+  doc.querySelectorAll('path').forEach((path) => {
+    stats.pathCount++;
+
+    const commands = (path.getAttribute('d') || '').match(/[a-df-z][^a-df-z]*/gi) || [];
+    commands.forEach((command) => {
+      const type = command[0].toLowerCase();
+      const numbers = command.slice(1).match(/[-+]?(?:\d*\.\d+|\d+\.?)(?:e[-+]?\d+)?/gi) || [];
+
+      if (type === 'm') stats.subpathCount++;
+      if (PATH_COMMAND_ARGUMENTS[type]) {
+        stats.nodeCount += Math.floor(numbers.length / PATH_COMMAND_ARGUMENTS[type]);
+      }
+    });
+  });
+
+  return stats;
+}
+
+const INKSCAPE_NAMESPACE = 'http://www.inkscape.org/namespaces/inkscape';
+
+/**
+ * Check whether an element is an Inkscape layer (<g inkscape:groupmode="layer">)
+ * @param {Element} node - SVG element
+ * @returns {boolean} - True for layer groups
+ */
+export function isInkscapeLayer(node) {
+  if (node.localName !== 'g') return false;
+  return (node.getAttributeNS(INKSCAPE_NAMESPACE, 'groupmode') || node.getAttribute('inkscape:groupmode')) === 'layer';
+}
+
+/**
+ * Read the settings an Inkscape layer carries in its label and visibility
+ * Labels hold key=value tokens next to the name, e.g. "Relief depth=3 z=2" or "Guides [skip]".
+ * Hidden layers (display:none) are skipped, as Inkscape does not export them.
+ * @param {Element} layer - Layer group
+ * @returns {Object} - { name, depth, startZ, skip, hidden }, undefined where the label sets nothing
+ */
+export function getLayerSettings(layer) {
+  const label = layer.getAttributeNS(INKSCAPE_NAMESPACE, 'label') || layer.getAttribute('inkscape:label') || layer.getAttribute('id') || '';
+  const style = `${layer.getAttribute('style') || ''};display:${layer.getAttribute('display') || ''}`;
+  const hidden = /(^|;)\s*display\s*:\s*none/i.test(style);
+  const number = key => label.match(new RegExp(`(?:^|[\\s\\[(,;])${key}\\s*[=:]\\s*(-?\\d*\\.?\\d+)`, 'i'))?.[1];
+
+  return {
+    name: label,
+    depth: number('depth'),
+    startZ: number('(?:z|startZ)'),
+    skip: /(?:^|[\s[(,;])skip(?:$|[\s\]),;])/i.test(label) || hidden ? true : undefined,
+    hidden
+  };
+}
+
+/**
+ * Resolve the depth, start Z and skip settings of an element from data-depth, data-z and data-skip
+ * Each setting comes from the nearest element that sets it, the element itself included; an
+ * Inkscape layer label counts as set on the layer group, below the group's own attributes.
+ * @param {Element} node - SVG element
+ * @returns {Object} - { depth, startZ, skip, layer: the enclosing layer group or null }; undefined depth/startZ when unset
+ */
+export function getElementDepthSettings(node) {
+  const settings = { depth: undefined, startZ: undefined, skip: undefined, layer: null };
+  const parseSkip = value => !['false', '0', 'no'].includes(value.trim().toLowerCase());
+
+  for (let current = node; current && current.nodeType === 1; current = current.parentNode) {
+    const values = {
+      depth: current.getAttribute('data-depth') ?? undefined,
+      startZ: current.getAttribute('data-z') ?? undefined,
+      skip: current.hasAttribute('data-skip') ? parseSkip(current.getAttribute('data-skip')) : undefined
+    };
+
+    if (isInkscapeLayer(current)) {
+      settings.layer = settings.layer || current;
+      const label = getLayerSettings(current);
+      values.depth = values.depth ?? label.depth;
+      values.startZ = values.startZ ?? label.startZ;
+      values.skip = values.skip ?? label.skip;
+    }
+
+    if (settings.depth === undefined && values.depth !== undefined) {
+      const depth = parseFloat(values.depth);
+      if (depth > 0) settings.depth = depth;
+      else console.warn(`Ignoring invalid data-depth "${values.depth}"; depths must be positive numbers of mm`);
+    }
+    if (settings.startZ === undefined && values.startZ !== undefined) {
+      const startZ = parseFloat(values.startZ);
+      if (startZ >= 0) settings.startZ = startZ;
+      else console.warn(`Ignoring invalid data-z "${values.startZ}"; Z offsets must be zero or positive numbers of mm`);
+    }
+    if (settings.skip === undefined) settings.skip = values.skip;
+  }
+
+  settings.skip = settings.skip === true;
+  return settings;
+}
+
+// Millimetres per CSS unit; unitless lengths and user units are CSS pixels (1/96 in)
+const MILLIMETRES_PER_UNIT = { '': 25.4 / 96, px: 25.4 / 96, mm: 1, cm: 10, q: 0.25, in: 25.4, pt: 25.4 / 72, pc: 25.4 / 6 };
+
+/**
+ * Convert an absolute CSS length to millimetres
+ * @param {string|null} value - Length such as "50mm", "2in" or "120"
+ * @returns {number|null} - Length in mm, or null for missing, relative (%, em) or invalid lengths
+ */
+export function parseLengthToMillimetres(value) {
+  const match = (value || '').trim().match(/^([-+]?(?:\d*\.\d+|\d+\.?)(?:e[-+]?\d+)?)\s*([a-z]*)$/i);
+  if (!match) return null;
+
+  const perUnit = MILLIMETRES_PER_UNIT[match[2].toLowerCase()];
+  const length = parseFloat(match[1]) * perUnit;
+  return perUnit !== undefined && length > 0 ? length : null;
+}
+
+/**
+ * Physical size of one user unit of an SVG, from the root width, height and viewBox
+ * The viewBox is fitted into width x height as preserveAspectRatio says (uniformly unless "none",
+ * where the X scale is used). Without a viewBox, or without absolute sizes, a user unit is a CSS pixel.
+ * @param {Element} svgElement - Root <svg> element
+ * @returns {number} - Millimetres per user unit
+ */
+export function getMillimetresPerUserUnit(svgElement) {
+  const pixel = MILLIMETRES_PER_UNIT.px;
+  const viewBox = (svgElement.getAttribute('viewBox') || '').trim().split(/[\s,]+/).map(parseFloat);
+  if (viewBox.length !== 4 || viewBox.some(Number.isNaN) || viewBox[2] <= 0 || viewBox[3] <= 0) return pixel;
+
+  const width = parseLengthToMillimetres(svgElement.getAttribute('width'));
+  const height = parseLengthToMillimetres(svgElement.getAttribute('height'));
+  const scaleX = width !== null ? width / viewBox[2] : null;
+  const scaleY = height !== null ? height / viewBox[3] : null;
+
+  if (scaleX === null || scaleY === null) return scaleX ?? scaleY ?? pixel;
+
+  const [align = 'xMidYMid', meetOrSlice = 'meet'] = (svgElement.getAttribute('preserveAspectRatio') || '').trim().split(/\s+/).filter(Boolean);
+  if (align === 'none') return scaleX;
+  return meetOrSlice === 'slice' ? Math.max(scaleX, scaleY) : Math.min(scaleX, scaleY);
+}
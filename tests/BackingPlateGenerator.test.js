@@ -0,0 +1,86 @@
+import { ShapeUtils } from 'three';
+import { BackingPlateGenerator } from '../src/services/BackingPlateGenerator.js';
+import { circlePolygon, polygonArea, rectanglePolygon } from '../src/utils/polygonUtils.js';
+
+const areaOf = (shapes) => shapes.reduce((sum, shape) => {
+  const { shape: outer, holes } = shape.extractPoints(12);
+  return sum + Math.abs(polygonArea(outer)) - holes.reduce((total, hole) => total + Math.abs(polygonArea(hole)), 0);
+}, 0);
+
+describe('BackingPlateGenerator', () => {
+  const generator = new BackingPlateGenerator();
+  const artwork = [rectanglePolygon(0, 0, 20, 10)];
+  const boundsOf = shapes => generator.getBounds(shapes.map(shape => shape.getPoints()));
+
+  test('surrounds the artwork with a rectangle grown by the margin', () => {
+    const plate = generator.generate(artwork, { shape: 'rectangle', margin: 3 });
+
+    expect(plate).toHaveLength(1);
+    expect(boundsOf(plate)).toEqual({ minX: -3, minY: -3, maxX: 23, maxY: 13 });
+    expect(areaOf(plate)).toBeCloseTo(26 * 16, 3);
+  });
+
+  test('rounds the corners of a rounded rectangle by the corner radius', () => {
+    const plate = generator.generate(artwork, { shape: 'roundedRectangle', margin: 3, cornerRadius: 2 });
+
+    expect(boundsOf(plate)).toMatchObject({ minX: -3, maxX: 23 });
+    expect(areaOf(plate)).toBeCloseTo(26 * 16 - (4 - Math.PI) * 4, 0);
+  });
+
+  test('limits the corner radius to half the shorter side', () => {
+    const plate = generator.generate(artwork, { shape: 'roundedRectangle', margin: 1, cornerRadius: 50 });
+    const { minY, maxY } = boundsOf(plate);
+
+    expect(maxY - minY).toBeCloseTo(12, 1);
+    expect(areaOf(plate)).toBeCloseTo(10 * 12 + Math.PI * 36, 0);
+  });
+
+  test('encloses every point of the artwork in a circle', () => {
+    const plate = generator.generate(artwork, { shape: 'circle', margin: 2 });
+    const radius = Math.hypot(10, 5) + 2;
+
+    expect(boundsOf(plate).maxX).toBeCloseTo(10 + radius, 3);
+    expect(areaOf(plate)).toBeCloseTo(Math.PI * radius ** 2, -1);
+  });
+
+  test('follows the artwork outline, filling in holes', () => {
+    const ring = [circlePolygon(0, 0, 10), circlePolygon(0, 0, 5).reverse()];
+    const plate = generator.generate(ring, { shape: 'outline', margin: 1 });
+
+    expect(plate).toHaveLength(1);
+    expect(plate[0].holes).toHaveLength(0);
+    expect(boundsOf(plate).maxX).toBeCloseTo(11, 1);
+  });
+
+  test('punches a keyring hole in a tab beyond the artwork', () => {
+    const plate = generator.generate(artwork, { shape: 'rectangle', margin: 3, holeAnchor: 'top', holeDiameter: 4, holeMargin: 2 });
+    const [hole] = plate[0].extractPoints(64).holes.map(points => generator.getBounds([points]));
+
+    expect(plate).toHaveLength(1);
+    expect(hole.minY).toBeCloseTo(12, 1);
+    expect(hole.maxY - hole.minY).toBeCloseTo(4, 1);
+    expect((hole.minX + hole.maxX) / 2).toBeCloseTo(10, 1);
+    expect(boundsOf(plate).maxY).toBeCloseTo(18, 1);
+  });
+
+  test('bridges a tab that would float free of a sparse outline', () => {
+    const sparse = [circlePolygon(0, 0, 10), circlePolygon(30, 0, 10)];
+    const plate = generator.generate(sparse, { shape: 'outline', margin: 0.5, holeAnchor: 'topRight', holeDiameter: 4, holeMargin: 2 });
+    const outers = plate.map(shape => shape.extractPoints(12).shape).filter(points => !ShapeUtils.isClockWise(points));
+
+    const tabbed = plate.find(shape => shape.holes.length === 1);
+
+    // The tab sits beyond the right circle and stays joined to it
+    expect(outers).toHaveLength(2);
+    expect(boundsOf([tabbed]).minX).toBeLessThan(30);
+    expect(boundsOf([tabbed]).maxX).toBeGreaterThan(44);
+  });
+
+  test('rejects artwork without an outline', () => {
+    expect(() => generator.generate([])).toThrow('Cannot generate backing plate - artwork has no outline');
+  });
+
+  test('rejects an unknown hole anchor', () => {
+    expect(() => generator.generate(artwork, { holeAnchor: 'middle' })).toThrow('Unsupported hole anchor: middle');
+  });
+});
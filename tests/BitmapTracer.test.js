@@ -0,0 +1,120 @@
+import { BitmapTracer } from '../src/services/BitmapTracer.js';
+import { handleError, validate } from './helpers/middleware.js';
+import { png } from './helpers/images.js';
+import { silenceConsole } from './helpers/svg.js';
+
+const WHITE = 0xffffffff;
+const BLACK = 0x000000ff;
+const GREY = 0x505050ff;
+const RED = 0xff0000ff;
+const BLUE = 0x0000ffff;
+
+describe('BitmapTracer', () => {
+  const tracer = new BitmapTracer();
+
+  silenceConsole();
+
+  describe('single-color tracing', () => {
+    test('sizes the SVG to the image plus padding, with a background behind the trace', async () => {
+      const { svg, width, height, layers } = await tracer.trace(await png(60, 40, WHITE, [{ x: 10, y: 10, width: 30, height: 20, color: BLACK }]), { padding: 5 });
+
+      expect({ width, height }).toEqual({ width: 60, height: 40 });
+      expect(svg).toContain('viewBox="0 0 70 50"');
+      expect(svg).toContain('<rect x="0" y="0" width="70" height="50" rx="8" ry="8" fill="white"/>');
+      expect(svg).toContain('translate(5,5)');
+      expect(layers).toEqual([{ color: 'black', pixelCount: 600 }]);
+    });
+
+    test('leaves the background out on request', async () => {
+      const { svg } = await tracer.trace(await png(40, 40, WHITE, [{ x: 10, y: 10, width: 20, height: 20, color: BLACK }]), { background: false });
+      expect(svg).not.toContain('<rect');
+    });
+
+    test('picks the threshold between the two tones with Otsu\'s method', async () => {
+      const image = await png(40, 40, 0xe0e0e0ff, [{ x: 10, y: 10, width: 20, height: 20, color: GREY }]);
+      const { threshold, layers } = await tracer.trace(image, { threshold: 'auto' });
+
+      expect(threshold).toBeGreaterThanOrEqual(0x50);
+      expect(threshold).toBeLessThan(0xe0);
+      expect(layers[0].pixelCount).toBe(400);
+      await expect(tracer.trace(image, { threshold: 64 })).rejects.toThrow('no dark shapes survived tracing at threshold 64');
+    });
+
+    test('traces light shapes on a dark border', async () => {
+      const { blackOnWhite, layers, svg } = await tracer.trace(await png(40, 40, BLACK, [{ x: 10, y: 10, width: 20, height: 20, color: WHITE }]));
+
+      expect(blackOnWhite).toBe(false);
+      expect(layers).toEqual([{ color: 'white', pixelCount: 400 }]);
+      expect(svg).toContain('fill="black"');
+    });
+
+    test('suppresses speckles up to turdSize', async () => {
+      const image = await png(40, 40, WHITE, [{ x: 10, y: 10, width: 4, height: 4, color: BLACK }]);
+
+      await expect(tracer.trace(image, { turdSize: 0 })).resolves.toMatchObject({ layers: [{ pixelCount: 16 }] });
+      await expect(tracer.trace(image, { turdSize: 20 })).rejects.toThrow('Nothing to trace in image');
+    });
+  });
+
+  describe('multi-color tracing', () => {
+    // A red and a smaller blue square on white
+    const squares = png(40, 40, WHITE, [{ x: 2, y: 2, width: 20, height: 20, color: RED }, { x: 25, y: 25, width: 10, height: 10, color: BLUE }]);
+
+    test('traces one layer per color, largest first, without the border color', async () => {
+      const { svg, layers, threshold, blackOnWhite } = await tracer.trace(await squares, { colors: 3 });
+
+      expect(layers).toEqual([{ color: '#ff0000', pixelCount: 400 }, { color: '#0000ff', pixelCount: 100 }]);
+      expect(svg).toMatch(/fill="#ff0000"[\s\S]*fill="#0000ff"/);
+      expect(svg).not.toContain('<rect');
+      expect({ threshold, blackOnWhite }).toEqual({ threshold: null, blackOnWhite: null });
+    });
+
+    test('keeps the border color with removeBackground=false', async () => {
+      const { layers } = await tracer.trace(await squares, { palette: ['#f00', '#00f', '#fff'], removeBackground: false });
+      expect(layers.map(({ color }) => color)).toEqual(['#ffffff', '#ff0000', '#0000ff']);
+    });
+
+    test('snaps every pixel to the nearest palette color', async () => {
+      // White is closer to #ee0000 than to #0000cc, so it joins the red layer, which covers the border
+      const { layers } = await tracer.trace(await squares, { palette: ['#e00', '#00c'] });
+      expect(layers).toEqual([{ color: '#0000cc', pixelCount: 100 }]);
+    });
+
+    test('never traces transparent pixels', async () => {
+      const { layers } = await tracer.trace(await png(40, 40, 0x00000000, [{ x: 5, y: 5, width: 10, height: 10, color: 0x00ff00ff }]), { colors: 2 });
+      expect(layers).toEqual([{ color: '#00ff00', pixelCount: 100 }]);
+    });
+
+    test('downscales images larger than 1000 pixels first', async () => {
+      const { width, height } = await tracer.trace(await png(1500, 300, WHITE, [{ x: 100, y: 100, width: 100, height: 100, color: RED }]), { colors: 2 });
+      expect({ width, height }).toEqual({ width: 1000, height: 200 });
+    });
+
+    test.each([
+      [{ traceColors: '17' }, 'Invalid Trace Colors Parameter', 'Trace colors must be an integer between 1 and 16.'],
+      [{ tracePalette: '#f00' }, 'Invalid Trace Palette Parameter', 'Trace palette must list between 2 and 16 CSS colors.'],
+      [{ tracePalette: '#f00, blurple' }, 'Invalid Trace Palette Parameter', "Trace palette color 'blurple' is not a valid CSS color."]
+    ])('validates %j', (body, error, message) => {
+      expect(validate(body)).toMatchObject({ passed: false, status: 400, body: { error, message } });
+    });
+  });
+
+  test('rejects an image where nothing survives tracing', async () => {
+    const blank = await png(40, 40, WHITE);
+
+    await expect(tracer.trace(blank)).rejects.toThrow('Nothing to trace in image: no dark shapes survived tracing at threshold 128');
+    await expect(tracer.trace(blank, { colors: 2 })).rejects.toThrow('Nothing to trace in image: no color layer survived tracing once the border color was removed');
+  });
+
+  test('maps an empty trace to 422', () => {
+    const { status, body } = handleError(new Error('Failed to convert bitmap to SVG: Nothing to trace in image: no dark shapes survived tracing at threshold 128'));
+    expect(status).toBe(422);
+    expect(body.error).toBe('No Printable Content');
+  });
+
+  test('maps unreadable images to 400', () => {
+    const { status, body } = handleError(new Error('Failed to read image for tracing: bad data'));
+    expect(status).toBe(400);
+    expect(body.error).toBe('Invalid Image Data');
+  });
+});
@@ -0,0 +1,62 @@
+import { ShapeUtils } from 'three';
+import { CookieCutterGenerator } from '../src/services/CookieCutterGenerator.js';
+import { circlePolygon, offsetPolygons } from '../src/utils/polygonUtils.js';
+import { handleError } from './helpers/middleware.js';
+import { silenceConsole } from './helpers/svg.js';
+
+const contoursOf = parts => parts.flatMap(({ shapes }) => shapes.flatMap((shape) => {
+  const { shape: outer, holes } = shape.extractPoints(1);
+  return [outer, ...holes];
+}));
+
+// Parts that touch count as one piece
+const countPieces = contours => offsetPolygons(contours, 0.01).filter(points => !ShapeUtils.isClockWise(points)).length;
+
+describe('CookieCutterGenerator', () => {
+  const generator = new CookieCutterGenerator();
+  const face = [circlePolygon(0, 0, 20), circlePolygon(8, 5, 3)];
+
+  silenceConsole();
+
+  test('puts the flange on the bed and the wall on top of it', () => {
+    const parts = generator.generate([circlePolygon(0, 0, 20)], { height: 15, flangeThickness: 2 });
+
+    expect(parts.map(({ name, startZ, depth }) => ({ name, startZ, depth }))).toEqual([
+      { name: 'cutter_flange', startZ: 0, depth: 2 },
+      { name: 'cutter_wall', startZ: 2, depth: 13 }
+    ]);
+  });
+
+  test('bridges imprint detail that does not touch the outline to the wall', () => {
+    const parts = generator.generate(face, { imprint: true, imprintHeight: 8, flangeThickness: 2 });
+    const imprint = parts.filter(({ name }) => name === 'cutter_imprint');
+    const bridge = parts.find(({ name }) => name === 'cutter_bridge');
+
+    expect(countPieces(contoursOf(imprint))).toBe(2);
+    expect(countPieces(contoursOf([...imprint, bridge]))).toBe(1);
+    expect(bridge).toMatchObject({ startZ: 0, depth: 2 });
+  });
+
+  test('keeps bridges below half the imprint height without a flange', () => {
+    const parts = generator.generate(face, { imprint: true, imprintHeight: 3, flangeWidth: 0 });
+    expect(parts.find(({ name }) => name === 'cutter_bridge').depth).toBe(1.5);
+  });
+
+  test('adds no bridge when all imprint detail touches the outline', () => {
+    const parts = generator.generate([circlePolygon(0, 0, 20)], { imprint: true });
+    expect(parts.map(({ name }) => name)).toEqual(['cutter_flange', 'cutter_wall', 'cutter_imprint']);
+  });
+
+  test.each([
+    [{ height: 2, flangeThickness: 2 }, 'height (2mm) must be greater than the flange thickness (2mm)'],
+    [{ imprint: true, height: 8, imprintHeight: 8 }, 'imprint height (8mm) must be less than the cutter height (8mm)']
+  ])('rejects %j', (options, message) => {
+    expect(() => generator.generate(face, options)).toThrow(`Invalid cookie cutter: ${message}`);
+  });
+
+  test('maps Invalid cookie cutter to 422', () => {
+    const { status, body } = handleError(new Error('Failed to convert SVG to 3D: Invalid cookie cutter: the outline is too small'));
+    expect(status).toBe(422);
+    expect(body.error).toBe('Invalid Cookie Cutter Settings');
+  });
+});
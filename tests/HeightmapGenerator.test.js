@@ -0,0 +1,76 @@
+import '../src/setup-dom.js';
+import { SvgTo3DConverter } from '../src/services/SvgTo3DConverter.js';
+import { handleError, validate } from './helpers/middleware.js';
+import { png } from './helpers/images.js';
+import { silenceConsole } from './helpers/svg.js';
+
+const WHITE = 0xffffffff;
+const BLACK = 0x000000ff;
+
+describe('heightmap mode', () => {
+  const converter = new SvgTo3DConverter();
+  const convert = async (image, options = {}) => converter.convertImageToHeightmap(await image, { format: 'stl', size: 40, ...options });
+
+  // 20×10 pixels, the left half black
+  const halfDark = png(20, 10, WHITE, [{ x: 0, y: 0, width: 10, height: 10, color: BLACK }]);
+  const dark = png(20, 10, BLACK);
+
+  silenceConsole();
+
+  test('sizes the longer image side to size and the height to maxThickness', async () => {
+    const { statistics } = await convert(halfDark);
+    expect(statistics.boundingBox.size).toEqual({ x: 40, y: 20, z: 3 });
+  });
+
+  test('builds one closed solid', async () => {
+    const { report } = await convert(halfDark);
+    expect(report).toMatchObject({ meshCount: 1, boundaryEdges: 0, nonManifoldEdges: 0, verdict: 'pass' });
+  });
+
+  test('makes dark pixels thin and bright pixels thick', async () => {
+    const { statistics } = await convert(halfDark, { minThickness: 0.8, maxThickness: 3 });
+    expect(statistics.volume).toBeCloseTo(20 * 20 * 0.8 + 20 * 20 * 3, 1);
+  });
+
+  test('makes dark pixels thick when inverted', async () => {
+    expect((await convert(dark)).statistics.volume).toBeCloseTo(40 * 20 * 0.8, 1);
+    expect((await convert(dark, { invert: true })).statistics.volume).toBeCloseTo(40 * 20 * 3, 1);
+  });
+
+  test('adds a frame around the panel', async () => {
+    const { statistics } = await convert(halfDark, { frameWidth: 2 });
+    expect(statistics.boundingBox.size).toMatchObject({ x: 44, y: 24 });
+  });
+
+  test('wraps a cylinder panel around the curve angle, keeping it closed', async () => {
+    const { statistics, report } = await convert(halfDark, { panelShape: 'cylinder', curveAngle: 180 });
+    const radius = 40 / Math.PI;
+
+    expect(statistics.boundingBox.size.x).toBeCloseTo(2 * radius, 2);
+    expect(statistics.boundingBox.size.y).toBe(20);
+    expect(report).toMatchObject({ boundaryEdges: 0, nonManifoldEdges: 0 });
+  });
+
+  test('rejects a curve tighter than the panel thickness', async () => {
+    await expect(convert(halfDark, { size: 20, panelShape: 'cylinder', curveAngle: 330, maxThickness: 10 }))
+      .rejects.toThrow('Invalid heightmap curve: a 330° curve gives a 3.47mm radius, thinner than the panel');
+  });
+
+  test('rejects data that is not an image', async () => {
+    await expect(convert(Buffer.from('not an image'))).rejects.toThrow('Failed to read image for heightmap');
+  });
+
+  test.each([
+    ['Failed to convert image to heightmap: Invalid heightmap: image is empty', 422, 'Invalid Heightmap Settings'],
+    ['Failed to convert image to heightmap: Failed to read image for heightmap: bad data', 400, 'Invalid Image Data']
+  ])('maps "%s" to %i', (message, status, error) => {
+    expect(handleError(new Error(message))).toMatchObject({ status, body: { error } });
+  });
+
+  test.each([
+    [{ mode: 'carve' }, 'Invalid Mode Parameter'],
+    [{ minThickness: '2', maxThickness: '2' }, 'Invalid Thickness Parameters']
+  ])('validates %j', (body, error) => {
+    expect(validate(body)).toMatchObject({ passed: false, status: 400, body: { error } });
+  });
+});
@@ -0,0 +1,63 @@
+import '../src/setup-dom.js';
+import { BoxGeometry, Group, Mesh, MeshStandardMaterial, PlaneGeometry } from 'three';
+import { SvgTo3DConverter } from '../src/services/SvgTo3DConverter.js';
+import { MeshAnalyzer } from '../src/services/MeshAnalyzer.js';
+import { validate } from './helpers/middleware.js';
+import { silenceConsole, svg } from './helpers/svg.js';
+
+describe('MeshAnalyzer', () => {
+  const converter = new SvgTo3DConverter();
+  const analyzer = new MeshAnalyzer();
+  const convert = async (svgData, options = {}) => (await converter.convertSvgTo3D(svgData, { format: 'stl', ...options })).report;
+
+  silenceConsole();
+
+  test('passes a plain circle', async () => {
+    const report = await convert(svg('<circle cx="50" cy="50" r="50"/>'));
+
+    expect(report.verdict).toBe('pass');
+    expect(report.thinFeatureArea).toBe(0);
+    expect(report.issues).toEqual([]);
+  });
+
+  test('passes a cookie cutter with a 1mm wall', async () => {
+    const report = await convert(svg('<circle cx="50" cy="50" r="50"/>'), { mode: 'cookieCutter', cutterWallThickness: 1 });
+    expect(report.verdict).toBe('pass');
+  });
+
+  test('warns about a line thinner than the nozzle', async () => {
+    const report = await convert(svg('<rect width="100" height="100"/><rect width="100" height="0.5" fill="#f00"/>'));
+
+    expect(report.verdict).toBe('warn');
+    expect(report.thinFeatureArea).toBeGreaterThan(5);
+    expect(report.minFeatureSize).toBeLessThan(0.4);
+  });
+
+  test('fails when most of the footprint is thinner than the nozzle', async () => {
+    const report = await convert(svg('<rect width="100" height="1"/>'), { size: 50, nozzleWidth: 1 });
+
+    expect(report.verdict).toBe('fail');
+    expect(report.thinFeatureRatio).toBeGreaterThan(0.05);
+  });
+
+  test('counts the boundary edges of an open mesh', () => {
+    const group = new Group();
+    group.add(new Mesh(new PlaneGeometry(10, 10), new MeshStandardMaterial()));
+    const report = analyzer.analyze(group);
+
+    expect(report.boundaryEdges).toBe(4);
+    expect(report.verdict).toBe('fail');
+  });
+
+  test('finds no defects in a closed box', () => {
+    const group = new Group();
+    group.add(new Mesh(new BoxGeometry(10, 10, 10), new MeshStandardMaterial()));
+
+    expect(analyzer.analyzeMeshes(group)).toMatchObject({ triangleCount: 12, boundaryEdges: 0, nonManifoldEdges: 0, invertedNormals: 0 });
+  });
+
+  test('validates nozzleWidth', () => {
+    expect(validate({ nozzleWidth: '3' })).toMatchObject({ passed: false, status: 400, body: { error: 'Invalid Nozzle Width Parameter' } });
+    expect(validate({ nozzleWidth: '0.6' }).passed).toBe(true);
+  });
+});
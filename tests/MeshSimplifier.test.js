@@ -0,0 +1,86 @@
+import '../src/setup-dom.js';
+import { Vector2 } from 'three';
+import { SvgTo3DConverter } from '../src/services/SvgTo3DConverter.js';
+import { circlePolygon, polygonArea, simplifyContour } from '../src/utils/polygonUtils.js';
+import { validate } from './helpers/middleware.js';
+import { silenceConsole, svg } from './helpers/svg.js';
+
+const MM = 'viewBox="0 0 100 100" width="100mm" height="100mm"';
+
+describe('mesh simplification', () => {
+  const converter = new SvgTo3DConverter();
+  const CIRCLES = svg('<circle cx="20" cy="20" r="15"/><circle cx="60" cy="60" r="20" fill="red"/>', MM);
+  const convert = options => converter.convertSvgTo3D(CIRCLES, { format: 'stl', scaleMode: 'exact', curveSegments: 256, ...options });
+
+  silenceConsole();
+
+  test('only welds vertices without a target', async () => {
+    const { simplification } = await convert({});
+
+    expect(simplification.after.triangleCount).toBe(simplification.before.triangleCount);
+    expect(simplification.after.vertexCount).toBeLessThan(simplification.before.vertexCount);
+    expect(simplification).toMatchObject({ maxError: null, maxTriangles: null, targetReached: null });
+  });
+
+  test('meets a maxTriangles budget with the smallest error that fits', async () => {
+    const { simplification, statistics } = await convert({ maxTriangles: 1000 });
+
+    expect(simplification.before.triangleCount).toBeGreaterThan(1000);
+    expect(simplification.after.triangleCount).toBeLessThanOrEqual(1000);
+    expect(simplification).toMatchObject({ maxTriangles: 1000, targetReached: true });
+    expect(simplification.maxError).toBeGreaterThan(0);
+    expect(simplification.maxError).toBeLessThanOrEqual(0.2);
+    expect(statistics.boundingBox.size.x).toBeCloseTo(75, 0);
+  });
+
+  test('stops at half the nozzle width and reports a missed budget', async () => {
+    const { simplification } = await convert({ maxTriangles: 100, nozzleWidth: 0.4 });
+
+    expect(simplification.after.triangleCount).toBeGreaterThan(100);
+    expect(simplification).toMatchObject({ maxError: 0.2, targetReached: false });
+  });
+
+  test('keeps outlines within maxError', async () => {
+    const { simplification, statistics } = await convert({ maxError: 0.5 });
+
+    expect(simplification.maxError).toBe(0.5);
+    expect(simplification.after.triangleCount).toBeLessThan(simplification.before.triangleCount / 4);
+    expect(statistics.volume).toBeGreaterThan(Math.PI * (15 ** 2 + 20 ** 2) * 2 * (1 - 2 * 0.5 / 15));
+  });
+
+  test('caps the budget search at maxError', async () => {
+    const { simplification } = await convert({ maxTriangles: 100, maxError: 0.05 });
+    expect(simplification).toMatchObject({ maxError: 0.05, targetReached: false });
+  });
+
+  describe('simplifyContour', () => {
+    test('drops collinear points and keeps corners', () => {
+      const points = [new Vector2(0, 0), new Vector2(5, 0), new Vector2(10, 0), new Vector2(10, 10), new Vector2(0, 10)];
+      expect(simplifyContour(points, 1e-6)).toHaveLength(4);
+    });
+
+    test('keeps a circle within the tolerance', () => {
+      const circle = circlePolygon(0, 0, 10, 256);
+      const simplified = simplifyContour(circle, 0.1);
+      expect(simplified.length).toBeLessThan(circle.length);
+      expect(Math.abs(polygonArea(simplified))).toBeGreaterThan(Math.abs(polygonArea(circle)) - 2 * Math.PI * 10 * 0.1);
+    });
+  });
+
+  test.each([
+    [{ maxTriangles: '99' }, 'Invalid Max Triangles Parameter'],
+    [{ maxError: '-0.1' }, 'Invalid Max Error Parameter']
+  ])('validates %j', (body, error) => {
+    expect(validate(body)).toMatchObject({ passed: false, status: 400, body: { error } });
+  });
+
+  test('accepts a zero maxError', () => {
+    expect(validate({ maxError: '0' }).passed).toBe(true);
+  });
+
+  test('rejects simplification targets for heightmaps', () => {
+    expect(validate({ svgData: undefined, mode: 'heightmap', maxTriangles: '1000' }))
+      .toMatchObject({ passed: false, status: 400, body: { error: 'Invalid Simplification Parameters' } });
+    expect(validate({ mode: 'extrude', maxTriangles: '1000' }).passed).toBe(true);
+  });
+});
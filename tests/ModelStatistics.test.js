@@ -0,0 +1,58 @@
+import '../src/setup-dom.js';
+import { BoxGeometry, Group, Mesh, MeshStandardMaterial } from 'three';
+import { ModelStatistics } from '../src/services/ModelStatistics.js';
+import { SvgTo3DConverter } from '../src/services/SvgTo3DConverter.js';
+import { validate } from './helpers/middleware.js';
+import { silenceConsole, svg } from './helpers/svg.js';
+
+const MM = 'viewBox="0 0 100 100" width="100mm" height="100mm"';
+
+describe('ModelStatistics', () => {
+  const converter = new SvgTo3DConverter();
+  const statistics = new ModelStatistics();
+  const convert = async (content, options = {}) => (await converter.convertSvgTo3D(svg(content, MM), { format: 'stl', scaleMode: 'exact', depth: 2, ...options })).statistics;
+
+  silenceConsole();
+
+  test('measures a closed mesh and the filament it needs', () => {
+    const group = new Group();
+    group.add(new Mesh(new BoxGeometry(10, 10, 10), new MeshStandardMaterial({ color: '#ff0000' })));
+    const result = statistics.compute(group, { materialDensity: 1.24, filamentDiameter: 1.75 });
+
+    expect(result).toMatchObject({ triangleCount: 12, volume: 1000, meshSurfaceArea: 600 });
+    expect(result.boundingBox.size).toEqual({ x: 10, y: 10, z: 10 });
+    expect(result.material).toEqual({ density: 1.24, filamentDiameter: 1.75, grams: 1.24, metres: 0.416 });
+  });
+
+  test('counts overlapping colors once, in the color painted last', async () => {
+    const result = await convert('<rect width="10" height="10" fill="#f00"/><rect x="5" width="10" height="10" fill="#00f"/>');
+    const volumes = Object.fromEntries(result.colors.map(({ color, volume }) => [color, volume]));
+
+    expect(result.volume).toBeCloseTo(300, 1);
+    expect(volumes['#ff0000']).toBeCloseTo(100, 1);
+    expect(volumes['#0000ff']).toBeCloseTo(200, 1);
+  });
+
+  test('counts the surface of every mesh, overlaps included', async () => {
+    const result = await convert('<rect width="10" height="10" fill="#f00"/><rect x="5" width="10" height="10" fill="#00f"/>');
+
+    expect(result.meshSurfaceArea).toBeCloseTo(2 * 280, 1);
+    result.colors.forEach(({ meshSurfaceArea }) => expect(meshSurfaceArea).toBeCloseTo(280, 1));
+  });
+
+  test('weighs colors stacked in layers separately', async () => {
+    const result = await convert('<rect width="10" height="10" fill="#f00"/><rect width="10" height="10" fill="#00f"/>', {
+      colorLayers: { '#0000ff': { depth: 1, startZ: 2 } }
+    });
+
+    expect(result.volume).toBeCloseTo(300, 1);
+    expect(result.boundingBox.size.z).toBe(3);
+  });
+
+  test.each([
+    [{ materialDensity: '5' }, 'Invalid Material Density Parameter', 'Material density must be a number between 0.5 and 3.'],
+    [{ filamentDiameter: '0.5' }, 'Invalid Filament Diameter Parameter', 'Filament diameter must be a number between 1 and 3.']
+  ])('validates %j', (body, error, message) => {
+    expect(validate(body)).toMatchObject({ passed: false, status: 400, body: { error, message } });
+  });
+});
@@ -0,0 +1,51 @@
+import JSZip from 'jszip';
+import { Group } from 'three';
+import { ObjMtlExporter } from '../src/services/exporters/ObjMtlExporter.js';
+import { countMatches, createModel } from './helpers/models.js';
+
+describe('ObjMtlExporter', () => {
+  const exporter = new ObjMtlExporter();
+
+  test('zips an OBJ and its MTL under the sanitized base name', async () => {
+    const zip = await JSZip.loadAsync(await exporter.parse(createModel(), { baseName: 'my model' }));
+    expect(Object.keys(zip.files).sort()).toEqual(['my_model.mtl', 'my_model.obj']);
+    expect(await zip.file('my_model.obj').async('string')).toContain('mtllib my_model.mtl');
+  });
+
+  test('writes a named group per mesh with 1-based global indices', async () => {
+    const zip = await JSZip.loadAsync(await exporter.parse(createModel()));
+    const obj = await zip.file('model.obj').async('string');
+    const faces = obj.split('\n').filter(line => line.startsWith('f ')).map(line => line.slice(2).split(' ').map(Number));
+    const indices = faces.flat();
+
+    expect(obj).toContain('o red_part');
+    expect(obj).toContain('o shape_2_0000ff');
+    expect(countMatches(obj, /^v /gm)).toBe(16);
+    expect(faces).toHaveLength(24);
+    expect(Math.min(...indices)).toBe(1);
+    expect(Math.max(...indices)).toBe(16);
+  });
+
+  test('names the output unit in the OBJ header', async () => {
+    const mm = await JSZip.loadAsync(await exporter.parse(createModel()));
+    const inches = await JSZip.loadAsync(await exporter.parse(createModel(), { unit: 'inches' }));
+
+    expect(await mm.file('model.obj').async('string')).toContain('# Units: millimetres');
+    expect(await inches.file('model.obj').async('string')).toContain('# Units: inches');
+  });
+
+  test('writes one material per color and opacity in sRGB', async () => {
+    const zip = await JSZip.loadAsync(await exporter.parse(createModel()));
+    const mtl = await zip.file('model.mtl').async('string');
+
+    expect(countMatches(mtl, /^newmtl /gm)).toBe(2);
+    expect(mtl).toContain('Kd 1 0 0');
+    expect(mtl).toContain('Kd 0 0 1');
+    expect(mtl).toContain('d 0.5');
+    expect(mtl).toContain('Tr 0.5');
+  });
+
+  test('rejects a model without geometry', async () => {
+    await expect(exporter.parse(new Group())).rejects.toThrow('OBJ export failed - model contains no geometry');
+  });
+});
@@ -0,0 +1,36 @@
+import { StampGenerator } from '../src/services/StampGenerator.js';
+import { circlePolygon, rectanglePolygon } from '../src/utils/polygonUtils.js';
+import { silenceConsole } from './helpers/svg.js';
+
+describe('StampGenerator', () => {
+  const generator = new StampGenerator();
+  const boundsOf = ({ shapes }) => generator.backingPlateGenerator.getBounds(shapes.map(shape => shape.getPoints()));
+
+  silenceConsole();
+
+  test('puts the base on the bed and the relief face up on top of it', () => {
+    const parts = generator.generate([circlePolygon(0, 0, 10)], { depth: 2, baseThickness: 4, margin: 3 });
+
+    expect(parts.map(({ name, startZ, depth }) => ({ name, startZ, depth }))).toEqual([
+      { name: 'stamp_base', startZ: 0, depth: 4 },
+      { name: 'stamp_relief', startZ: 4, depth: 2 }
+    ]);
+    expect(boundsOf(parts[0])).toMatchObject({ minX: -13, maxX: 13 });
+  });
+
+  test('mirrors the relief about the artwork centre', () => {
+    const [, relief] = generator.generate([rectanglePolygon(0, 0, 10, 10), rectanglePolygon(12, 0, 14, 2)]);
+    const xs = relief.shapes.map(shape => boundsOf({ shapes: [shape] })).map(({ minX, maxX }) => [minX, maxX]);
+
+    expect(xs).toEqual(expect.arrayContaining([[0, 2], [4, 14]]));
+  });
+
+  test('exports the handle upright beside the base', () => {
+    const parts = generator.generate([circlePolygon(0, 0, 10)], { handle: true, handleDiameter: 20, handleHeight: 25 });
+    const handle = parts.find(({ name }) => name === 'stamp_handle');
+
+    expect(handle).toMatchObject({ startZ: 0, depth: 25 });
+    expect(boundsOf(handle)).toMatchObject({ minX: 18, maxX: 38 });
+    parts.forEach(({ name, startZ }) => expect(startZ).toBe(name === 'stamp_relief' ? 4 : 0));
+  });
+});
@@ -0,0 +1,85 @@
+import '../src/setup-dom.js';
+import { SvgNormalizer } from '../src/services/SvgNormalizer.js';
+import { SvgTo3DConverter } from '../src/services/SvgTo3DConverter.js';
+import { handleError } from './helpers/middleware.js';
+import { silenceConsole, svg } from './helpers/svg.js';
+
+// Each level references the previous one twice, doubling the copies
+const doubling = levels => svg([
+  '<defs><g id="l0"><rect width="1" height="1"/></g>',
+  ...Array.from({ length: levels }, (_, i) => `<g id="l${i + 1}"><use href="#l${i}"/><use href="#l${i}" x="1"/></g>`),
+  `</defs><use href="#l${levels}"/>`
+].join(''));
+
+describe('SvgNormalizer', () => {
+  const normalizer = new SvgNormalizer();
+  const parse = markup => new DOMParser().parseFromString(markup, 'image/svg+xml');
+
+  silenceConsole();
+
+  test('leaves SVGs without anything to resolve untouched', () => {
+    const source = svg('<rect width="10" height="10"/>');
+    expect(normalizer.normalize(source).svgData).toBe(source);
+  });
+
+  test('inlines stylesheet rules by specificity, with inline styles and !important on top', () => {
+    const { svgData, report } = normalizer.normalize(svg([
+      '<style>#a { fill: blue } .red { fill: red; stroke: green !important } rect { fill: gray }</style>',
+      '<rect id="a" class="red" width="1" height="1"/>',
+      '<rect class="red" style="fill: pink; stroke: black" width="1" height="1"/>'
+    ].join('')));
+    const [first, second] = parse(svgData).querySelectorAll('rect');
+
+    expect(report.stylesheetRules).toBe(3);
+    expect(first.getAttribute('style')).toBe('fill:blue;stroke:green');
+    expect(second.getAttribute('style')).toBe('fill:pink;stroke:green');
+    expect(parse(svgData).querySelector('style')).toBeNull();
+  });
+
+  test('replaces <use> with a moved copy of its target', () => {
+    const { svgData, report } = normalizer.normalize(svg('<rect id="r" width="1" height="1"/><use href="#r" x="5" y="2" fill="red"/>'));
+    const group = parse(svgData).querySelector('g');
+
+    expect(report.useElements).toBe(1);
+    expect(group.getAttribute('transform')).toBe('translate(5 2)');
+    expect(group.getAttribute('fill')).toBe('red');
+    expect(group.querySelector('rect').hasAttribute('id')).toBe(false);
+  });
+
+  test('maps a <symbol> viewBox onto the <use> size', () => {
+    const { svgData } = normalizer.normalize(svg('<symbol id="s" viewBox="0 0 10 10"><rect width="10" height="10"/></symbol><use href="#s" width="20" height="20"/>'));
+    const doc = parse(svgData);
+
+    expect(doc.querySelector('symbol')).toBeNull();
+    expect(doc.querySelector('g g').getAttribute('transform')).toContain('scale(2 2)');
+  });
+
+  test('reports missing and circular references', () => {
+    const { report } = normalizer.normalize(svg('<use href="#missing"/><g id="loop"><use href="#loop"/></g>'));
+
+    expect(report.unresolved).toEqual([
+      { element: 'use', id: '#missing', reason: 'no element has this id' },
+      { element: 'use', id: '#loop', reason: 'the element references itself' }
+    ]);
+  });
+
+  test('expands nested references within the copy budget', () => {
+    const { svgData } = normalizer.normalize(doubling(8));
+    const drawn = [...parse(svgData).querySelectorAll('rect')].filter(rect => !rect.closest('defs'));
+
+    expect(drawn).toHaveLength(256);
+  });
+
+  test('stops references that expand exponentially', () => {
+    expect(() => normalizer.normalize(doubling(30)))
+      .toThrow('SVG too complex: expanding <use> references would copy more than 20000 elements');
+  });
+
+  test('fails the conversion with 422', async () => {
+    const error = await new SvgTo3DConverter().convertSvgTo3D(doubling(30), { format: 'stl' }).catch(caught => caught);
+    const { status, body } = handleError(error);
+
+    expect(status).toBe(422);
+    expect(body.error).toBe('SVG Too Complex');
+  });
+});
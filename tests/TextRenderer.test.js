@@ -0,0 +1,120 @@
+import '../src/setup-dom.js';
+import { SvgTo3DConverter } from '../src/services/SvgTo3DConverter.js';
+import { TextRenderer } from '../src/services/TextRenderer.js';
+import { validate } from './helpers/middleware.js';
+import { silenceConsole, svg } from './helpers/svg.js';
+
+describe('TextRenderer', () => {
+  const renderer = new TextRenderer();
+  const toPaths = content => new DOMParser().parseFromString(renderer.convertTextToPaths(svg(content)), 'image/svg+xml');
+  const paths = content => toPaths(content).querySelectorAll('path');
+  // Glyph extent along X, read from the absolute path coordinates
+  const xRange = (paths) => {
+    const xs = [...paths]
+      .flatMap(path => [...path.getAttribute('d').matchAll(/(-?[\d.]+) (-?[\d.]+)/g)].map(([, x]) => Number(x)));
+    return { min: Math.min(...xs), max: Math.max(...xs) };
+  };
+
+  silenceConsole();
+
+  describe('convertTextToPaths', () => {
+    test('replaces text with groups of glyph paths that keep fill and classes', () => {
+      const doc = toPaths('<text x="10" y="50" fill="red" class="label" font-size="20">Hi</text>');
+
+      expect(doc.querySelector('text')).toBeNull();
+      const group = doc.querySelector('g');
+      expect(group.getAttribute('fill')).toBe('red');
+      expect(group.getAttribute('class')).toBe('label');
+      expect(group.hasAttribute('x')).toBe(false);
+      expect(group.querySelectorAll('path').length).toBeGreaterThan(0);
+    });
+
+    test('scales glyphs with font-size', () => {
+      const small = xRange(paths('<text x="0" y="50" font-size="10">W</text>'));
+      const large = xRange(paths('<text x="0" y="50" font-size="20">W</text>'));
+      expect(large.max - large.min).toBeCloseTo(2 * (small.max - small.min), 1);
+    });
+
+    test('aligns on text-anchor', () => {
+      const start = xRange(paths('<text x="50" y="50" font-size="20">HH</text>'));
+      const middle = xRange(paths('<text x="50" y="50" font-size="20" text-anchor="middle">HH</text>'));
+      const end = xRange(paths('<text x="50" y="50" font-size="20" text-anchor="end">HH</text>'));
+
+      expect(start.min).toBeGreaterThanOrEqual(50);
+      expect(end.max).toBeLessThanOrEqual(50);
+      expect(start.min - middle.min).toBeCloseTo(middle.min - end.min, 5);
+    });
+
+    test('lays out tspans after the preceding text and keeps their own fill', () => {
+      const doc = toPaths('<text x="0" y="50" font-size="20">A<tspan fill="blue">B</tspan></text>');
+      const [first, second] = doc.querySelectorAll('path');
+
+      expect(second.parentNode.getAttribute('fill')).toBe('blue');
+      expect(xRange([second]).min).toBeGreaterThanOrEqual(xRange([first]).max - 1);
+    });
+
+    test('leaves text on a path alone', () => {
+      const content = '<path id="curve" d="M0 50 H100"/><text><textPath href="#curve">Hi</textPath></text>';
+      expect(renderer.convertTextToPaths(svg(content))).toBe(svg(content));
+    });
+  });
+
+  describe('getFont', () => {
+    test.each([
+      ['Arial, sans-serif', 'normal', 'Helvetiker'],
+      ['"Times New Roman", serif', 'normal', 'Droid Serif'],
+      ['monospace', 'bold', 'Droid Sans Mono'],
+      ['Unknown Font', 'normal', 'Helvetiker']
+    ])('maps %s (%s) to %s', (family, weight, familyName) => {
+      expect(renderer.getFont(family, weight).familyName).toBe(familyName);
+    });
+
+    test('picks the bold face for bold weights', () => {
+      expect(renderer.getFont('helvetiker', '700')).toBe(renderer.getFont('helvetiker', 'bold'));
+      expect(renderer.getFont('helvetiker', '700')).not.toBe(renderer.getFont('helvetiker', 'normal'));
+    });
+  });
+
+  test('resolves em, % and pt font sizes against ancestors', () => {
+    const doc = new DOMParser().parseFromString(svg('<g font-size="20"><text font-size="1.5em"><tspan font-size="50%">A</tspan></text><text font-size="12pt"/></g>'), 'image/svg+xml');
+    const [first, second] = doc.querySelectorAll('text');
+
+    expect(renderer.getFontSize(first)).toBe(30);
+    expect(renderer.getFontSize(first.querySelector('tspan'))).toBe(15);
+    expect(renderer.getFontSize(second)).toBe(16);
+  });
+
+  describe('createTextSvg', () => {
+    test('writes one text element per line with the alignment and color', () => {
+      const doc = new DOMParser().parseFromString(renderer.createTextSvg('Ada\nLovelace', { textAlign: 'left', color: '#00ff00' }), 'image/svg+xml');
+      const lines = doc.querySelectorAll('text');
+
+      expect([...lines].map(line => line.textContent)).toEqual(['Ada', 'Lovelace']);
+      expect(Number(lines[1].getAttribute('y')) - Number(lines[0].getAttribute('y'))).toBe(120);
+      expect(doc.documentElement.getAttribute('viewBox')).toMatch(/^0 0 /);
+      expect(doc.documentElement.outerHTML).toContain('#00ff00');
+    });
+
+    test('escapes markup in the text', () => {
+      expect(renderer.createTextSvg('<b>&</b>')).toContain('&lt;b&gt;&amp;&lt;/b&gt;');
+    });
+
+    test('converts to a model', async () => {
+      const converter = new SvgTo3DConverter();
+      const { statistics } = await converter.convertSvgTo3D(renderer.createTextSvg('HI'), { format: 'stl', size: 50 });
+      expect(Math.max(statistics.boundingBox.size.x, statistics.boundingBox.size.y)).toBeCloseTo(50, 1);
+    });
+  });
+
+  test.each([
+    [{ text: '   ' }, 'Invalid Text Parameter'],
+    [{ text: 'x'.repeat(501) }, 'Invalid Text Parameter'],
+    [{ font: 'comic' }, 'Invalid Font Parameter'],
+    [{ fontWeight: 'light' }, 'Invalid Font Weight Parameter'],
+    [{ textAlign: 'justify' }, 'Invalid Text Align Parameter'],
+    [{ lineSpacing: '5' }, 'Invalid Line Spacing Parameter'],
+    [{ defaultColor: 'red" onload="alert(1)' }, 'Invalid Default Color Parameter']
+  ])('validates %j', (body, error) => {
+    expect(validate(body)).toMatchObject({ passed: false, status: 400, body: { error } });
+  });
+});
@@ -0,0 +1,45 @@
+import JSZip from 'jszip';
+import { Group } from 'three';
+import { ThreeMFExporter } from '../src/services/exporters/ThreeMFExporter.js';
+import { countMatches, createModel } from './helpers/models.js';
+
+describe('ThreeMFExporter', () => {
+  const exporter = new ThreeMFExporter();
+
+  test('packages the content types, relationships and model part', async () => {
+    const zip = await JSZip.loadAsync(await exporter.parse(createModel()));
+    expect(Object.keys(zip.files)).toEqual(expect.arrayContaining(['[Content_Types].xml', '_rels/.rels', '3D/3dmodel.model']));
+    expect(await zip.file('_rels/.rels').async('string')).toContain('Target="/3D/3dmodel.model"');
+  });
+
+  test('writes one object per color, each referencing its base material', async () => {
+    const zip = await JSZip.loadAsync(await exporter.parse(createModel()));
+    const xml = await zip.file('3D/3dmodel.model').async('string');
+
+    expect(xml).toContain('<model unit="millimeter"');
+    expect(xml).toContain('<base name="Color 1 (#FF0000)" displaycolor="#FF0000FF"/>');
+    expect(xml).toContain('<base name="Color 2 (#0000FF)" displaycolor="#0000FF80"/>');
+    expect(xml).toContain('<object id="2" type="model" name="Color #ff0000" pid="1" pindex="0">');
+    expect(xml).toContain('<object id="3" type="model" name="Color #0000ff" pid="1" pindex="1">');
+    expect(xml).toContain('<item objectid="2"/>');
+    expect(xml).toContain('<item objectid="3"/>');
+    expect(xml).not.toContain('colorgroup');
+  });
+
+  test('welds each cube to 8 vertices and 12 triangles', async () => {
+    const zip = await JSZip.loadAsync(await exporter.parse(createModel()));
+    const xml = await zip.file('3D/3dmodel.model').async('string');
+
+    expect(countMatches(xml, /<vertex /g)).toBe(16);
+    expect(countMatches(xml, /<triangle /g)).toBe(24);
+  });
+
+  test('declares the requested unit', async () => {
+    const zip = await JSZip.loadAsync(await exporter.parse(createModel(), { unit: 'inch' }));
+    expect(await zip.file('3D/3dmodel.model').async('string')).toContain('<model unit="inch"');
+  });
+
+  test('rejects a model without geometry', async () => {
+    await expect(exporter.parse(new Group())).rejects.toThrow('3MF export failed - model contains no geometry');
+  });
+});
@@ -0,0 +1,85 @@
+import { png } from './helpers/images.js';
+import { upload, useServer } from './helpers/server.js';
+import { silenceConsole, svg } from './helpers/svg.js';
+
+const MM = 'viewBox="0 0 100 100" width="100mm" height="100mm"';
+
+describe('POST /analyze', () => {
+  silenceConsole();
+  const { url } = useServer();
+
+  const analyze = async (body) => {
+    const response = await fetch(url('/analyze'), {
+      method: 'POST',
+      ...(body instanceof FormData ? { body } : { headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) })
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  test('describes each path with its bounds in user units and mm', async () => {
+    const { status, body } = await analyze({
+      svgData: svg('<rect id="box" class="logo" x="10" y="20" width="20" height="10" fill="red" fill-opacity="0.5"/><circle cx="70" cy="50" r="10" stroke="blue"/>', MM),
+      scaleMode: 'exact'
+    });
+
+    expect(status).toBe(200);
+    expect(body).toMatchObject({ success: true, pathCount: 2, millimetresPerUnit: 1 });
+    expect(body.paths[0]).toMatchObject({
+      index: 0,
+      element: 'rect',
+      id: 'box',
+      class: 'logo',
+      fill: '#ff0000',
+      fillOpacity: 0.5,
+      shapeCount: 1,
+      holeCount: 0,
+      area: 200,
+      bounds: { minX: 10, minY: 20, maxX: 30, maxY: 30, width: 20, height: 10 },
+      skip: false
+    });
+    expect(body.paths[1]).toMatchObject({ element: 'circle', stroke: '#0000ff' });
+    expect(body.paths[1].boundsMm).toMatchObject({ width: 20, height: 20 });
+  });
+
+  test('places mm bounds centred on the artwork with Y up', async () => {
+    const { body } = await analyze({ svgData: svg('<rect x="10" y="20" width="20" height="10"/><rect x="50" y="60" width="10" height="10"/>', MM), scaleMode: 'exact' });
+
+    expect(body.size).toEqual({ width: 50, height: 50 });
+    expect(body.paths[0].boundsMm).toEqual({ minX: -25, minY: 15, maxX: -5, maxY: 25, width: 20, height: 10 });
+    expect(body.paths[1].boundsMm).toEqual({ minX: 15, minY: -25, maxX: 25, maxY: -15, width: 10, height: 10 });
+  });
+
+  test('sums the palette per color and unions overlaps', async () => {
+    const { body } = await analyze({
+      svgData: svg('<rect width="10" height="10" fill="red"/><rect x="5" width="10" height="10" fill="#f00"/><rect y="50" width="10" height="10" fill="blue"/>', MM),
+      scaleMode: 'exact'
+    });
+
+    expect(body.palette).toEqual(expect.arrayContaining([
+      { color: '#ff0000', pathCount: 2, shapeCount: 1, area: 150 },
+      { color: '#0000ff', pathCount: 1, shapeCount: 1, area: 100 }
+    ]));
+  });
+
+  test('reports paths dropped below minFeatureArea with null bounds', async () => {
+    const { body } = await analyze({ svgData: svg('<rect width="10" height="10"/><rect x="50" width="0.1" height="0.1"/>', MM), scaleMode: 'exact' });
+
+    expect(body.paths[1]).toMatchObject({ shapeCount: 0, bounds: null, boundsMm: null });
+    expect(body.discardedShapes).toMatchObject({ total: 1, belowMinFeatureArea: 1 });
+  });
+
+  test('traces uploaded bitmaps first', async () => {
+    const image = await png(40, 40, 0xffffffff, [{ x: 10, y: 10, width: 20, height: 20, color: 0x000000ff }]);
+    const { status, body } = await analyze(upload(image, 'image/png'));
+
+    expect(status).toBe(200);
+    expect(body.paths.map(({ element, fill }) => [element, fill])).toEqual([['rect', '#ffffff'], ['path', '#000000']]);
+    expect(body.paths[1].bounds).toMatchObject({ width: 20, height: 20 });
+  });
+
+  test('asks for input when there is none', async () => {
+    const { status, body } = await analyze({});
+    expect(status).toBe(400);
+    expect(body.error).toContain('No SVG data provided');
+  });
+});
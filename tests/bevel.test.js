@@ -0,0 +1,68 @@
+import '../src/setup-dom.js';
+import { SvgTo3DConverter } from '../src/services/SvgTo3DConverter.js';
+import { handleError, validate } from './helpers/middleware.js';
+import { silenceConsole, svg } from './helpers/svg.js';
+
+const MM = 'viewBox="0 0 100 100" width="100mm" height="100mm"';
+
+describe('bevels', () => {
+  const converter = new SvgTo3DConverter();
+  const convert = (svgData, options = {}) => converter.convertSvgTo3D(svgData, { format: 'stl', bevelEnabled: true, bevelThickness: 0.2, ...options });
+
+  silenceConsole();
+
+  test('grow the artwork outline by the bevel size in mm', async () => {
+    const { statistics } = await convert(svg('<rect width="10" height="0.5"/>'), { size: 10 });
+    expect(statistics.boundingBox.size).toEqual({ x: 10.6, y: 1.1, z: 2 });
+  });
+
+  test('keep the artwork centred', async () => {
+    const { statistics } = await convert(svg('<rect width="10" height="0.5"/>'), { size: 10, origin: 'center' });
+    expect(statistics.boundingBox.min).toMatchObject({ x: -5.3, y: -0.55 });
+  });
+
+  test('keep the total height at the extrusion depth', async () => {
+    const { statistics } = await convert(svg('<rect width="10" height="10"/>'), { depth: 3 });
+    expect(statistics.boundingBox.size.z).toBe(3);
+  });
+
+  test('reject a bevel thicker than half the depth', async () => {
+    await expect(convert(svg('<rect width="10" height="10"/>'), { depth: 1, bevelThickness: 0.5 }))
+      .rejects.toThrow('Bevel too large: bevelThickness (0.5mm) must be less than half the extrusion depth (1mm)');
+  });
+
+  test('reject an inward bevel wider than a thin feature', async () => {
+    await expect(convert(svg('<rect width="10" height="0.5"/>', MM), { scaleMode: 'exact', bevelOffset: -0.3 }))
+      .rejects.toThrow('makes shape 0 self-intersect');
+  });
+
+  test('reject an outward bevel wider than a slot', async () => {
+    await expect(convert(svg('<path d="M0 0 H10 V10 H5.1 V2 H4.9 V10 H0 Z"/>', MM), { scaleMode: 'exact' }))
+      .rejects.toThrow('makes shape 0 self-intersect');
+  });
+
+  test('reject an outward bevel that grows parts of one color into each other', async () => {
+    await expect(convert(svg('<rect width="10" height="10"/><rect x="10.4" width="10" height="10"/>', MM), { scaleMode: 'exact' }))
+      .rejects.toThrow('makes shapes 0 and 1 grow into each other');
+  });
+
+  test('allow parts of different colors or further apart than the bevel', async () => {
+    await expect(convert(svg('<rect width="10" height="10"/><rect x="10.4" width="10" height="10" fill="#f00"/>', MM), { scaleMode: 'exact' })).resolves.toBeDefined();
+    await expect(convert(svg('<rect width="10" height="10"/><rect x="11" width="10" height="10"/>', MM), { scaleMode: 'exact' })).resolves.toBeDefined();
+  });
+
+  test('map Bevel too large to 422', () => {
+    const { status, body } = handleError(new Error('Failed to convert SVG to 3D: Bevel too large for the thinnest feature'));
+    expect(status).toBe(422);
+    expect(body.error).toBe('Invalid Bevel Settings');
+  });
+
+  test.each([
+    [{ bevelThickness: '0.01' }, 'Invalid Bevel Thickness Parameter'],
+    [{ bevelSize: '6' }, 'Invalid Bevel Size Parameter'],
+    [{ bevelOffset: '-6' }, 'Invalid Bevel Offset Parameter'],
+    [{ bevelSegments: '11' }, 'Invalid Bevel Segments Parameter']
+  ])('validate %j', (body, error) => {
+    expect(validate(body)).toMatchObject({ passed: false, status: 400, body: { error } });
+  });
+});
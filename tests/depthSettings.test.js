@@ -0,0 +1,84 @@
+import '../src/setup-dom.js';
+import { SvgTo3DConverter } from '../src/services/SvgTo3DConverter.js';
+import { getElementDepthSettings, getLayerSettings } from '../src/utils/svgUtils.js';
+import { silenceConsole, svg } from './helpers/svg.js';
+
+const INKSCAPE = 'xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape" viewBox="0 0 100 100" width="100mm" height="100mm"';
+
+describe('depth settings in the SVG', () => {
+  const converter = new SvgTo3DConverter();
+  const parse = content => new DOMParser().parseFromString(svg(content, INKSCAPE), 'image/svg+xml');
+  const layer = (label, content = '<rect width="10" height="10"/>', attributes = '') => `<g inkscape:groupmode="layer" inkscape:label="${label}" ${attributes}>${content}</g>`;
+
+  silenceConsole();
+
+  describe('getElementDepthSettings', () => {
+    test('inherits each setting from the nearest ancestor that sets it', () => {
+      const doc = parse('<g data-depth="4" data-z="1"><g data-depth="2"><rect id="a"/></g></g>');
+      expect(getElementDepthSettings(doc.getElementById('a'))).toEqual({ depth: 2, startZ: 1, skip: false, layer: null });
+    });
+
+    test('brings back an element with data-skip="false" inside a skipped group', () => {
+      const doc = parse('<g data-skip=""><rect id="a"/><rect id="b" data-skip="false"/></g>');
+      expect(getElementDepthSettings(doc.getElementById('a')).skip).toBe(true);
+      expect(getElementDepthSettings(doc.getElementById('b')).skip).toBe(false);
+    });
+
+    test('ignores non-positive depths and negative offsets', () => {
+      const doc = parse('<g data-depth="3"><rect id="a" data-depth="0" data-z="-1"/></g>');
+      expect(getElementDepthSettings(doc.getElementById('a'))).toMatchObject({ depth: 3, startZ: undefined });
+    });
+
+    test('reads layer labels below the attributes of the layer and its content', () => {
+      const doc = parse(layer('Relief depth=3 z=2', '<rect id="a"/><rect id="b" data-depth="5"/>', 'id="relief"'));
+
+      const settings = getElementDepthSettings(doc.getElementById('a'));
+
+      expect(settings).toMatchObject({ depth: 3, startZ: 2 });
+      expect(settings.layer).toBe(doc.getElementById('relief'));
+      expect(getElementDepthSettings(doc.getElementById('b')).depth).toBe(5);
+    });
+  });
+
+  test.each([
+    ['Relief depth=3 z=2', { name: 'Relief depth=3 z=2', depth: '3', startZ: '2', skip: undefined, hidden: false }],
+    ['Guides [skip]', { name: 'Guides [skip]', depth: undefined, startZ: undefined, skip: true, hidden: false }],
+    ['Skipper', { name: 'Skipper', depth: undefined, startZ: undefined, skip: undefined, hidden: false }]
+  ])('getLayerSettings reads %s', (label, expected) => {
+    expect(getLayerSettings(parse(layer(label)).querySelector('g'))).toEqual(expected);
+  });
+
+  test('skips hidden layers', () => {
+    expect(getLayerSettings(parse(layer('Sketch', '', 'style="display:none"')).querySelector('g'))).toMatchObject({ skip: true, hidden: true });
+  });
+
+  test('extrudes each shape at its own depth and start height', async () => {
+    const { statistics } = await converter.convertSvgTo3D(
+      svg('<rect width="10" height="10" data-depth="5" data-z="1"/><rect x="20" width="10" height="10"/>', INKSCAPE),
+      { format: 'stl', scaleMode: 'exact', depth: 2 }
+    );
+    expect(statistics.boundingBox.size.z).toBe(6);
+    expect(statistics.volume).toBeCloseTo(10 * 10 * 5 + 10 * 10 * 2, 0);
+  });
+
+  test('leaves data-skip elements out of the model', async () => {
+    const { statistics } = await converter.convertSvgTo3D(
+      svg('<rect width="10" height="10"/><rect x="50" width="40" height="40" data-skip=""/>', INKSCAPE),
+      { format: 'stl', scaleMode: 'exact', depth: 2 }
+    );
+    expect(statistics.boundingBox.size).toMatchObject({ x: 10, y: 10 });
+  });
+
+  test('echoes the Inkscape layers with their settings and counts', async () => {
+    const { layers } = await converter.convertSvgTo3D(
+      svg(layer('Base', '<rect width="10" height="10"/><rect x="20" width="10" height="10"/>', 'id="base"') + layer('Relief depth=4 z=2') + layer('Guides [skip]'), INKSCAPE),
+      { format: 'stl', scaleMode: 'exact' }
+    );
+
+    expect(layers).toEqual([
+      { name: 'Base', id: 'base', depth: null, startZ: null, skip: false, hidden: false, pathCount: 2, shapeCount: 2 },
+      { name: 'Relief depth=4 z=2', id: null, depth: 4, startZ: 2, skip: false, hidden: false, pathCount: 1, shapeCount: 1 },
+      { name: 'Guides [skip]', id: null, depth: null, startZ: null, skip: true, hidden: false, pathCount: 1, shapeCount: 0 }
+    ]);
+  });
+});
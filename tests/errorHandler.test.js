@@ -0,0 +1,45 @@
+import { handleError } from './helpers/middleware.js';
+
+describe('errorHandler', () => {
+  test.each([
+    ['Failed to convert SVG to 3D: Nothing to extract from SVG: the SVG contains no paths or basic shapes', 422, 'No Printable Content'],
+    ['Failed to convert SVG to 3D: something broke', 422, 'Conversion Failed'],
+    ['Failed to analyze SVG: something broke', 422, 'Analysis Failed'],
+    ['Failed to convert SVG to 3D: No valid shapes found in SVG', 400, 'Invalid SVG Content'],
+    ['Invalid file type. Only SVG files are allowed.', 400, 'Invalid File Type'],
+    ['Unsupported format: ply', 400, 'Unsupported Format'],
+    ['No SVG data provided', 400, 'Missing SVG Data'],
+    ['Something unexpected', 500, 'Internal Server Error']
+  ])('maps "%s" to %i', (message, status, title) => {
+    const { status: actualStatus, body } = handleError(new Error(message));
+
+    expect(actualStatus).toBe(status);
+    expect(body.error).toBe(title);
+    expect(body.message).toBe(message);
+  });
+
+  test('maps validation and upload errors to 400', () => {
+    const validation = Object.assign(new Error('depth is required'), { name: 'ValidationError' });
+    const upload = Object.assign(new Error('File too large'), { name: 'MulterError', code: 'LIMIT_FILE_SIZE' });
+
+    expect(handleError(validation)).toMatchObject({ status: 400, body: { error: 'Validation Error', message: 'depth is required' } });
+    expect(handleError(upload)).toMatchObject({ status: 400, body: { error: 'File Upload Error', message: 'File size too large. Maximum size is 10MB.' } });
+  });
+
+  test('passes the strict-mode reason and skipped elements through', () => {
+    const error = Object.assign(new Error('Failed to convert SVG to 3D: Nothing to extract from SVG: the SVG only contains unsupported elements (<image>)'), {
+      reason: 'unsupportedElements',
+      skippedElements: [{ element: 'image', count: 1 }]
+    });
+    const { status, body } = handleError(error);
+
+    expect(status).toBe(422);
+    expect(body).toMatchObject({ reason: 'unsupportedElements', skippedElements: [{ element: 'image', count: 1 }], path: '/convert', method: 'POST' });
+  });
+
+  test('leaves out the reason when there is none', () => {
+    const { body } = handleError(new Error('Failed to convert SVG to 3D: something broke'));
+    expect(body).not.toHaveProperty('reason');
+    expect(body).not.toHaveProperty('skippedElements');
+  });
+});
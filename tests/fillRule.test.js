@@ -0,0 +1,68 @@
+import '../src/setup-dom.js';
+import { SvgTo3DConverter } from '../src/services/SvgTo3DConverter.js';
+import { booleanPolygons, getClipperScale, polygonArea, rectanglePolygon } from '../src/utils/polygonUtils.js';
+import { validate } from './helpers/middleware.js';
+import { silenceConsole, svg } from './helpers/svg.js';
+
+const MM = 'viewBox="0 0 100 100" width="100mm" height="100mm"';
+const totalArea = contours => contours.reduce((sum, points) => sum + polygonArea(points), 0);
+
+// A 10mm square around a 6mm one, wound the same way or against it
+const SAME_WINDING = 'M0 0 H10 V10 H0 Z M2 2 H8 V8 H2 Z';
+const OPPOSITE_WINDING = 'M0 0 H10 V10 H0 Z M2 2 V8 H8 V2 Z';
+const SOLID = 10 * 10 * 2;
+const RING = (10 * 10 - 6 * 6) * 2;
+
+describe('fill rules', () => {
+  const converter = new SvgTo3DConverter();
+  const volumeOf = async (content, options = {}) => (await converter.convertSvgTo3D(svg(content, MM), {
+    format: 'stl', scaleMode: 'exact', depth: 2, ...options
+  })).statistics.volume;
+
+  silenceConsole();
+
+  test.each([
+    ['nonzero', SAME_WINDING, SOLID],
+    ['evenodd', SAME_WINDING, RING],
+    ['nonzero', OPPOSITE_WINDING, RING],
+    ['evenodd', OPPOSITE_WINDING, RING]
+  ])('fill-rule %s on %s', async (rule, d, volume) => {
+    expect(await volumeOf(`<path fill-rule="${rule}" d="${d}"/>`)).toBeCloseTo(volume, 1);
+  });
+
+  test('defaults to nonzero like SVG', async () => {
+    expect(await volumeOf(`<path d="${SAME_WINDING}"/>`)).toBeCloseTo(SOLID, 1);
+  });
+
+  test('reads fill-rule from CSS', async () => {
+    expect(await volumeOf(`<path style="fill-rule: evenodd" d="${SAME_WINDING}"/>`)).toBeCloseTo(RING, 1);
+  });
+
+  test('lets fillRule override the file', async () => {
+    expect(await volumeOf(`<path fill-rule="nonzero" d="${SAME_WINDING}"/>`, { fillRule: 'evenodd' })).toBeCloseTo(RING, 1);
+    expect(await volumeOf(`<path fill-rule="evenodd" d="${SAME_WINDING}"/>`, { fillRule: 'nonzero' })).toBeCloseTo(SOLID, 1);
+  });
+
+  test('keeps an island inside an evenodd hole', async () => {
+    const d = `${SAME_WINDING} M4 4 H6 V6 H4 Z`;
+    expect(await volumeOf(`<path fill-rule="evenodd" d="${d}"/>`)).toBeCloseTo(RING + 2 * 2 * 2, 1);
+  });
+
+  test('resolves nested contours with the fill rule', () => {
+    const outer = rectanglePolygon(0, 0, 10, 10);
+    const inner = rectanglePolygon(2, 2, 8, 8);
+    expect(totalArea(booleanPolygons([outer, inner], [], 'union', 'nonzero'))).toBeCloseTo(100);
+    expect(totalArea(booleanPolygons([outer, inner], [], 'union', 'evenodd'))).toBeCloseTo(64);
+  });
+
+  test('keeps sub-unit detail with a scale from getClipperScale', () => {
+    const tiny = [rectanglePolygon(0, 0, 0.01, 0.01)];
+    const scale = getClipperScale(tiny);
+    expect(totalArea(booleanPolygons(tiny, [], 'union', 'nonzero', scale))).toBeCloseTo(1e-4, 6);
+  });
+
+  test('validates fillRule', () => {
+    expect(validate({ fillRule: 'winding' })).toMatchObject({ passed: false, status: 400, body: { error: 'Invalid Fill Rule Parameter' } });
+    expect(validate({ fillRule: 'evenodd' }).passed).toBe(true);
+  });
+});
@@ -0,0 +1,19 @@
+import Jimp from 'jimp';
+
+/**
+ * Encode a PNG filled with a background color and painted with rectangles
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {number} background - RGBA color as a 32-bit integer, e.g. 0xffffffff
+ * @param {Array<Object>} rects - Rectangles as { x, y, width, height, color }
+ * @returns {Promise<Buffer>} - PNG data
+ */
+export const png = async (width, height, background, rects = []) => {
+  const image = new Jimp(width, height, background);
+
+  rects.forEach(({ x, y, width: w, height: h, color }) => {
+    image.scan(x, y, w, h, (px, py) => image.setPixelColor(color, px, py));
+  });
+
+  return image.getBufferAsync(Jimp.MIME_PNG);
+};
@@ -0,0 +1,45 @@
+import { jest } from '@jest/globals';
+import { validateSvg } from '../../src/middleware/validateSvg.js';
+import { errorHandler } from '../../src/middleware/errorHandler.js';
+
+export const SVG = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 10 10"><rect width="10" height="10"/></svg>';
+
+const createResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+/**
+ * Run validateSvg on a request body with a valid SVG
+ * @param {Object} body - Request fields
+ * @returns {Object} - { passed: whether next() was called without an error, status, body }
+ */
+export const validate = (body) => {
+  const res = createResponse();
+  const next = jest.fn();
+
+  validateSvg({ body: { svgData: SVG, ...body } }, res, next);
+
+  return {
+    passed: next.mock.calls.length === 1 && next.mock.calls[0].length === 0,
+    status: res.status.mock.calls[0]?.[0],
+    body: res.json.mock.calls[0]?.[0]
+  };
+};
+
+/**
+ * Run errorHandler on an error
+ * @param {Error} error - Error thrown by a route
+ * @returns {Object} - { status, body }
+ */
+export const handleError = (error) => {
+  const res = createResponse();
+  const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  errorHandler(error, { originalUrl: '/convert', method: 'POST' }, res, () => {});
+  spy.mockRestore();
+
+  return { status: res.status.mock.calls[0][0], body: res.json.mock.calls[0][0] };
+};
@@ -0,0 +1,18 @@
+import { BoxGeometry, Group, Mesh, MeshStandardMaterial } from 'three';
+
+/**
+ * Two 10mm cubes 20mm apart: a red one named 'red part' and a half-transparent blue one
+ * @returns {Group} - Model group in millimetres
+ */
+export const createModel = () => {
+  const group = new Group();
+  const red = new Mesh(new BoxGeometry(10, 10, 10), new MeshStandardMaterial({ color: '#ff0000' }));
+  const blue = new Mesh(new BoxGeometry(10, 10, 10), new MeshStandardMaterial({ color: '#0000ff', opacity: 0.5, transparent: true }));
+  red.name = 'red part';
+  blue.position.x = 20;
+  group.add(red, blue);
+  return group;
+};
+
+// Number of matches of a global pattern in an exported text file
+export const countMatches = (text, pattern) => (text.match(pattern) || []).length;
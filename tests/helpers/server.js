@@ -0,0 +1,48 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+
+/**
+ * Start the API server on a free port for the tests of a describe block
+ * Its maintenance timers are unreferenced so they do not keep Jest running, and the
+ * server is closed after the block.
+ * @returns {Object} - { url(path) } resolving paths against the running server
+ */
+export const useServer = () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    const { listen } = express.application;
+    const realSetInterval = global.setInterval;
+
+    jest.spyOn(global, 'setInterval').mockImplementation((...args) => realSetInterval(...args).unref());
+    jest.spyOn(express.application, 'listen').mockImplementation(function listenOnFreePort(port, callback) {
+      server = listen.call(this, 0, callback);
+      return server;
+    });
+
+    await import('../../src/server.js');
+    if (!server.listening) await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  return { url: path => `${baseUrl}${path}` };
+};
+
+/**
+ * Build a multipart body with an uploaded file and form fields
+ * @param {Buffer} buffer - File content
+ * @param {string} type - MIME type of the file
+ * @param {Object} fields - Other form fields
+ * @returns {FormData} - Body for fetch
+ */
+export const upload = (buffer, type, fields = {}) => {
+  const form = new FormData();
+  form.append('file', new Blob([buffer], { type }), type === 'image/svg+xml' ? 'upload.svg' : 'upload.png');
+  Object.entries(fields).forEach(([key, value]) => form.append(key, String(value)));
+  return form;
+};
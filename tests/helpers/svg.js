@@ -0,0 +1,23 @@
+import { jest } from '@jest/globals';
+
+/**
+ * Wrap markup in an SVG root
+ * @param {string} content - Child elements
+ * @param {string} attributes - Root attributes
+ * @returns {string} - SVG document
+ */
+export const svg = (content, attributes = 'viewBox="0 0 100 100"') => `<svg xmlns="http://www.w3.org/2000/svg" ${attributes}>${content}</svg>`;
+
+/**
+ * Mute the converter's progress logging for the tests of a describe block
+ */
+export const silenceConsole = () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+};
@@ -0,0 +1,50 @@
+import '../src/setup-dom.js';
+import { SvgTo3DConverter } from '../src/services/SvgTo3DConverter.js';
+import { booleanPolygons, polygonArea, rectanglePolygon } from '../src/utils/polygonUtils.js';
+import { silenceConsole, svg } from './helpers/svg.js';
+
+const MM = 'viewBox="0 0 100 100" width="100mm" height="100mm"';
+const OVERLAPPING = '<rect width="10" height="10"/><rect x="5" y="5" width="10" height="10"/>';
+
+describe('merging shapes of the same color', () => {
+  const converter = new SvgTo3DConverter();
+  const convert = (content, options = {}) => converter.convertSvgTo3D(svg(content, MM), { format: 'stl', scaleMode: 'exact', ...options });
+  const merge = content => converter.mergeShapesByColor(converter.createShapesFromSvg(svg(content, MM)).shapes, { curveSegments: 32 });
+
+  silenceConsole();
+
+  test('unions overlapping contours into one', () => {
+    const union = booleanPolygons([rectanglePolygon(0, 0, 10, 10), rectanglePolygon(5, 0, 15, 10)], [], 'union');
+    expect(union).toHaveLength(1);
+    expect(polygonArea(union[0])).toBeCloseTo(150);
+  });
+
+  test('turns overlapping paths into one closed, manifold solid', async () => {
+    const { report, statistics } = await convert(OVERLAPPING);
+
+    expect(report).toMatchObject({ meshCount: 1, boundaryEdges: 0, nonManifoldEdges: 0 });
+    expect(statistics.volume).toBeCloseTo(175 * 2, 1);
+  });
+
+  test('keeps the raw meshes with mergeShapes=false', async () => {
+    const { report } = await convert(OVERLAPPING, { mergeShapes: false });
+    expect(report.meshCount).toBe(2);
+  });
+
+  test('keeps colors apart', () => {
+    const merged = merge('<rect width="10" height="10" fill="#f00"/><rect x="5" width="10" height="10" fill="#00f"/>');
+    expect(merged.map(({ color }) => `#${color.getHexString()}`)).toEqual(['#ff0000', '#0000ff']);
+  });
+
+  test('keeps the hole enclosed by overlapping paths', () => {
+    const frame = '<rect width="30" height="10"/><rect width="10" height="30"/><rect y="20" width="30" height="10"/><rect x="20" width="10" height="30"/>';
+    const merged = merge(frame);
+
+    expect(merged).toHaveLength(1);
+    expect(merged[0].shape.holes).toHaveLength(1);
+  });
+
+  test('keeps separate parts of one color separate', () => {
+    expect(merge('<rect width="10" height="10"/><rect x="20" width="10" height="10"/>')).toHaveLength(2);
+  });
+});
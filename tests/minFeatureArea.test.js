@@ -0,0 +1,44 @@
+import '../src/setup-dom.js';
+import { SvgTo3DConverter } from '../src/services/SvgTo3DConverter.js';
+import { validate } from './helpers/middleware.js';
+import { silenceConsole, svg } from './helpers/svg.js';
+
+// A 0.2-unit speck next to the artwork: 0.04mm² at size 100, 0.16mm² at size 200
+const SPECK = svg('<rect width="100" height="100" fill="#f00"/><rect x="10" y="10" width="0.2" height="0.2"/>');
+
+// A 10-unit square frame 0.05 units wide: 100 units² across, but only 1.99 units² of material
+const FRAME = svg('<rect width="100" height="100" fill="#f00"/><path fill-rule="evenodd" d="M10 10 H20 V20 H10 Z M10.05 10.05 H19.95 V19.95 H10.05 Z"/>');
+
+describe('minFeatureArea', () => {
+  const converter = new SvgTo3DConverter();
+  const parse = (svgData, options) => converter.createShapesFromSvg(svgData, { size: 100, ...options });
+
+  silenceConsole();
+
+  test('drops shapes smaller than 0.05mm² by default and counts them', () => {
+    const { shapes, discarded } = parse(SPECK);
+
+    expect(shapes).toHaveLength(1);
+    expect(discarded).toMatchObject({ total: 1, belowMinFeatureArea: 1 });
+  });
+
+  test('measures the area in the final model', () => {
+    expect(parse(SPECK, { size: 200 }).shapes).toHaveLength(2);
+  });
+
+  test('takes the threshold in mm²', () => {
+    expect(parse(SPECK, { minFeatureArea: 0.03 }).shapes).toHaveLength(2);
+    expect(parse(SPECK, { minFeatureArea: 0 }).shapes).toHaveLength(2);
+    expect(parse(SPECK, { size: 200, minFeatureArea: 0.2 }).shapes).toHaveLength(1);
+  });
+
+  test('subtracts holes from the area', () => {
+    expect(parse(FRAME, { minFeatureArea: 1.9 }).shapes).toHaveLength(2);
+    expect(parse(FRAME, { minFeatureArea: 2 }).discarded.belowMinFeatureArea).toBe(1);
+  });
+
+  test('validates minFeatureArea', () => {
+    expect(validate({ minFeatureArea: '101' })).toMatchObject({ passed: false, status: 400, body: { error: 'Invalid Min Feature Area Parameter' } });
+    expect(validate({ minFeatureArea: '0' }).passed).toBe(true);
+  });
+});
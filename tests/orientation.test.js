@@ -0,0 +1,95 @@
+import '../src/setup-dom.js';
+import { Box3, BoxGeometry, Group, Mesh, Vector3 } from 'three';
+import { SvgTo3DConverter } from '../src/services/SvgTo3DConverter.js';
+import { validate } from './helpers/middleware.js';
+import { silenceConsole, svg } from './helpers/svg.js';
+
+describe('orientModel', () => {
+  const converter = new SvgTo3DConverter();
+
+  // A 20 x 10 x 4mm block in print orientation, off centre
+  const createModel = () => {
+    const mesh = new Mesh(new BoxGeometry(20, 10, 4));
+    mesh.position.set(15, 10, 2);
+    const model = new Group();
+    model.add(mesh);
+    return model;
+  };
+  const orient = (format, options) => {
+    const { group, transform } = converter.orientModel(createModel(), format, options);
+    const box = new Box3().setFromObject(group, true);
+    const round = vector => vector.toArray().map(value => Number(value.toFixed(6)) + 0);
+    return { min: round(box.min), max: round(box.max), transform };
+  };
+
+  silenceConsole();
+
+  test('puts STL models on the build plate, centred, Z up', () => {
+    const { min, max, transform } = orient('stl');
+
+    expect(min).toEqual([-10, -5, 0]);
+    expect(max).toEqual([10, 5, 4]);
+    expect(transform).toMatchObject({ upAxis: 'z', origin: 'buildPlate', mirror: [], rotateZ: 0, translation: [-15, -10, 0] });
+  });
+
+  test('centres glTF models with Y up and the print front facing +Z', () => {
+    const { min, max, transform } = orient('gltf');
+
+    expect(min).toEqual([-10, -2, -5]);
+    expect(max).toEqual([10, 2, 5]);
+    expect(transform).toMatchObject({ upAxis: 'y', origin: 'center' });
+  });
+
+  test('rests Y-up models on the plate with origin=buildPlate', () => {
+    expect(orient('gltf', { origin: 'buildPlate' }).min).toEqual([-10, 0, -5]);
+  });
+
+  test('moves the lowest corner to the origin with origin=bottomLeft', () => {
+    const { min, max } = orient('stl', { origin: 'bottomLeft' });
+    expect(min).toEqual([0, 0, 0]);
+    expect(max).toEqual([20, 10, 4]);
+  });
+
+  test('rotates counter-clockwise about Z before placing the model', () => {
+    const { min, max, transform } = orient('stl', { rotateZ: 90 });
+
+    expect(min).toEqual([-5, -10, 0]);
+    expect(max).toEqual([5, 10, 4]);
+    expect(transform.matrix.slice(0, 2)).toEqual([0, 1]);
+  });
+
+  test('mirrors along the requested axes and lists them sorted', () => {
+    const { transform } = orient('stl', { mirror: 'zx' });
+
+    expect(transform.mirror).toEqual(['x', 'z']);
+    expect(transform.matrix[0]).toBe(-1);
+    expect(transform.matrix[10]).toBe(-1);
+    expect(orient('stl', { mirror: 'zx' }).min).toEqual([-10, -5, 0]);
+  });
+
+  test('applies to conversions and reports the transform', async () => {
+    const { transform, statistics } = await converter.convertSvgTo3D(svg('<rect width="40" height="20"/>', 'viewBox="0 0 40 20"'), {
+      format: 'stl',
+      size: 40,
+      upAxis: 'y',
+      rotateZ: 90
+    });
+
+    expect(transform).toMatchObject({ upAxis: 'y', origin: 'buildPlate', rotateZ: 90 });
+    expect(statistics.boundingBox).toMatchObject({ min: { x: -10, y: 0, z: -20 }, size: { x: 20, y: 2, z: 40 } });
+  });
+
+  test.each([
+    [{ upAxis: 'x' }, 'Invalid Up Axis Parameter'],
+    [{ origin: 'top' }, 'Invalid Origin Parameter'],
+    [{ mirror: 'xx' }, 'Invalid Mirror Parameter'],
+    [{ mirror: 'w' }, 'Invalid Mirror Parameter'],
+    [{ rotateZ: '361' }, 'Invalid Rotate Z Parameter']
+  ])('validates %j', (body, error) => {
+    expect(validate(body)).toMatchObject({ passed: false, status: 400, body: { error } });
+  });
+
+  test('accepts a full turn either way', () => {
+    expect(validate({ rotateZ: '-360', mirror: 'xyz' }).passed).toBe(true);
+  });
+});
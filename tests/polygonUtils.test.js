@@ -0,0 +1,46 @@
+import {
+  booleanPolygons,
+  offsetPolygons,
+  polygonArea,
+  rectanglePolygon
+} from '../src/utils/polygonUtils.js';
+
+const totalArea = contours => contours.reduce((sum, points) => sum + polygonArea(points), 0);
+
+describe('polygonArea', () => {
+  test('is positive for counter-clockwise and negative for clockwise contours', () => {
+    const square = rectanglePolygon(0, 0, 10, 10);
+    expect(polygonArea(square)).toBeCloseTo(100);
+    expect(polygonArea(square.slice().reverse())).toBeCloseTo(-100);
+  });
+});
+
+describe('offsetPolygons', () => {
+  test('grows a square by the offset on every side', () => {
+    const [grown] = offsetPolygons([rectanglePolygon(0, 0, 10, 10)], 1, 'miter');
+    expect(Math.abs(polygonArea(grown))).toBeCloseTo(144, 1);
+  });
+
+  test('shrinks with a negative offset and removes contours thinner than twice the offset', () => {
+    const [shrunk] = offsetPolygons([rectanglePolygon(0, 0, 10, 10)], -1, 'miter');
+    expect(Math.abs(polygonArea(shrunk))).toBeCloseTo(64, 1);
+    expect(offsetPolygons([rectanglePolygon(0, 0, 10, 1)], -1)).toHaveLength(0);
+  });
+
+  test('rounds the corners of a round join', () => {
+    const area = totalArea(offsetPolygons([rectanglePolygon(0, 0, 10, 10)], 1, 'round'));
+    expect(area).toBeGreaterThan(140 + Math.PI * 0.98);
+    expect(area).toBeLessThan(144);
+  });
+});
+
+describe('booleanPolygons', () => {
+  const left = rectanglePolygon(0, 0, 10, 10);
+  const right = rectanglePolygon(5, 0, 15, 10);
+
+  test('subtracts, intersects and xors a clip set', () => {
+    expect(totalArea(booleanPolygons([left], [right], 'difference'))).toBeCloseTo(50);
+    expect(totalArea(booleanPolygons([left], [right], 'intersection'))).toBeCloseTo(50);
+    expect(totalArea(booleanPolygons([left], [right], 'xor'))).toBeCloseTo(100);
+  });
+});
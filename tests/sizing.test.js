@@ -0,0 +1,87 @@
+import '../src/setup-dom.js';
+import { SvgTo3DConverter } from '../src/services/SvgTo3DConverter.js';
+import { getMillimetresPerUserUnit, parseLengthToMillimetres } from '../src/utils/svgUtils.js';
+import { validate } from './helpers/middleware.js';
+import { silenceConsole, svg } from './helpers/svg.js';
+
+// Width of a binary STL along X, from its vertices
+const stlWidth = (buffer) => {
+  const xs = [];
+  for (let triangle = 0; triangle < buffer.readUInt32LE(80); triangle++) {
+    for (let vertex = 0; vertex < 3; vertex++) xs.push(buffer.readFloatLE(84 + triangle * 50 + 12 + vertex * 12));
+  }
+  return Math.max(...xs) - Math.min(...xs);
+};
+
+describe('sizing and units', () => {
+  const converter = new SvgTo3DConverter();
+  const RECT = '<rect width="40" height="20"/>';
+  const size = async (content, attributes, options) => {
+    const { statistics } = await converter.convertSvgTo3D(svg(content, attributes), { format: 'stl', ...options });
+    return statistics.boundingBox.size;
+  };
+
+  silenceConsole();
+
+  test.each([
+    ['fit', { x: 50, y: 25 }],
+    ['fitWidth', { x: 50, y: 25 }],
+    ['fitHeight', { x: 100, y: 50 }]
+  ])('%s scales the artwork to size', async (scaleMode, expected) => {
+    expect(await size(RECT, 'viewBox="0 0 40 20"', { scaleMode, size: 50 })).toMatchObject(expected);
+  });
+
+  test('exact keeps the physical size the SVG declares', async () => {
+    expect(await size(RECT, 'viewBox="0 0 100 100" width="50mm" height="50mm"', { scaleMode: 'exact', size: 10 })).toMatchObject({ x: 20, y: 10 });
+    expect(await size('<rect width="1" height="0.5"/>', 'viewBox="0 0 1 1" width="2in" height="2in"', { scaleMode: 'exact' })).toMatchObject({ x: 50.8, y: 25.4 });
+  });
+
+  test('exact treats user units as CSS pixels without absolute sizes', async () => {
+    const { x } = await size('<rect width="96" height="10"/>', 'viewBox="0 0 200 200"', { scaleMode: 'exact' });
+    expect(x).toBeCloseTo(25.4, 5);
+  });
+
+  test('scale multiplies the exact size', async () => {
+    expect(await size(RECT, 'viewBox="0 0 100 100" width="100mm" height="100mm"', { scaleMode: 'scale', scale: 0.5 })).toMatchObject({ x: 20, y: 10 });
+  });
+
+  test('units=in divides the exported model by 25.4 and keeps statistics in mm', async () => {
+    const { buffer, statistics } = await converter.convertSvgTo3D(svg(RECT, 'viewBox="0 0 40 20"'), { format: 'stl', size: 50.8, units: 'in' });
+
+    expect(stlWidth(buffer)).toBeCloseTo(2, 5);
+    expect(statistics.boundingBox.size.x).toBe(50.8);
+  });
+
+  test.each([
+    ['50mm', 50],
+    ['2in', 50.8],
+    ['1.5cm', 15],
+    ['72pt', 25.4],
+    ['96', 25.4]
+  ])('parseLengthToMillimetres(%j) is %d', (value, expected) => {
+    expect(parseLengthToMillimetres(value)).toBeCloseTo(expected, 10);
+  });
+
+  test.each([['50%'], ['2em'], [null]])('parseLengthToMillimetres(%j) is null', (value) => {
+    expect(parseLengthToMillimetres(value)).toBeNull();
+  });
+
+  test.each([
+    ['viewBox="0 0 100 50" width="50mm" height="50mm"', 0.5],
+    ['viewBox="0 0 100 50" width="50mm" height="50mm" preserveAspectRatio="xMidYMid slice"', 1],
+    ['viewBox="0 0 100 50" width="50mm" height="50mm" preserveAspectRatio="none"', 0.5],
+    ['viewBox="0 0 100 50" height="25mm"', 0.5],
+    ['width="50mm" height="50mm"', 25.4 / 96]
+  ])('getMillimetresPerUserUnit(%s) is %d', (attributes, expected) => {
+    const root = new DOMParser().parseFromString(svg('', attributes), 'image/svg+xml').documentElement;
+    expect(getMillimetresPerUserUnit(root)).toBeCloseTo(expected, 10);
+  });
+
+  test.each([
+    [{ scaleMode: 'stretch' }, 'Invalid Scale Mode Parameter'],
+    [{ units: 'cm' }, 'Invalid Units Parameter'],
+    [{ scale: '0' }, 'Invalid Scale Parameter']
+  ])('validates %j', (body, error) => {
+    expect(validate(body)).toMatchObject({ passed: false, status: 400, body: { error } });
+  });
+});
@@ -0,0 +1,49 @@
+import '../src/setup-dom.js';
+import { SvgTo3DConverter } from '../src/services/SvgTo3DConverter.js';
+import { silenceConsole, svg } from './helpers/svg.js';
+
+describe('strict mode', () => {
+  const converter = new SvgTo3DConverter();
+
+  silenceConsole();
+
+  const convertStrict = (svgData, options = {}) => converter.convertSvgTo3D(svgData, { format: 'stl', strict: true, ...options });
+
+  test.each([
+    ['noPaths', svg(''), {}, 'the SVG contains no paths or basic shapes'],
+    ['unsupportedElements', svg('<image href="photo.png" width="10" height="10"/>'), {}, 'unsupported elements (<image>)'],
+    ['allSkipped', svg('<rect width="10" height="10" data-skip="true"/>'), {}, 'excluded by data-skip'],
+    ['noFill', svg('<rect width="10" height="10" fill="none" stroke="#000"/>'), {}, 'enable drawStrokes'],
+    ['allFiltered', svg('<rect width="0.1" height="0.1"/>', 'width="10mm" height="10mm" viewBox="0 0 10 10"'), { scaleMode: 'exact' }, 'smaller than minFeatureArea']
+  ])('rejects with reason %s', async (reason, svgData, options, message) => {
+    const error = await convertStrict(svgData, options).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(Error);
+    expect(error.reason).toBe(reason);
+    expect(error.message).toContain('Nothing to extract from SVG');
+    expect(error.message).toContain(message);
+  });
+
+  test('lists the skipped elements with the error', async () => {
+    const error = await convertStrict(svg('<foreignObject width="10" height="10"/>')).catch(caught => caught);
+    expect(error.skippedElements).toEqual([expect.objectContaining({ element: 'foreignObject', count: 1 })]);
+  });
+
+  test('reports paths whose outline could not be built', () => {
+    const parsed = {
+      pathCount: 2,
+      unpaintedPaths: 0,
+      skippedPaths: 0,
+      discarded: { total: 2, belowMinFeatureArea: 0, overShapeLimit: 0, conversionError: 2 }
+    };
+    const error = converter.createEmptyResultError(parsed, []);
+
+    expect(error.reason).toBe('conversionError');
+    expect(error.message).toBe('Nothing to extract from SVG: outlines could not be built for 2 paths');
+  });
+
+  test('builds a model from printable content', async () => {
+    const result = await convertStrict(svg('<rect width="10" height="10"/>'));
+    expect(result.buffer.length).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,90 @@
+import '../src/setup-dom.js';
+import { Vector2 } from 'three';
+import { SvgTo3DConverter } from '../src/services/SvgTo3DConverter.js';
+import { polygonArea, rectanglePolygon, strokeToShapes } from '../src/utils/polygonUtils.js';
+import { silenceConsole, svg } from './helpers/svg.js';
+
+const MM = 'viewBox="0 0 100 100" width="100mm" height="100mm"';
+
+const shapeArea = (shape) => {
+  const { shape: outer, holes } = shape.extractPoints(12);
+  return Math.abs(polygonArea(outer)) - holes.reduce((sum, hole) => sum + Math.abs(polygonArea(hole)), 0);
+};
+
+describe('strokeToShapes', () => {
+  test('outlines an open line with butt caps', () => {
+    const shapes = strokeToShapes([{ points: [new Vector2(0, 0), new Vector2(10, 0)], closed: false }], { width: 2 });
+    expect(shapes).toHaveLength(1);
+    expect(shapeArea(shapes[0])).toBeCloseTo(20, 1);
+  });
+
+  test('extends square caps by half the width at each end', () => {
+    const shapes = strokeToShapes([{ points: [new Vector2(0, 0), new Vector2(10, 0)], closed: false }], { width: 2, lineCap: 'square' });
+    expect(shapeArea(shapes[0])).toBeCloseTo(24, 1);
+  });
+
+  test('turns a closed outline into a ring with a hole', () => {
+    const shapes = strokeToShapes([{ points: rectanglePolygon(0, 0, 10, 10), closed: true }], { width: 2 });
+    expect(shapes).toHaveLength(1);
+    expect(shapes[0].holes).toHaveLength(1);
+    expect(shapeArea(shapes[0])).toBeCloseTo(144 - 64, 1);
+  });
+
+  test('returns nothing for a zero width', () => {
+    expect(strokeToShapes([{ points: [new Vector2(0, 0), new Vector2(10, 0)], closed: false }], { width: 0 })).toEqual([]);
+  });
+});
+
+describe('drawStrokes', () => {
+  const converter = new SvgTo3DConverter();
+  const convert = async (content, options = {}) => (await converter.convertSvgTo3D(svg(content, MM), {
+    format: 'stl', scaleMode: 'exact', drawStrokes: true, ...options
+  })).statistics;
+  const line = attributes => `<path d="M10 50 H90" stroke="#000" stroke-width="4" fill="none" ${attributes}/>`;
+  const spike = attributes => `<path d="M10 90 L50 10 L90 90" stroke="#000" stroke-width="4" fill="none" ${attributes}/>`;
+
+  silenceConsole();
+
+  test('extrudes a stroke-only path as a solid outline of the stroke width', async () => {
+    const { boundingBox, colors } = await convert(line(''));
+
+    expect(boundingBox.size).toEqual({ x: 80, y: 4, z: 2 });
+    expect(colors).toEqual([expect.objectContaining({ color: '#000000', volume: 640 })]);
+  });
+
+  test('drops strokes unless drawStrokes is set', async () => {
+    await expect(convert(line(''), { drawStrokes: false, strict: false })).rejects.toThrow('No valid shapes found in SVG');
+  });
+
+  test.each([
+    ['butt', 80],
+    ['square', 84]
+  ])('honours stroke-linecap %s', async (cap, length) => {
+    const { boundingBox } = await convert(line(`stroke-linecap="${cap}"`));
+    expect(boundingBox.size.x).toBeCloseTo(length, 2);
+  });
+
+  test('extends round caps by half the width', async () => {
+    const { boundingBox } = await convert(line('stroke-linecap="round"'));
+    expect(boundingBox.size.x).toBeCloseTo(84, 1);
+  });
+
+  test('honours stroke-linejoin and stroke-miterlimit', async () => {
+    const miter = (await convert(spike(''))).boundingBox.size.y;
+    const bevel = (await convert(spike('stroke-linejoin="bevel"'))).boundingBox.size.y;
+    const limited = (await convert(spike('stroke-miterlimit="2"'))).boundingBox.size.y;
+
+    expect(miter).toBeGreaterThan(bevel + 2);
+    expect(limited).toBeCloseTo(bevel, 2);
+  });
+
+  test('extrudes strokes in their own color to strokeDepth', async () => {
+    const { boundingBox, colors } = await convert('<rect x="10" y="10" width="20" height="20" fill="#f00" stroke="#00f" stroke-width="2"/>', {
+      depth: 2,
+      strokeDepth: 3
+    });
+
+    expect(boundingBox.size).toEqual({ x: 22, y: 22, z: 3 });
+    expect(colors.map(({ color }) => color)).toEqual(['#ff0000', '#0000ff']);
+  });
+});
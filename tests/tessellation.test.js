@@ -0,0 +1,52 @@
+import '../src/setup-dom.js';
+import { SvgTo3DConverter } from '../src/services/SvgTo3DConverter.js';
+import { validate } from './helpers/middleware.js';
+import { silenceConsole, svg } from './helpers/svg.js';
+
+const CIRCLE = svg('<circle cx="50" cy="50" r="50"/>');
+
+describe('curve tessellation', () => {
+  const converter = new SvgTo3DConverter();
+  const outline = (svgData, options = {}) => converter.createShapesFromSvg(svgData, options).shapes[0].shape.extractPoints(1).shape;
+
+  silenceConsole();
+
+  test('gives every curve curveSegments divisions in fixed mode', () => {
+    expect(outline(CIRCLE)).toHaveLength(64);
+    expect(outline(CIRCLE, { curveSegments: 64 })).toHaveLength(128);
+  });
+
+  test.each([
+    [0.05, 100, 71],
+    [0.005, 100, 223],
+    [0.05, 400, 141]
+  ])('places just enough points for %smm at a %smm model size', (chordTolerance, size, points) => {
+    expect(outline(CIRCLE, { tessellation: 'adaptive', chordTolerance, size })).toHaveLength(points);
+  });
+
+  test('keeps every chord within the tolerance of the curve', () => {
+    const points = outline(CIRCLE, { tessellation: 'adaptive', chordTolerance: 0.05, size: 100 });
+
+    points.forEach((point, index) => {
+      const next = points[(index + 1) % points.length];
+      const sagitta = 50 - point.clone().add(next).multiplyScalar(0.5).distanceTo({ x: 50, y: 50 });
+      expect(sagitta).toBeLessThanOrEqual(0.05 + 1e-9);
+    });
+  });
+
+  test('adds no points to straight edges', () => {
+    expect(outline(svg('<rect width="100" height="50"/>'), { tessellation: 'adaptive', size: 100 })).toHaveLength(4);
+  });
+
+  test('coarsens curves to stay within maxCurveVertices', () => {
+    expect(outline(CIRCLE, { tessellation: 'adaptive', chordTolerance: 0.005, size: 100, maxCurveVertices: 100 })).toHaveLength(100);
+  });
+
+  test.each([
+    [{ tessellation: 'smooth' }, 'Invalid Tessellation Parameter'],
+    [{ chordTolerance: '0' }, 'Invalid Chord Tolerance Parameter'],
+    [{ maxCurveVertices: '999' }, 'Invalid Max Curve Vertices Parameter']
+  ])('validates %j', (body, error) => {
+    expect(validate(body)).toMatchObject({ passed: false, status: 400, body: { error } });
+  });
+});
@@ -0,0 +1,61 @@
+import { png } from './helpers/images.js';
+import { upload, useServer } from './helpers/server.js';
+import { silenceConsole, svg } from './helpers/svg.js';
+
+const WHITE = 0xffffffff;
+const BLACK = 0x000000ff;
+
+describe('POST /trace', () => {
+  silenceConsole();
+  const { url } = useServer();
+
+  const trace = async (buffer, fields, type = 'image/png') => {
+    const response = await fetch(url('/trace'), { method: 'POST', body: upload(buffer, type, fields) });
+    return { status: response.status, body: await response.json() };
+  };
+
+  test('returns the traced SVG with the trace settings and path stats', async () => {
+    const image = await png(60, 40, WHITE, [{ x: 10, y: 10, width: 20, height: 20, color: BLACK }, { x: 40, y: 10, width: 10, height: 10, color: BLACK }]);
+    const { status, body } = await trace(image, { traceThreshold: 'auto', traceBackground: false });
+
+    expect(status).toBe(200);
+    expect(body).toMatchObject({
+      success: true,
+      width: 60,
+      height: 40,
+      blackOnWhite: true,
+      layers: [{ color: 'black', pixelCount: 500 }],
+      stats: { pathCount: 1, subpathCount: 2 }
+    });
+    expect(body.threshold).toEqual(expect.any(Number));
+    expect(body.svg).toContain('viewBox="0 0 76 56"');
+    expect(body.svg).not.toContain('<rect');
+    expect(body.stats.nodeCount).toBeGreaterThanOrEqual(8);
+  });
+
+  test('traces one layer per color', async () => {
+    const image = await png(40, 40, WHITE, [{ x: 5, y: 5, width: 10, height: 10, color: 0xff0000ff }, { x: 20, y: 20, width: 10, height: 10, color: 0x0000ffff }]);
+    const { body } = await trace(image, { traceColors: 3 });
+
+    expect(body.layers.map(({ color }) => color).sort()).toEqual(['#0000ff', '#ff0000']);
+    expect(body).toMatchObject({ threshold: null, blackOnWhite: null, stats: { pathCount: 2 } });
+  });
+
+  test('rejects SVG uploads', async () => {
+    const { status, body } = await trace(Buffer.from(svg('<rect width="10" height="10"/>')), {}, 'image/svg+xml');
+    expect(status).toBe(400);
+    expect(body.error).toBe('Invalid Trace Input');
+  });
+
+  test('rejects an image where nothing survives tracing', async () => {
+    const { status, body } = await trace(await png(40, 40, WHITE));
+    expect(status).toBe(422);
+    expect(body.error).toBe('No Printable Content');
+  });
+
+  test('validates the tracing parameters', async () => {
+    const { status, body } = await trace(await png(40, 40, WHITE), { traceThreshold: '300' });
+    expect(status).toBe(400);
+    expect(body.error).toBe('Invalid Trace Threshold Parameter');
+  });
+});
@@ -0,0 +1,89 @@
+import '../src/setup-dom.js';
+import { jest } from '@jest/globals';
+import { validateSvg } from '../src/middleware/validateSvg.js';
+
+const SVG = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 10 10"><rect width="10" height="10"/></svg>';
+
+// Run the middleware and report either the 400 response or that the request went through
+const validate = (body) => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  const next = jest.fn();
+
+  validateSvg({ body: { svgData: SVG, ...body } }, res, next);
+
+  return {
+    passed: next.mock.calls.length === 1 && next.mock.calls[0].length === 0,
+    status: res.status.mock.calls[0]?.[0],
+    body: res.json.mock.calls[0]?.[0]
+  };
+};
+
+describe('validateSvg', () => {
+  test('passes a request with defaults only', () => {
+    expect(validate({}).passed).toBe(true);
+  });
+
+  test('rejects markup that is not SVG', () => {
+    expect(validate({ svgData: '<html></html>' })).toMatchObject({ passed: false, status: 400, body: { error: 'Invalid SVG Data' } });
+  });
+
+  describe('colorLayers', () => {
+    test.each([[''], ['   ']])('treats %j as no layers', (colorLayers) => {
+      expect(validate({ colorLayers }).passed).toBe(true);
+    });
+
+    test('accepts a JSON string and an object', () => {
+      expect(validate({ colorLayers: '{"#ff0000": {"depth": 3, "startZ": 1}}' }).passed).toBe(true);
+      expect(validate({ colorLayers: { red: { depth: 3 } } }).passed).toBe(true);
+    });
+
+    test.each([
+      ['{"#ff0000": {"depth": 3}', 'Color layers must be valid JSON'],
+      ['[1, 2]', 'Color layers must be an object'],
+      ['null', 'Color layers must be an object'],
+      ['{"notacolor": {"depth": 3}}', "'notacolor' is not a valid color."],
+      ['{"#ff0000": 3}', "Layer for '#ff0000' must be an object"],
+      ['{"#ff0000": {"depth": 20}}', "Depth for '#ff0000' must be a number between 0.1 and 10."],
+      ['{"#ff0000": {"startZ": -1}}', "StartZ for '#ff0000' must be a number between 0 and 20."]
+    ])('rejects %s', (colorLayers, message) => {
+      const result = validate({ colorLayers });
+      expect(result).toMatchObject({ passed: false, status: 400, body: { error: 'Invalid Color Layers Parameter' } });
+      expect(result.body.message).toContain(message);
+    });
+  });
+
+  describe('numeric parameters', () => {
+    test.each([
+      [{ depth: '0.05' }, 'Invalid Depth Parameter'],
+      [{ depth: 'deep' }, 'Invalid Depth Parameter'],
+      [{ size: '1001' }, 'Invalid Size Parameter'],
+      [{ curveSegments: '3' }, 'Invalid Curve Segments Parameter'],
+      [{ backingThickness: '0.1' }, 'Invalid Backing Thickness Parameter']
+    ])('rejects %j', (body, error) => {
+      expect(validate(body)).toMatchObject({ passed: false, status: 400, body: { error } });
+    });
+
+    test('names the range in the message', () => {
+      expect(validate({ depth: '20' }).body.message).toBe('Depth must be a number between 0.1 and 10.');
+    });
+
+    test('accepts the range limits', () => {
+      expect(validate({ depth: '0.1', size: '1000' }).passed).toBe(true);
+    });
+  });
+
+  describe('enumerations and colors', () => {
+    test.each([
+      [{ format: 'ply' }, 'Unsupported Format'],
+      [{ backingColor: 'blurple' }, 'Invalid Backing Color Parameter']
+    ])('rejects %j', (body, error) => {
+      expect(validate(body)).toMatchObject({ passed: false, status: 400, body: { error } });
+    });
+
+    test('accepts CSS color syntaxes', () => {
+      expect(validate({ defaultColor: 'rgb(0, 128, 255)', backingColor: 'DarkSlateGray' }).passed).toBe(true);
+    });
+  });
+});